@@ -0,0 +1,131 @@
+describe('Audio Effects', function () {
+  let movie
+
+  beforeEach(function () {
+    const canvas = document.createElement('canvas')
+    movie = new vd.Movie({ canvas, autoRefresh: false })
+  })
+
+  describe('Base', function () {
+    it("should be of type 'audioEffect'", function () {
+      expect(new vd.audioEffect.Base().type).toBe('audioEffect')
+    })
+
+    it('should be attached to the movie when added', function () {
+      const effect = new vd.audioEffect.Gain()
+      movie.addAudioEffect(effect)
+      expect(effect.movie).toBe(movie)
+
+      movie.audioEffects.pop()
+      expect(effect.movie).toBe(undefined)
+    })
+
+    it('should propogate changes up to the movie', function () {
+      const effect = new vd.audioEffect.Gain()
+      movie.addAudioEffect(effect)
+      const listener = jasmine.createSpy('listener')
+      vd.event.subscribe(movie, 'movie.change.audioEffect.modify', listener)
+
+      effect.gain = 2
+
+      expect(listener).toHaveBeenCalled()
+      expect(listener.calls.mostRecent().args[0].source).toBe(effect)
+    })
+
+    it('should set its parameters when applied', function () {
+      const effect = new vd.audioEffect.Gain({ gain: new vd.KeyFrame([0, 0], [1, 2]) })
+      movie.addAudioEffect(effect)
+      const param = effect.input.gain
+      spyOn(param, 'setTargetAtTime')
+
+      effect.apply(movie, 0.5)
+
+      expect(param.setTargetAtTime.calls.mostRecent().args[0]).toBe(1)
+    })
+
+    it('should not set parameters that did not change', function () {
+      const effect = new vd.audioEffect.Gain({ gain: 2 })
+      movie.addAudioEffect(effect)
+      effect.apply(movie, 0)
+      const param = effect.input.gain
+      spyOn(param, 'setTargetAtTime')
+
+      effect.apply(movie, 0.5)
+
+      expect(param.setTargetAtTime).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Movie', function () {
+    it('should route its audio through its audio effects', function () {
+      const effect = new vd.audioEffect.Gain()
+      spyOn(movie.audioInput, 'connect').and.callThrough()
+
+      movie.addAudioEffect(effect)
+      movie.currentTime = 0
+      return movie.refresh().then(() => {
+        expect(movie.audioInput.connect).toHaveBeenCalledWith(effect.input)
+      })
+    })
+
+    it('should skip disabled audio effects', function () {
+      const effect = new vd.audioEffect.Gain()
+      effect.enabled = false
+      spyOn(movie.audioInput, 'connect').and.callThrough()
+
+      movie.addAudioEffect(effect)
+      return movie.refresh().then(() => {
+        expect(movie.audioInput.connect).not.toHaveBeenCalledWith(effect.input)
+      })
+    })
+  })
+
+  describe('Pan', function () {
+    it('should control a stereo panner', function () {
+      const effect = new vd.audioEffect.Pan({ pan: -1 })
+      movie.addAudioEffect(effect)
+
+      expect(effect.input.pan).toBeTruthy()
+      expect(effect.pan).toBe(-1)
+    })
+  })
+
+  describe('Equalizer', function () {
+    it('should set the filter type', function () {
+      const effect = new vd.audioEffect.Equalizer({ filterType: 'lowpass' })
+      movie.addAudioEffect(effect)
+
+      effect.apply(movie, 0)
+
+      expect(effect.input.type).toBe('lowpass')
+    })
+  })
+
+  describe('Reverb', function () {
+    it('should generate an impulse response by default', function () {
+      const effect = new vd.audioEffect.Reverb({ duration: 1 })
+      movie.addAudioEffect(effect)
+      spyOn(movie.actx, 'createBuffer').and.callThrough()
+
+      // Create the nodes
+      effect.input // eslint-disable-line no-unused-expressions
+
+      const sampleRate = movie.actx.sampleRate
+      expect(movie.actx.createBuffer).toHaveBeenCalledWith(2, sampleRate, sampleRate)
+    })
+  })
+
+  it('should be serializable', function () {
+    movie.addAudioEffect(new vd.audioEffect.Compressor({ threshold: -10 }))
+
+    return vd.Movie.fromJSON(
+      JSON.parse(JSON.stringify(movie)),
+      { canvas: document.createElement('canvas') }
+    ).then(loaded => {
+      const effect = loaded.audioEffects[0]
+      expect(effect instanceof vd.audioEffect.Compressor).toBe(true)
+      expect(effect.threshold).toBe(-10)
+      expect(effect.ratio).toBe(12)
+    })
+  })
+})
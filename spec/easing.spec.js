@@ -0,0 +1,84 @@
+describe('Easing', function () {
+  const easings = [
+    'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic', 'easeOutCubic',
+    'easeInOutCubic', 'easeInQuart', 'easeOutQuart', 'easeInOutQuart',
+    'easeInExpo', 'easeOutExpo', 'easeInOutExpo', 'easeInBack', 'easeOutBack',
+    'easeInOutBack', 'easeInElastic', 'easeOutElastic', 'easeInOutElastic',
+    'easeInBounce', 'easeOutBounce', 'easeInOutBounce'
+  ]
+
+  easings.forEach(name => {
+    it(`${name} should start and end at the keyframe values`, function () {
+      const interpolation = vd.easing[name]
+      expect(interpolation(2, 4, 0)).toBeCloseTo(2, 6)
+      expect(interpolation(2, 4, 1)).toBeCloseTo(4, 6)
+    })
+  })
+
+  it('should ease in slowly and out quickly', function () {
+    expect(vd.easing.easeInQuad(0, 1, 0.5)).toBe(0.25)
+    expect(vd.easing.easeOutQuad(0, 1, 0.5)).toBe(0.75)
+    expect(vd.easing.easeInOutCubic(0, 1, 0.5)).toBe(0.5)
+  })
+
+  it('should overshoot with back easing', function () {
+    expect(vd.easing.easeInBack(0, 1, 0.2)).toBeLessThan(0)
+    expect(vd.easing.easeOutBack(0, 1, 0.8)).toBeGreaterThan(1)
+  })
+
+  it('should interpolate objects', function () {
+    expect(vd.easing.easeInQuad({ x: 0, y: 4 }, { x: 4, y: 0 }, 0.5))
+      .toEqual({ x: 1, y: 3 })
+  })
+
+  describe('hold', function () {
+    it('should keep the starting value', function () {
+      const keyFrame = new vd.KeyFrame([0, 0, vd.easing.hold], [1, 10])
+      expect(keyFrame.evaluate(0.99)).toBe(0)
+      expect(keyFrame.evaluate(1)).toBe(10)
+    })
+  })
+
+  describe('cubicBezier', function () {
+    it('should be linear with linear control points', function () {
+      const interpolation = vd.easing.cubicBezier(1 / 3, 1 / 3, 2 / 3, 2 / 3)
+      expect(interpolation(0, 1, 0.3)).toBeCloseTo(0.3, 4)
+    })
+
+    it("should match CSS's ease", function () {
+      // The `ease` keyword is cubic-bezier(0.25, 0.1, 0.25, 1), which is about
+      // 0.8024 at 0.5.
+      const interpolation = vd.easing.cubicBezier(0.25, 0.1, 0.25, 1)
+      expect(interpolation(0, 1, 0.5)).toBeCloseTo(0.8024, 3)
+    })
+
+    it('should not allow x coordinates outside of [0, 1]', function () {
+      expect(() => vd.easing.cubicBezier(-0.1, 0, 1, 1))
+        .toThrow(new Error('Bezier x coordinates must be between 0 and 1'))
+    })
+  })
+
+  describe('spring', function () {
+    it('should come to rest at the end value', function () {
+      const interpolation = vd.easing.spring()
+      expect(interpolation(0, 1, 0)).toBe(0)
+      expect(interpolation(0, 1, 0.99)).toBeCloseTo(1, 2)
+      expect(interpolation(0, 1, 1)).toBe(1)
+    })
+
+    it('should overshoot when underdamped', function () {
+      const interpolation = vd.easing.spring(100, 2)
+      let max = 0
+      for (let t = 0; t <= 1; t += 0.01)
+        max = Math.max(max, interpolation(0, 1, t))
+
+      expect(max).toBeGreaterThan(1)
+    })
+
+    it('should not overshoot when critically damped', function () {
+      const interpolation = vd.easing.spring(100, 20)
+      for (let t = 0; t <= 1; t += 0.01)
+        expect(interpolation(0, 1, t)).not.toBeGreaterThan(1)
+    })
+  })
+})
@@ -440,6 +440,190 @@ define(['resemblejs'], function (resemble) {
         whenOriginalLoaded(original =>
           compareImageData(original, effect, path).then(done))
       })
+
+      describe('Matrix', function () {
+        const expectMatrix = (actual, expected) => {
+          for (let i = 0; i < 9; i++)
+            expect(actual.data[i]).toBeCloseTo(expected.data[i], 6)
+        }
+
+        it('should transform points', function () {
+          const matrix = new vd.effect.Transform.Matrix().scale(2, 3).translate(1, 1)
+          expect(matrix.transformPoint(4, 5)).toEqual({ x: 9, y: 16 })
+        })
+
+        it('should invert', function () {
+          const matrix = new vd.effect.Transform.Matrix().scale(2, 3).rotate(1).translate(4, 5)
+          const inverse = new vd.effect.Transform.Matrix(matrix.data.slice()).invert()
+          expectMatrix(inverse.multiply(matrix), vd.effect.Transform.Matrix.IDENTITY)
+        })
+
+        it('should not invert singular matrices', function () {
+          const matrix = new vd.effect.Transform.Matrix().scale(0, 1)
+          expect(() => matrix.invert()).toThrow(new Error('Matrix is not invertible'))
+        })
+
+        it('should decompose into the parts it was composed from', function () {
+          const components = {
+            translateX: 4,
+            translateY: -5,
+            rotation: 1,
+            scaleX: 2,
+            scaleY: 3,
+            skew: 0.5
+          }
+          const decomposed = new vd.effect.Transform.Matrix().compose(components).decompose()
+          for (const key in components)
+            expect(decomposed[key]).toBeCloseTo(components[key], 6)
+        })
+
+        it('should decompose transformations built with its methods', function () {
+          const matrix = new vd.effect.Transform.Matrix().scale(2, 3).rotate(1).translate(4, 5)
+          const composed = new vd.effect.Transform.Matrix().compose(matrix.decompose())
+          expectMatrix(composed, matrix)
+        })
+
+        it('should interpolate rotations without collapsing', function () {
+          const start = new vd.effect.Transform.Matrix()
+          const end = new vd.effect.Transform.Matrix().rotate(Math.PI / 2).scale(2, 2)
+          const middle = vd.effect.Transform.Matrix.interpolate(start, end, 0.5)
+          expectMatrix(middle, new vd.effect.Transform.Matrix().rotate(Math.PI / 4).scale(1.5, 1.5))
+        })
+
+        it('should be usable as a keyframe interpolation', function () {
+          const keyframe = new vd.KeyFrame(
+            [0, new vd.effect.Transform.Matrix(), vd.effect.Transform.Matrix.interpolate],
+            [1, new vd.effect.Transform.Matrix().rotate(Math.PI)]
+          )
+          const decomposed = keyframe.evaluate(0.5).decompose()
+          expect(Math.abs(decomposed.rotation)).toBeCloseTo(Math.PI / 2, 6)
+          expect(decomposed.scaleX).toBeCloseTo(1, 6)
+          expect(decomposed.scaleY).toBeCloseTo(1, 6)
+        })
+      })
+    })
+
+    describe('Matte', function () {
+      let movie, target
+
+      beforeEach(function () {
+        const canvas = document.createElement('canvas')
+        canvas.width = canvas.height = 10
+        movie = new vd.Movie({ canvas, autoRefresh: false })
+        target = new vd.layer.Visual({ startTime: 0, duration: 1, background: 'red' })
+        movie.addLayer(target)
+      })
+
+      const pixelAt = (x, y) => Array.from(movie.cctx.getImageData(x, y, 1, 1).data)
+
+      it('should preserve the target where the matte layer is opaque', async function () {
+        const layer = new vd.layer.Visual({ startTime: 0, duration: 1, width: 5, background: 'white' })
+        target.addEffect(new vd.effect.Matte({ layer }))
+
+        await movie.refresh()
+
+        expect(pixelAt(2, 5)).toEqual([255, 0, 0, 255])
+        expect(pixelAt(7, 5)).toEqual([0, 0, 0, 255])
+      })
+
+      it('should preserve the target where the matte layer is transparent when inverted', async function () {
+        const layer = new vd.layer.Visual({ startTime: 0, duration: 1, width: 5, background: 'white' })
+        target.addEffect(new vd.effect.Matte({ layer, mode: 'alpha-inverted' }))
+
+        await movie.refresh()
+
+        expect(pixelAt(2, 5)).toEqual([0, 0, 0, 255])
+        expect(pixelAt(7, 5)).toEqual([255, 0, 0, 255])
+      })
+
+      it('should line up the matte layer with a scaled target', async function () {
+        target.width = 5
+        target.anchorX = 0
+        target.scaleX = 2
+        const layer = new vd.layer.Visual({ startTime: 0, duration: 1, width: 5, background: 'white' })
+        target.addEffect(new vd.effect.Matte({ layer }))
+
+        await movie.refresh()
+
+        expect(pixelAt(2, 5)).toEqual([255, 0, 0, 255])
+        expect(pixelAt(7, 5)).toEqual([0, 0, 0, 255])
+      })
+
+      it('should use the brightness of the matte layer in luma mode', async function () {
+        const layer = new vd.layer.Visual({ startTime: 0, duration: 1, background: 'rgb(128, 128, 128)' })
+        target.addEffect(new vd.effect.Matte({ layer, mode: 'luma' }))
+
+        await movie.refresh()
+
+        expect(pixelAt(5, 5)[0]).toBeCloseTo(128, -1)
+      })
+
+      it('should attach the matte layer to the movie if it is not in it', async function () {
+        const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+        const effect = new vd.effect.Matte({ layer })
+        target.addEffect(effect)
+
+        await movie.refresh()
+        expect(layer.movie).toBe(movie)
+
+        target.effects.pop()
+        expect(layer.movie).toBe(null)
+      })
+    })
+
+    describe('masks', function () {
+      let ctx
+
+      beforeEach(function () {
+        ctx = document.createElement('canvas').getContext('2d')
+        ctx.canvas.width = ctx.canvas.height = 10
+        ctx.fillStyle = 'red'
+        ctx.fillRect(0, 0, 10, 10)
+      })
+
+      const alphaAt = (x, y) => ctx.getImageData(x, y, 1, 1).data[3]
+
+      const applyMask = effect => {
+        effect._target = new vd.Movie({ canvas: dummyCanvas }) // so val doesn't break because it can't cache (it requires a movie)
+        // Apply effect to a fake layer containing `ctx`
+        const dummyMovie = new vd.Movie({ canvas: dummyCanvas })
+        effect.apply({ canvas: ctx.canvas, cctx: ctx, movie: dummyMovie })
+      }
+
+      it('should preserve only the inside of a rectangle', function () {
+        applyMask(new vd.effect.RectangleMask({ x: 0, y: 0, width: 5, height: 10 }))
+
+        expect(alphaAt(2, 5)).toBe(255)
+        expect(alphaAt(7, 5)).toBe(0)
+      })
+
+      it('should preserve only the outside when inverted', function () {
+        applyMask(new vd.effect.RectangleMask({ x: 0, y: 0, width: 5, height: 10, inverted: true }))
+
+        expect(alphaAt(2, 5)).toBe(0)
+        expect(alphaAt(7, 5)).toBe(255)
+      })
+
+      it('should feather the edges', function () {
+        applyMask(new vd.effect.RectangleMask({ x: 0, y: 0, width: 5, height: 10, feather: 2 }))
+
+        expect(alphaAt(4, 5)).toBeGreaterThan(0)
+        expect(alphaAt(4, 5)).toBeLessThan(255)
+      })
+
+      it('should round the corners of a rounded rectangle', function () {
+        applyMask(new vd.effect.RoundedRectangleMask({ x: 0, y: 0, width: 10, height: 10, radius: 5 }))
+
+        expect(alphaAt(0, 0)).toBe(0)
+        expect(alphaAt(5, 5)).toBe(255)
+      })
+
+      it('should preserve the inside of an SVG path', function () {
+        applyMask(new vd.effect.PathMask({ path: 'M 0 0 L 10 0 L 0 10 Z' }))
+
+        expect(alphaAt(1, 1)).toBe(255)
+        expect(alphaAt(8, 8)).toBe(0)
+      })
     })
   })
 })
@@ -0,0 +1,186 @@
+describe('History', function () {
+  let movie, history
+
+  beforeEach(function () {
+    const canvas = document.createElement('canvas')
+    canvas.width = 20
+    canvas.height = 20
+    movie = new vd.Movie({ canvas, autoRefresh: false })
+    history = new vd.History(movie)
+  })
+
+  afterEach(function () {
+    history.detach()
+  })
+
+  it('should not be able to undo or redo initially', function () {
+    expect(history.canUndo).toBe(false)
+    expect(history.canRedo).toBe(false)
+    expect(() => history.undo()).toThrow(new Error('Nothing to undo'))
+  })
+
+  it('should undo and redo movie property changes', function () {
+    movie.background = 'red'
+    history.undo()
+    expect(movie.background).toBe('#000')
+    expect(history.canRedo).toBe(true)
+
+    history.redo()
+    expect(movie.background).toBe('red')
+  })
+
+  it('should undo and redo layer property changes', function () {
+    const layer = new vd.layer.Visual({ startTime: 0, duration: 1, x: 0 })
+    movie.addLayer(layer)
+    history.clear()
+
+    layer.x = 10
+    history.undo()
+    expect(layer.x).toBe(0)
+
+    history.redo()
+    expect(layer.x).toBe(10)
+  })
+
+  it('should undo and redo effect property changes', function () {
+    const effect = new vd.effect.Brightness({ brightness: 0 })
+    movie.addEffect(effect)
+    history.clear()
+
+    effect.brightness = 5
+    history.undo()
+    expect(effect.brightness).toBe(0)
+  })
+
+  it('should undo and redo adding and removing layers', function () {
+    const layer = new vd.layer.Base({ startTime: 2, duration: 1 })
+    movie.addLayer(layer)
+    history.undo()
+    expect(movie.layers.length).toBe(0)
+
+    history.redo()
+    expect(movie.layers[0]).toBe(layer)
+
+    movie.layers.splice(0, 1)
+    history.undo()
+    expect(movie.layers[0]).toBe(layer)
+  })
+
+  it('should undo and redo adding and removing layers in groups', function () {
+    const group = new vd.layer.Group({ startTime: 0, duration: 1 })
+    movie.addLayer(group)
+    history.clear()
+
+    const layer = new vd.layer.Base({ startTime: 0, duration: 1 })
+    group.addLayer(layer)
+    history.undo()
+    expect(group.layers.length).toBe(0)
+    expect(movie.layers.length).toBe(1)
+
+    history.redo()
+    expect(group.layers[0]).toBe(layer)
+
+    group.layers.splice(0, 1)
+    history.undo()
+    expect(group.layers[0]).toBe(layer)
+  })
+
+  it('should undo adding layers to groups that are not at the current time', function () {
+    const group = new vd.layer.Group({ startTime: 5, duration: 1 })
+    movie.addLayer(group)
+    history.clear()
+
+    group.addLayer(new vd.layer.Base({ startTime: 0, duration: 1 }))
+    history.undo()
+    expect(group.layers.length).toBe(0)
+  })
+
+  it('should undo and redo adding and removing layer effects', function () {
+    const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+    movie.addLayer(layer)
+    history.clear()
+
+    const effect = new vd.effect.Brightness({ brightness: 0 })
+    layer.addEffect(effect)
+    history.undo()
+    expect(layer.effects.length).toBe(0)
+    expect(movie.layers[0]).toBe(layer)
+
+    history.redo()
+    expect(layer.effects[0]).toBe(effect)
+
+    layer.effects.pop()
+    history.undo()
+    expect(layer.effects[0]).toBe(effect)
+  })
+
+  it('should undo and redo adding layer audio effects', async function () {
+    const source = new Audio()
+    await new Promise(resolve => {
+      source.addEventListener('canplay', resolve, { once: true })
+      source.src = '/base/spec/assets/layer/audio.wav'
+    })
+    const layer = new vd.layer.Audio({ startTime: 0, source })
+    movie.addLayer(layer)
+    history.clear()
+
+    const effect = new vd.audioEffect.Gain()
+    layer.audioEffects.push(effect)
+    history.undo()
+    expect(layer.audioEffects.length).toBe(0)
+    expect(movie.layers[0]).toBe(layer)
+
+    history.redo()
+    expect(layer.audioEffects[0]).toBe(effect)
+  })
+
+  it('should group changes made in a batch', function () {
+    const layer = new vd.layer.Visual({ startTime: 0, duration: 1, x: 0, y: 0 })
+    movie.addLayer(layer)
+    history.clear()
+
+    history.batch(() => {
+      layer.x = 1
+      layer.y = 2
+    })
+    history.undo()
+
+    expect(layer.x).toBe(0)
+    expect(layer.y).toBe(0)
+    expect(history.canUndo).toBe(false)
+  })
+
+  it('should not record changes made by undo', function () {
+    movie.background = 'red'
+    history.undo()
+    expect(history.canUndo).toBe(false)
+  })
+
+  it('should clear the redo stack after a new change', function () {
+    movie.background = 'red'
+    history.undo()
+    movie.repeat = true
+    expect(history.canRedo).toBe(false)
+  })
+
+  it('should not record playback state', function () {
+    movie.currentTime = 1
+    expect(history.canUndo).toBe(false)
+  })
+
+  it('should respect the max depth', function () {
+    history.maxDepth = 2
+    movie.background = 'red'
+    history.batch(() => {
+      movie.background = 'green'
+    })
+    history.batch(() => {
+      movie.background = 'blue'
+    })
+
+    history.undo()
+    history.undo()
+    expect(history.canUndo).toBe(false)
+    expect(movie.background).toBe('red')
+  })
+})
@@ -97,6 +97,18 @@ describe('Layers', function () {
       expect(allBlue).toBe(true)
     })
 
+    it('should render a gradient background relative to the layer', function () {
+      layer.background = new vd.LinearGradient(0, 0, 400, 0, [
+        { offset: 0, color: '#000' },
+        { offset: 1, color: '#fff' }
+      ])
+      layer.render()
+      const left = layer.cctx.getImageData(0, 0, 1, 1).data
+      const right = layer.cctx.getImageData(399, 0, 1, 1).data
+      expect(left[0]).toBeLessThan(5)
+      expect(right[0]).toBeGreaterThan(250)
+    })
+
     it('should call `attach` when an effect is added', function () {
       const effect = new vd.effect.Base()
       spyOn(effect, 'attach')
@@ -130,6 +142,512 @@ describe('Layers', function () {
       // Render
       layer.render(0)
     })
+
+    it('should be translated to its position', function () {
+      layer.x = 10
+      layer.y = 20
+
+      const matrix = layer.getTransform(0)
+
+      expect([matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f])
+        .toEqual([1, 0, 0, 1, 10, 20])
+    })
+
+    it('should move along its motion path', function () {
+      layer.x = 5
+      layer.motionPath = 'M 0 0 L 100 0 L 100 100'
+      layer.motionProgress = 0.75
+
+      const matrix = layer.getTransform(0)
+
+      expect(matrix.e).toBe(105)
+      expect(matrix.f).toBe(50)
+    })
+
+    it('should rotate to follow its motion path when auto-orienting', function () {
+      layer.motionPath = [[0, 0], [0, 30], [0, 60], [0, 100]]
+      layer.motionProgress = 0.5
+      layer.autoOrient = true
+
+      const matrix = layer.getTransform(0)
+
+      expect(matrix.a).toBeCloseTo(0, 6)
+      expect(matrix.b).toBeCloseTo(1, 6)
+      expect(matrix.e).toBeCloseTo(0, 6)
+      expect(matrix.f).toBeCloseTo(50, 6)
+    })
+
+    it('should rotate around its anchor point', function () {
+      layer.width = 100
+      layer.height = 50
+      layer.anchorX = 0.5
+      layer.anchorY = 0.5
+      layer.rotation = Math.PI / 2
+
+      const matrix = layer.getTransform(0)
+      const anchor = matrix.transformPoint(new DOMPoint(50, 25))
+      const corner = matrix.transformPoint(new DOMPoint(0, 0))
+
+      expect(anchor.x).toBeCloseTo(50, 6)
+      expect(anchor.y).toBeCloseTo(25, 6)
+      expect(corner.x).toBeCloseTo(75, 6)
+      expect(corner.y).toBeCloseTo(-25, 6)
+    })
+
+    it('should scale from its anchor point', function () {
+      layer.width = 100
+      layer.height = 50
+      layer.anchorX = 0.5
+      layer.anchorY = 1
+      layer.scaleX = 2
+      layer.scaleY = 0.5
+
+      const corner = layer.getTransform(0).transformPoint(new DOMPoint(0, 0))
+
+      expect(corner.x).toBe(-50)
+      expect(corner.y).toBe(25)
+    })
+
+    it('should skew horizontally', function () {
+      layer.skew = Math.PI / 4
+
+      const point = layer.getTransform(0).transformPoint(new DOMPoint(0, 10))
+
+      expect(point.x).toBeCloseTo(10, 6)
+      expect(point.y).toBeCloseTo(10, 6)
+    })
+
+    it('should move its anchor point along its motion path', function () {
+      layer.width = 100
+      layer.height = 50
+      layer.anchorX = 0.5
+      layer.anchorY = 0.5
+      layer.motionPath = 'M 0 0 L 200 0'
+      layer.motionProgress = 0.5
+
+      const center = layer.getTransform(0).transformPoint(new DOMPoint(50, 25))
+
+      expect(center.x).toBe(100)
+      expect(center.y).toBe(0)
+    })
+  })
+
+  describe('Text', function () {
+    let movie
+
+    const createText = options => {
+      const layer = new vd.layer.Text({
+        startTime: 0,
+        duration: 4,
+        font: '20px sans-serif',
+        ...options
+      })
+      layer.tryAttach(movie)
+      return layer
+    }
+
+    const measure = text => {
+      const ctx = document.createElement('canvas').getContext('2d')
+      ctx.font = '20px sans-serif'
+      return ctx.measureText(text).width
+    }
+
+    beforeEach(function () {
+      movie = { width: 400, height: 400, currentTime: 0, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    it('should fit its size to the text when no size is given', function () {
+      const layer = createText({ text: 'Hello', lineHeight: 1.5 })
+      expect(vd.val(layer, 'width', 0)).toBe(Math.ceil(measure('Hello')))
+      expect(vd.val(layer, 'height', 0)).toBe(30)
+    })
+
+    it('should include padding in its fitted size', function () {
+      const layer = createText({
+        text: 'Hello',
+        lineHeight: 1,
+        padding: { top: 1, right: 2, bottom: 3, left: 4 }
+      })
+      expect(vd.val(layer, 'width', 0)).toBe(Math.ceil(measure('Hello') + 6))
+      expect(vd.val(layer, 'height', 0)).toBe(24)
+    })
+
+    it('should break lines at line breaks', function () {
+      const layer = createText({ text: 'Hello\nworld', lineHeight: 1 })
+      const layout = layer.getLayout()
+      expect(layout.lines.length).toBe(2)
+      expect(layout.width).toBe(Math.max(measure('Hello'), measure('world')))
+      expect(vd.val(layer, 'height', 0)).toBe(40)
+    })
+
+    it('should wrap words to its width', function () {
+      const width = Math.ceil(measure('Hello world'))
+      const layer = createText({ text: 'Hello world hello world', width })
+      const lines = layer.getLayout().lines
+        .map(line => line.segments.map(segment => segment.text).join('').trim())
+      expect(lines).toEqual(['Hello world', 'hello world'])
+    })
+
+    it('should wrap to its maximum width when no width is given', function () {
+      const layer = createText({ text: 'Hello world', maxWidth: measure('Hello') + 1 })
+      expect(layer.getLayout().lines.length).toBe(2)
+      expect(vd.val(layer, 'width', 0)).toBe(Math.ceil(Math.max(measure('Hello'), measure('world'))))
+    })
+
+    it('should style each run', function () {
+      const layer = createText({
+        text: [{ text: 'Hello ' }, { text: 'world', color: 'red', bold: true }]
+      })
+      const segments = layer.getLayout().lines[0].segments
+      expect(segments[0].color).toBe('#fff')
+      expect(segments[2].color).toBe('red')
+      expect(segments[2].font).toContain('bold')
+    })
+
+    it('should fill the text with a gradient', function () {
+      const layer = createText({
+        text: 'HHHH',
+        color: new vd.LinearGradient(0, 0, measure('HHHH'), 0, [
+          { offset: 0, color: '#f00' },
+          { offset: 1, color: '#00f' }
+        ])
+      })
+      layer.render()
+      const data = layer.cctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height).data
+      let red = 0
+      let blue = 0
+      for (let i = 0; i < data.length; i += 4) {
+        red = Math.max(red, data[i])
+        blue = Math.max(blue, data[i + 2])
+      }
+      expect(red).toBeGreaterThan(200)
+      expect(blue).toBeGreaterThan(200)
+    })
+
+    const hasPixels = (layer, x, width) => {
+      const data = layer.cctx.getImageData(x, 0, width, layer.canvas.height).data
+      return data.some((value, i) => i % 4 === 3 && value > 0)
+    }
+
+    it('should only animate the characters in the range', function () {
+      const layer = createText({
+        text: 'HHHH',
+        animators: [{ start: 0.5, opacity: 0 }]
+      })
+      layer.render()
+      const half = Math.floor(measure('HH'))
+      expect(hasPixels(layer, 0, half)).toBe(true)
+      expect(hasPixels(layer, half + 1, layer.canvas.width - half - 1)).toBe(false)
+    })
+
+    it('should not measure animated characters again until the layout changes', function () {
+      const layer = createText({
+        text: 'HHHH',
+        animators: [{ end: new vd.KeyFrame([0, 0], [1, 1]), opacity: 0 }]
+      })
+      layer.render()
+      spyOn(CanvasRenderingContext2D.prototype, 'measureText').and.callThrough()
+      movie.currentTime = 0.5
+      layer.render()
+      expect(CanvasRenderingContext2D.prototype.measureText).not.toHaveBeenCalled()
+    })
+
+    it('should animate words', function () {
+      const layer = createText({
+        text: 'HH HH',
+        animators: [{ unit: 'word', end: new vd.KeyFrame([0, 0], [1, 1]), offsetY: 100 }]
+      })
+      movie.currentTime = 0.5
+      layer.render()
+      // The first word moved off the layer
+      expect(hasPixels(layer, 0, Math.floor(measure('HH')))).toBe(false)
+      expect(hasPixels(layer, Math.ceil(measure('HH ')), Math.floor(measure('HH')))).toBe(true)
+    })
+
+    it('should change the color of animated text', function () {
+      const layer = createText({
+        text: 'H',
+        font: 'bold 40px sans-serif',
+        color: 'black',
+        animators: [{ color: 'blue' }]
+      })
+      layer.render()
+      const data = layer.cctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height).data
+      let foundBlue = false
+      for (let i = 0; i < data.length; i += 4)
+        if (data[i + 3] === 255)
+          foundBlue = foundBlue || (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 255)
+      expect(foundBlue).toBe(true)
+    })
+
+    it('should render', function () {
+      const layer = createText({
+        text: 'Hello',
+        stroke: { color: 'black', thickness: 2 },
+        shadow: { color: 'black', blur: 4 }
+      })
+      layer.render()
+      const data = layer.cctx.getImageData(0, 0, layer.canvas.width, layer.canvas.height).data
+      expect(data.some((value, i) => i % 4 === 3 && value > 0)).toBe(true)
+    })
+  })
+
+  describe('Shape', function () {
+    let movie
+
+    const createShape = options => {
+      const layer = new vd.layer.Shape({
+        startTime: 0,
+        duration: 4,
+        width: 20,
+        height: 20,
+        ...options
+      })
+      layer.tryAttach(movie)
+      layer.render()
+      return layer
+    }
+
+    const alphaAt = (layer, x, y) => layer.cctx.getImageData(x, y, 1, 1).data[3]
+
+    beforeEach(function () {
+      movie = { width: 400, height: 400, currentTime: 0, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    it('should fill rectangles', function () {
+      const layer = createShape({ shape: 'rectangle' })
+      expect(alphaAt(layer, 0, 0)).toBe(255)
+      expect(alphaAt(layer, 19, 19)).toBe(255)
+    })
+
+    it('should round the corners of rectangles', function () {
+      const layer = createShape({ shape: 'rectangle', cornerRadius: 8 })
+      expect(alphaAt(layer, 0, 0)).toBe(0)
+      expect(alphaAt(layer, 10, 10)).toBe(255)
+    })
+
+    it('should fill ellipses', function () {
+      const layer = createShape({ shape: 'ellipse' })
+      expect(alphaAt(layer, 1, 1)).toBe(0)
+      expect(alphaAt(layer, 10, 10)).toBe(255)
+    })
+
+    it('should create polygons and stars in the layer', function () {
+      const coordinates = layer => layer.getPathData().match(/-?[\d.]+(e-?\d+)?/g).map(Number)
+
+      const polygon = coordinates(createShape({ shape: 'polygon', points: 4 }))
+      const corners = [10, 0, 20, 10, 10, 20, 0, 10]
+      corners.forEach((value, i) => expect(polygon[i]).toBeCloseTo(value, 6))
+
+      const star = coordinates(createShape({ shape: 'star', points: 4, innerRadius: 0.5 }))
+      expect(star.length).toBe(16)
+      // The first inner corner
+      expect(star[2]).toBeCloseTo(10 + 5 * Math.SQRT1_2, 6)
+      expect(star[3]).toBeCloseTo(10 - 5 * Math.SQRT1_2, 6)
+    })
+
+    it('should inset shapes by half of the stroke', function () {
+      const layer = createShape({
+        shape: 'rectangle',
+        fill: null,
+        stroke: { color: 'red', thickness: 4 }
+      })
+      expect(layer.getPathData(2)).toBe('M 2 2 H 18 V 18 H 2 V 2 Z')
+      expect(alphaAt(layer, 0, 10)).toBe(255)
+      expect(alphaAt(layer, 10, 10)).toBe(0)
+    })
+
+    it('should only stroke the trimmed part of the outline', function () {
+      const layer = createShape({
+        shape: 'line',
+        x1: 0,
+        y1: 10,
+        x2: 20,
+        y2: 10,
+        fill: null,
+        stroke: { color: 'red', thickness: 2 },
+        trimEnd: 0.5
+      })
+      expect(alphaAt(layer, 5, 10)).toBe(255)
+      expect(alphaAt(layer, 15, 10)).toBe(0)
+    })
+
+    it('should draw SVG path data', function () {
+      const layer = createShape({ shape: 'path', path: 'M 0 0 H 10 V 10 H 0 Z' })
+      expect(alphaAt(layer, 5, 5)).toBe(255)
+      expect(alphaAt(layer, 15, 15)).toBe(0)
+    })
+
+    it('should not draw invalid shapes', function () {
+      expect(() => createShape({ shape: 'heart' }))
+        .toThrow(new Error("Invalid shape: 'heart'"))
+    })
+  })
+
+  describe('Subtitles', function () {
+    const SRT = '1\r\n00:00:01,000 --> 00:00:02,500\r\nHello <b>world</b>\r\n\r\n' +
+      '2\r\n00:00:03,000 --> 00:00:04,000\r\nSecond\r\nline\r\n'
+    const VTT = 'WEBVTT\n\nNOTE a comment\n\n' +
+      'intro\n00:01.000 --> 00:02.500 line:10% position:25% align:start\n<c.yellow>Hello</c> &amp; bye\n'
+
+    let movie
+
+    beforeEach(function () {
+      movie = { width: 400, height: 400, currentTime: 0, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    it('should parse SRT files', function () {
+      expect(vd.layer.Subtitles.parse(SRT)).toEqual([
+        { startTime: 1, endTime: 2.5, text: 'Hello <b>world</b>' },
+        { startTime: 3, endTime: 4, text: 'Second\nline' }
+      ])
+    })
+
+    it('should parse WebVTT files with cue settings', function () {
+      expect(vd.layer.Subtitles.parse(VTT)).toEqual([{
+        startTime: 1,
+        endTime: 2.5,
+        text: '<c.yellow>Hello</c> &amp; bye',
+        line: 0.1,
+        position: 0.25,
+        align: 'start'
+      }])
+    })
+
+    it('should not parse invalid times', function () {
+      expect(() => vd.layer.Subtitles.parse('1\n00:00:01 --> 00:00:02\nHi'))
+        .toThrow(new Error("Invalid subtitle time: '00:00:01'"))
+    })
+
+    it('should export SRT and WebVTT files that parse to the same cues', function () {
+      const layer = new vd.layer.Subtitles({ startTime: 0, duration: 5, cues: VTT })
+      expect(vd.layer.Subtitles.parse(layer.toVTT())).toEqual(layer.cues)
+      expect(layer.toSRT()).toBe('1\n00:00:01,000 --> 00:00:02,500\n<c.yellow>Hello</c> &amp; bye\n')
+    })
+
+    it('should show the cue at the current time', function () {
+      const layer = new vd.layer.Subtitles({ startTime: 0, duration: 5, cues: SRT })
+      expect(layer.getCue(0.5)).toBe(null)
+      expect(layer.getCue(1)).toBe(layer.cues[0])
+      expect(layer.getCue(3.5)).toBe(layer.cues[1])
+    })
+
+    it('should style the cue text with its tags', function () {
+      const layer = new vd.layer.Subtitles({ startTime: 0, duration: 5, cues: VTT })
+      layer.tryAttach(movie)
+      movie.currentTime = 1
+      expect(vd.val(layer, 'text', 1)).toEqual([
+        { color: 'yellow', text: 'Hello' },
+        { text: ' & bye' }
+      ])
+    })
+
+    it("should publish 'layer.cuechange' when the active cue changes", function () {
+      const layer = new vd.layer.Subtitles({ startTime: 0, duration: 5, cues: SRT })
+      layer.tryAttach(movie)
+      const cues = []
+      vd.event.subscribe(layer, 'layer.cuechange', event => cues.push(event.cue))
+
+      for (const time of [0, 1, 2.75, 3]) {
+        movie.currentTime = time
+        vd.clearCachedValues(movie)
+        layer.render()
+      }
+
+      expect(cues).toEqual([layer.cues[0], null, layer.cues[1]])
+    })
+  })
+
+  describe('ImageSequence', function () {
+    const url = '/base/spec/assets/layer/image.jpg'
+    let movie
+
+    beforeEach(function () {
+      movie = { width: 400, height: 400, currentTime: 0, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    const createSequence = options => {
+      const layer = new vd.layer.ImageSequence({ startTime: 0, frames: [url, url, url, url], frameRate: 2, ...options })
+      layer.tryAttach(movie)
+      return layer
+    }
+
+    const loaded = image => new Promise(resolve => {
+      if (image.complete)
+        resolve()
+      else
+        image.addEventListener('load', resolve)
+    })
+
+    it('should play every frame once by default', function () {
+      expect(createSequence().duration).toBe(2)
+    })
+
+    it('should require frames or a sprite sheet', function () {
+      expect(() => new vd.layer.ImageSequence({ startTime: 0 }))
+        .toThrow(new Error('Either frames or a sprite sheet is required'))
+    })
+
+    it('should loop', function () {
+      const layer = createSequence({ playback: 'loop' })
+      expect([0, 0.5, 1.5, 2, 2.5].map(time => layer.getFrameIndex(time))).toEqual([0, 1, 3, 0, 1])
+    })
+
+    it('should play back and forth', function () {
+      const layer = createSequence({ playback: 'ping-pong' })
+      expect([1.5, 2, 2.5, 3, 3.5].map(time => layer.getFrameIndex(time))).toEqual([3, 2, 1, 0, 1])
+    })
+
+    it('should hold the last frame', function () {
+      const layer = createSequence({ playback: 'hold' })
+      expect([1.5, 2, 10].map(time => layer.getFrameIndex(time))).toEqual([3, 3, 3])
+    })
+
+    it('should count the frames of a sprite sheet', function () {
+      const layer = createSequence({ frames: undefined, spriteSheet: { source: url, columns: 3, rows: 2, frameCount: 5 } })
+      expect(layer.frameCount).toBe(5)
+      expect(layer.duration).toBe(2.5)
+    })
+
+    it('should use the current frame as its source', function () {
+      const frames = [new Image(), new Image()]
+      const layer = createSequence({ frames })
+      movie.currentTime = 0.5
+      expect(layer.source).toBe(frames[1])
+    })
+
+    it('should be loaded when its frames are', async function () {
+      const layer = createSequence()
+      await Promise.all(layer.frames.map((_, i) => {
+        movie.currentTime = i / 2
+        return loaded(layer.source)
+      }))
+      expect(layer.loaded).toBe(true)
+    })
+
+    it('should render a cell of a sprite sheet at the size of one frame', async function () {
+      const image = new Image()
+      image.src = url
+      await loaded(image)
+      const layer = createSequence({ frames: undefined, spriteSheet: { source: image, columns: 2, rows: 2 } })
+      movie.currentTime = 1.5
+      layer.render()
+      expect(layer.canvas.width).toBe(image.naturalWidth / 2)
+      expect(layer.canvas.height).toBe(image.naturalHeight / 2)
+
+      // The last frame is the bottom right
+      const testCanvas = document.createElement('canvas')
+      testCanvas.width = layer.canvas.width
+      testCanvas.height = layer.canvas.height
+      const testCtx = testCanvas.getContext('2d')
+      testCtx.drawImage(image, -testCanvas.width, -testCanvas.height)
+      const expected = testCtx.getImageData(0, 0, testCanvas.width, testCanvas.height).data
+      expect(layer.cctx.getImageData(0, 0, testCanvas.width, testCanvas.height).data).toEqual(expected)
+    })
   })
 
   describe('VisualSource', function () {
@@ -268,6 +786,92 @@ describe('Layers', function () {
       // Compare expected image data with actual image data
       expect(imageData.data).toEqual(testImageData.data)
     })
+
+    const createSourceLayer = source => {
+      const sourceLayer = new CustomVisualSource({ startTime: 0, duration: 4, source })
+      const movie = { width: 400, height: 400, currentTime: 0, propertyFilters: {} }
+      movie.movie = movie
+      sourceLayer.tryAttach(movie)
+      return sourceLayer
+    }
+
+    it("should use a canvas source's size", function () {
+      const canvas = document.createElement('canvas')
+      canvas.width = 30
+      canvas.height = 20
+      const canvasLayer = createSourceLayer(canvas)
+      expect(vd.val(canvasLayer, 'sourceWidth', 0)).toBe(30)
+      expect(vd.val(canvasLayer, 'sourceHeight', 0)).toBe(20)
+    })
+
+    it("should use an image bitmap source's size", async function () {
+      const bitmap = await createImageBitmap(layer.source)
+      const bitmapLayer = createSourceLayer(bitmap)
+      expect(vd.val(bitmapLayer, 'sourceWidth', 0)).toBe(layer.source.width)
+      expect(vd.val(bitmapLayer, 'sourceHeight', 0)).toBe(layer.source.height)
+    })
+
+    it("should use a video frame's display size", function () {
+      const frame = { displayWidth: 16, displayHeight: 9 }
+      const frameLayer = createSourceLayer(frame)
+      expect(vd.val(frameLayer, 'sourceWidth', 0)).toBe(16)
+      expect(vd.val(frameLayer, 'sourceHeight', 0)).toBe(9)
+    })
+
+    it('should render a canvas source', function () {
+      const canvas = document.createElement('canvas')
+      canvas.width = canvas.height = 10
+      const ctx = canvas.getContext('2d')
+      ctx.fillStyle = '#f00'
+      ctx.fillRect(0, 0, 10, 10)
+      const canvasLayer = createSourceLayer(canvas)
+      canvasLayer.render()
+      expect(Array.from(canvasLayer.cctx.getImageData(5, 5, 1, 1).data)).toEqual([255, 0, 0, 255])
+    })
+  })
+
+  describe('Canvas', function () {
+    let movie
+
+    beforeEach(function () {
+      movie = { width: 20, height: 20, currentTime: 2, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    it('should call `draw` with its context and time', function () {
+      const draw = jasmine.createSpy('draw')
+      const layer = new vd.layer.Canvas({ startTime: 1, duration: 4, draw })
+      layer.tryAttach(movie)
+      layer.render()
+      expect(draw).toHaveBeenCalledWith(layer.cctx, 1)
+    })
+
+    it('should render what `draw` draws over its background', function () {
+      const layer = new vd.layer.Canvas({
+        startTime: 0,
+        duration: 4,
+        background: '#00f',
+        draw: ctx => {
+          ctx.fillStyle = '#f00'
+          ctx.fillRect(0, 0, 10, 20)
+        }
+      })
+      layer.tryAttach(movie)
+      layer.render()
+      expect(Array.from(layer.cctx.getImageData(5, 5, 1, 1).data)).toEqual([255, 0, 0, 255])
+      expect(Array.from(layer.cctx.getImageData(15, 5, 1, 1).data)).toEqual([0, 0, 255, 255])
+    })
+
+    it("should undo changes to its context's state", function () {
+      const layer = new vd.layer.Canvas({
+        startTime: 0,
+        duration: 4,
+        draw: ctx => ctx.translate(5, 5)
+      })
+      layer.tryAttach(movie)
+      layer.render()
+      expect(layer.cctx.getTransform().isIdentity).toBe(true)
+    })
   })
 
   describe('AudioSource', function () {
@@ -289,31 +893,34 @@ describe('Layers', function () {
       layer = new CustomMedia({ startTime: 0, source })
     })
 
+    // Layers send their audio to the movie's audio input
+    const mockMovie = (properties = {}) => {
+      const actx = new AudioContext()
+      return { actx, audioInput: actx.createGain(), seekTimeout: 2000, ...properties }
+    }
+
     it('should update its currentTime when the movie seeks', function () {
-      const movie = {
-        actx: new AudioContext(),
+      const movie = mockMovie({
         currentTime: 2 // not 0
-      }
+      })
       layer.tryAttach(movie)
       vd.event.publish(movie, 'movie.seek', {})
       expect(layer.currentTime).toBe(2)
     })
 
     it('should update source.currentTime when the movie seeks', function () {
-      const movie = {
-        actx: new AudioContext(),
+      const movie = mockMovie({
         currentTime: 0.01 // not 0
-      }
+      })
       layer.tryAttach(movie)
       vd.event.publish(movie, 'movie.seek', {})
       expect(layer.source.currentTime).toBe(layer.currentTime)
     })
 
     it('should update source.currentTime when the movie seeks when sourceStartTime is set', function () {
-      const movie = {
-        actx: new AudioContext(),
+      const movie = mockMovie({
         currentTime: 0.01 // not 0
-      }
+      })
       layer.sourceStartTime = 0.02
       layer.tryAttach(movie)
       vd.event.publish(movie, 'movie.seek', {})
@@ -326,23 +933,93 @@ describe('Layers', function () {
       expect(layer.duration).toBe(oldDuration / 2)
     })
 
+    it('should be seeking until the media is done seeking', async function () {
+      const movie = mockMovie({
+        currentTime: 0.1
+      })
+      layer.tryAttach(movie)
+      vd.event.publish(movie, 'movie.seek', {})
+      expect(layer.seeking).toBe(true)
+
+      await layer.waitForSeek()
+      expect(layer.seeking).toBe(false)
+      expect(layer.source.seeking).toBe(false)
+    })
+
+    it('should integrate a keyframed playbackRate to find the source time', function () {
+      layer.playbackRate = new vd.KeyFrame([0, 1], [2, 3])
+      expect(layer.getSourceTime(2)).toBeCloseTo(4)
+    })
+
+    it('should have its duration depend on a keyframed playbackRate', function () {
+      layer.sourceEndTime = 0.5
+      layer.playbackRate = new vd.KeyFrame([0, 1], [1, 0.5])
+      // The source time is t - t^2 / 4, which reaches 0.5 at 2 - sqrt(2)
+      expect(layer.duration).toBeCloseTo(2 - Math.sqrt(2))
+    })
+
+    it('should last forever if a playbackRate function never finishes the media', function () {
+      layer.playbackRate = () => 0
+      expect(layer.duration).toBe(Infinity)
+    })
+
+    it('should end at sourceEndTime', function () {
+      layer.sourceStartTime = 0.1
+      layer.sourceEndTime = 0.3
+      expect(layer.duration).toBeCloseTo(0.2)
+      expect(layer.getSourceTime(1)).toBeCloseTo(0.3)
+    })
+
+    it('should play from sourceEndTime to sourceStartTime when reversed', function () {
+      layer.sourceStartTime = 0.1
+      layer.sourceEndTime = 0.3
+      layer.reverse = true
+      expect(layer.getSourceTime(0)).toBeCloseTo(0.3)
+      expect(layer.getSourceTime(0.05)).toBeCloseTo(0.25)
+    })
+
+    it('should freeze the frame while playbackRate is 0', function () {
+      layer.playbackRate = new vd.KeyFrame([0, 1, vd.easing.hold], [0.1, 0, vd.easing.hold], [0.2, 1])
+      expect(layer.getSourceTime(0.15)).toBeCloseTo(0.1)
+      expect(layer.getSourceTime(0.3)).toBeCloseTo(0.2)
+    })
+
+    it('should only add up the playbackRate since the last source time when playing forward', function () {
+      const rate = jasmine.createSpy('rate').and.returnValue(0.5)
+      layer.playbackRate = rate
+      expect(layer.getSourceTime(0.2)).toBeCloseTo(0.1)
+
+      rate.calls.reset()
+      expect(layer.getSourceTime(0.21)).toBeCloseTo(0.105)
+      expect(rate).toHaveBeenCalledTimes(2)
+
+      // Seeking backward adds up the rate from the start again
+      expect(layer.getSourceTime(0.1)).toBeCloseTo(0.05)
+    })
+
+    it('should seek the source to the remapped time', function () {
+      const movie = mockMovie({
+        currentTime: 0.2
+      })
+      layer.playbackRate = 0.5
+      layer.tryAttach(movie)
+      vd.event.publish(movie, 'movie.seek', {})
+      expect(layer.source.currentTime).toBeCloseTo(0.1)
+    })
+
     it('should have no audioNode set on creation', function () {
       expect(layer.audioNode).toBeFalsy()
     })
 
     it('should have an audioNode set when attached', function () {
-      const movie = {
-        actx: new AudioContext()
-      }
+      const movie = mockMovie()
       layer.tryAttach(movie)
       expect(layer.audioNode).toBeTruthy()
     })
 
     it('should connect audioNode when attached', function () {
-      const movie = {
-        actx: new AudioContext()
-      }
-      // Create audio node and connect it to movie.actx destination
+      const movie = mockMovie()
+      // Create audio node and connect it to the movie's audio input
       layer.tryAttach(movie)
       // Disconnect audio node (but don't destroy it)
       layer.tryDetach()
@@ -359,9 +1036,7 @@ describe('Layers', function () {
     })
 
     it('should disconnect audioNode when detached', function () {
-      const movie = {
-        actx: new AudioContext()
-      }
+      const movie = mockMovie()
       layer.tryAttach(movie)
       spyOn(layer.audioNode, 'disconnect')
 
@@ -370,10 +1045,19 @@ describe('Layers', function () {
       expect(layer.audioNode.disconnect).toHaveBeenCalled()
     })
 
+    it('should schedule its volume on its gain node', function () {
+      const movie = mockMovie({ currentTime: 0 })
+      layer.tryAttach(movie)
+      layer.active = true
+      spyOn(layer.gainNode.gain, 'linearRampToValueAtTime')
+
+      layer.volume = new vd.KeyFrame([0, 0], [1, 2])
+
+      expect(layer.gainNode.gain.linearRampToValueAtTime.calls.mostRecent().args[0]).toBe(2)
+    })
+
     it('should keep the same audioNode when detached and re-attached', function () {
-      const movie = {
-        actx: new AudioContext()
-      }
+      const movie = mockMovie()
       layer.tryAttach(movie)
       const original = layer.audioNode
       layer.tryDetach()
@@ -384,6 +1068,185 @@ describe('Layers', function () {
     })
   })
 
+  describe('Stream', function () {
+    let actx, movie
+
+    beforeEach(function () {
+      actx = new AudioContext()
+      movie = { actx, audioInput: actx.createGain(), width: 400, height: 400, currentTime: 5, propertyFilters: {} }
+      movie.movie = movie
+    })
+
+    const createAudioStream = () => actx.createMediaStreamDestination().stream
+
+    it('should last forever by default', function () {
+      const layer = new vd.layer.Stream({ startTime: 0, stream: createAudioStream() })
+      expect(layer.duration).toBe(Infinity)
+    })
+
+    it('should play the stream in a muted video element', function () {
+      const stream = createAudioStream()
+      const layer = new vd.layer.Stream({ startTime: 0, stream })
+      expect(layer.video.srcObject).toBe(stream)
+      expect(layer.video.muted).toBe(true)
+    })
+
+    it('should not have audio nodes without audio tracks', function () {
+      const canvas = document.createElement('canvas')
+      const layer = new vd.layer.Stream({ startTime: 0, stream: canvas.captureStream() })
+      layer.tryAttach(movie)
+      expect(layer.audioNode).toBe(null)
+    })
+
+    it('should only send its audio to the movie while active', function () {
+      const layer = new vd.layer.Stream({ startTime: 0, stream: createAudioStream() })
+      layer.tryAttach(movie)
+      spyOn(layer.gainNode, 'connect').and.callThrough()
+      spyOn(layer.gainNode, 'disconnect').and.callThrough()
+
+      layer.render()
+      expect(layer.gainNode.connect).not.toHaveBeenCalled()
+
+      layer.active = true
+      vd.clearCachedValues(movie)
+      layer.render()
+      expect(layer.gainNode.connect).toHaveBeenCalledWith(movie.audioInput)
+
+      layer.stop()
+      expect(layer.gainNode.disconnect).toHaveBeenCalledWith(movie.audioInput)
+    })
+
+    it('should not send its audio to the movie when muted', function () {
+      const layer = new vd.layer.Stream({ startTime: 0, stream: createAudioStream(), muted: true })
+      layer.tryAttach(movie)
+      spyOn(layer.gainNode, 'connect')
+      layer.active = true
+      layer.render()
+      expect(layer.gainNode.connect).not.toHaveBeenCalled()
+    })
+
+    it('should ignore seeking', function () {
+      const layer = new vd.layer.Stream({ startTime: 0, stream: createAudioStream() })
+      layer.tryAttach(movie)
+      expect(() => vd.event.publish(movie, 'movie.seek', {})).not.toThrow()
+    })
+  })
+
+  describe('Group', function () {
+    let movie, group
+
+    beforeEach(function () {
+      const canvas = document.createElement('canvas')
+      canvas.width = 10
+      canvas.height = 10
+      movie = new vd.Movie({ canvas, autoRefresh: false })
+      group = new vd.layer.Group({ startTime: 1, duration: 2, x: 5, width: 5 })
+      movie.addLayer(group)
+    })
+
+    const pixelAt = (x, y) => Array.from(movie.cctx.getImageData(x, y, 1, 1).data)
+
+    it('should attach its layers to its movie', function () {
+      const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+      group.addLayer(layer)
+
+      expect(layer.movie).toBe(movie)
+      expect(layer.group).toBe(group)
+      expect(layer.parent).toBe(group)
+    })
+
+    it('should attach its layers when it is attached', function () {
+      const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+      const other = new vd.layer.Group({ startTime: 0, duration: 1 })
+      other.addLayer(layer)
+      expect(layer.movie).toBe(null)
+
+      movie.addLayer(other)
+      expect(layer.movie).toBe(movie)
+
+      movie.layers.pop()
+      expect(layer.movie).toBe(null)
+    })
+
+    it('should start its layers relative to itself', function () {
+      const layer = new vd.layer.Visual({ startTime: 0.5, duration: 1 })
+      group.addLayer(layer)
+
+      movie.currentTime = 2
+
+      expect(layer.currentTime).toBe(0.5)
+    })
+
+    it('should use its own size for layers without a size', function () {
+      const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+      group.addLayer(layer)
+      movie.currentTime = 1
+
+      expect(vd.val(layer, 'width', 0)).toBe(5)
+      expect(vd.val(layer, 'height', 0)).toBe(10)
+    })
+
+    it('should render its layers onto its canvas', async function () {
+      group.addLayer(new vd.layer.Visual({ startTime: 0, duration: 1, background: 'red' }))
+      group.addLayer(new vd.layer.Visual({ startTime: 1, duration: 1, background: 'blue' }))
+
+      movie.currentTime = 1.5
+      await movie.refresh()
+
+      expect(pixelAt(2, 5)).toEqual([0, 0, 0, 255])
+      expect(pixelAt(7, 5)).toEqual([255, 0, 0, 255])
+    })
+
+    it('should apply its effects to the combined layers', async function () {
+      group.addLayer(new vd.layer.Visual({ startTime: 0, duration: 2, background: 'red' }))
+      group.addEffect(new vd.effect.Channels({ factors: { r: 0, b: 1, g: 1 } }))
+
+      movie.currentTime = 1.5
+      await movie.refresh()
+
+      expect(pixelAt(7, 5)).toEqual([0, 0, 0, 255])
+    })
+
+    it('should render groups inside of it', async function () {
+      const inner = new vd.layer.Group({ startTime: 0.5, duration: 1, y: 5, height: 5 })
+      inner.addLayer(new vd.layer.Visual({ startTime: 0, duration: 1, background: 'red' }))
+      group.addLayer(inner)
+
+      movie.currentTime = 2
+      await movie.refresh()
+
+      expect(pixelAt(7, 2)).toEqual([0, 0, 0, 255])
+      expect(pixelAt(7, 7)).toEqual([255, 0, 0, 255])
+    })
+
+    it('should stop its layers when it stops', function () {
+      const layer = new vd.layer.Visual({ startTime: 0, duration: 1 })
+      spyOn(layer, 'stop')
+      group.addLayer(layer)
+      layer.active = true
+
+      group.stop()
+
+      expect(layer.stop).toHaveBeenCalled()
+      expect(layer.active).toBe(false)
+    })
+
+    it('should be serializable', async function () {
+      group.addLayer(new vd.layer.Visual({ startTime: 0.5, duration: 1, background: 'red' }))
+
+      const loaded = await vd.Movie.fromJSON(
+        JSON.parse(JSON.stringify(movie)),
+        { canvas: document.createElement('canvas') }
+      )
+
+      const loadedGroup = loaded.layers[0]
+      expect(loadedGroup instanceof vd.layer.Group).toBe(true)
+      expect(loadedGroup.layers.length).toBe(1)
+      expect(loadedGroup.layers[0].startTime).toBe(0.5)
+      expect(loadedGroup.layers[0].movie).toBe(loaded)
+    })
+  })
+
   // I suspect this doesn't work becuase of autoplay restrictions
   /* describe('Audio', function () {
     let layer
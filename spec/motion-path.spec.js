@@ -0,0 +1,49 @@
+describe('MotionPath', function () {
+  it('should measure the length of lines', function () {
+    const path = new vd.MotionPath('M 0 0 h 10 v 10 z')
+    expect(path.length).toBeCloseTo(20 + Math.sqrt(200), 6)
+  })
+
+  it('should find points by distance along the path', function () {
+    const path = new vd.MotionPath('M 0 0 L 100 0 L 100 100')
+    expect(path.pointAt(0.25)).toEqual({ x: 50, y: 0, angle: 0 })
+    expect(path.pointAt(0.75)).toEqual({ x: 100, y: 50, angle: Math.PI / 2 })
+  })
+
+  it('should clamp the progress', function () {
+    const path = new vd.MotionPath('M 0 0 L 10 0')
+    expect(path.pointAt(-1)).toEqual({ x: 0, y: 0, angle: 0 })
+    expect(path.pointAt(2)).toEqual({ x: 10, y: 0, angle: 0 })
+  })
+
+  it('should move evenly along curves', function () {
+    // A curve with its control points bunched up at the start
+    const path = new vd.MotionPath([[0, 0], [0, 0], [0, 0], [100, 0]])
+    expect(path.length).toBeCloseTo(100, 6)
+    expect(path.pointAt(0.5).x).toBeCloseTo(50, 6)
+  })
+
+  it('should follow arcs', function () {
+    const path = new vd.MotionPath('M 0 0 A 50 50 0 0 1 100 0')
+    expect(path.length).toBeCloseTo(50 * Math.PI, 0)
+    const middle = path.pointAt(0.5)
+    expect(middle.x).toBeCloseTo(50, 1)
+    expect(middle.y).toBeCloseTo(-50, 1)
+  })
+
+  it('should not count moves in the length', function () {
+    const path = new vd.MotionPath('M 0 0 L 10 0 M 20 0 L 30 0')
+    expect(path.length).toBe(20)
+    expect(path.pointAt(0.75).x).toBe(25)
+  })
+
+  it('should not parse paths without a starting move', function () {
+    expect(() => new vd.MotionPath('L 10 10'))
+      .toThrow(new Error("Invalid path data: 'L 10 10'"))
+  })
+
+  it('should not parse incomplete bezier curves', function () {
+    expect(() => new vd.MotionPath([[0, 0], [10, 10]]))
+      .toThrow(new Error('Bezier points must be a start point followed by three points for each curve'))
+  })
+})
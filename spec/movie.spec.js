@@ -254,6 +254,16 @@ describe('Movie', function () {
       expect(movie.currentTime).toBe(0)
     })
 
+    it('should schedule its volume on its audio input when played', function () {
+      movie.volume = new vd.KeyFrame([0, 0], [0.8, 2])
+      spyOn(movie.audioInput.gain, 'linearRampToValueAtTime')
+
+      movie.play()
+      movie.pause()
+
+      expect(movie.audioInput.gain.linearRampToValueAtTime.calls.mostRecent().args[0]).toBe(2)
+    })
+
     it('should be `recording` when recording', function () {
       movie.record({ frameRate: 10 })
       expect(movie.recording).toBe(true)
@@ -341,6 +351,168 @@ describe('Movie', function () {
           }
         })
     })
+
+    it('should be `recording` when recording offline', function () {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      movie.record({ frameRate: 10, offline: true })
+      expect(movie.recording).toBe(true)
+    })
+
+    it('should render every frame when recording offline', function (done) {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      let timesSeeked = 0
+      vd.event.subscribe(movie, 'movie.seek', () => {
+        timesSeeked++
+      })
+      movie.record({ frameRate: 10, offline: true })
+        .then(_ => {
+          // The movie is 0.8 seconds long
+          expect(timesSeeked).toBe(8)
+          done()
+        })
+    })
+
+    it('should return blob after recording offline', function (done) {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      movie.record({ frameRate: 10, offline: true })
+        .then(video => {
+          expect(video.size).toBeGreaterThan(0)
+          expect(video.type).toBe('video/webm')
+          expect(movie.recording).toBe(false)
+          done()
+        })
+    })
+
+    it("should leave out audio it can't download when recording offline", async function () {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      const source = new Audio()
+      await new Promise(resolve => {
+        source.addEventListener('canplay', resolve, { once: true })
+        source.src = '/base/spec/assets/layer/audio.wav'
+      })
+      const layer = new vd.layer.Audio({ startTime: 0, source })
+      movie.addLayer(layer)
+      spyOn(window, 'fetch').and.returnValue(Promise.reject(new Error('Network error')))
+      let warning = null
+      vd.event.subscribe(movie, 'movie.recordwarning', event => {
+        warning = event
+      })
+
+      const video = await movie.record({ frameRate: 10, offline: true })
+
+      expect(video).toBeInstanceOf(Blob)
+      expect(warning.layer).toBe(layer)
+    })
+
+    it('should not record streams offline, even in groups', function () {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      const group = new vd.layer.Group({ startTime: 0, duration: 1 })
+      const stream = document.createElement('canvas').captureStream()
+      group.addLayer(new vd.layer.Stream({ startTime: 0, duration: 1, stream }))
+      movie.addLayer(group)
+
+      expect(() => movie.record({ frameRate: 10, offline: true }))
+        .toThrow(new Error('Movies with streams can only be recorded in real time'))
+    })
+
+    it('should not record offline with a MIME type other than WebM', function () {
+      if (!('VideoEncoder' in window))
+        pending('WebCodecs is not supported')
+
+      expect(() => movie.record({ frameRate: 10, offline: true, type: 'video/mp4' }))
+        .toThrow(new Error("Offline recording only supports 'video/webm'"))
+    })
+
+    it('should yield one image per frame', async function () {
+      const frames = []
+      for await (const frame of movie.frames({ frameRate: 10 }))
+        frames.push(frame)
+
+      // The movie is 0.8 seconds long
+      expect(frames.length).toBe(8)
+      expect(frames.every(frame => frame.type === 'image/png')).toBe(true)
+    })
+
+    it('should yield image bitmaps of the canvas', async function () {
+      for await (const frame of movie.frames({ frameRate: 10, start: 0.4, type: 'imagebitmap' })) {
+        expect(frame.width).toBe(canvas.width)
+        expect(frame.height).toBe(canvas.height)
+      }
+    })
+
+    it('should restore the playback position after yielding frames', async function () {
+      await movie.setCurrentTime(0.3)
+      // eslint-disable-next-line no-unused-vars
+      for await (const _ of movie.frames({ frameRate: 10 }))
+        continue
+
+      expect(movie.currentTime).toBe(0.3)
+    })
+
+    it('should not play or record while yielding frames', async function () {
+      const frames = movie.frames({ frameRate: 10 })
+      await frames.next()
+      await expectAsync(movie.play()).toBeRejectedWith(new Error('Already playing'))
+      expect(() => movie.record({ frameRate: 10 })).toThrow(new Error('Cannot record movie while already playing or recording'))
+
+      await frames.return()
+      expect(movie.paused).toBe(true)
+    })
+
+    it('should reject when a frame cannot be encoded', async function () {
+      spyOn(movie.canvas, 'toBlob').and.callFake(callback => callback(null))
+      await expectAsync(movie.frames({ frameRate: 10 }).next())
+        .toBeRejectedWith(new Error("Could not encode frame as 'image/png'"))
+      expect(movie.paused).toBe(true)
+    })
+
+    it('should render a keyframed gradient background at the current time', async function () {
+      const color = new vd.KeyFrame([0, '#0000ff', vd.easing.hold], [0.5, '#ff0000'])
+      movie.background = new vd.LinearGradient(0, 0, 20, 0, [
+        { offset: 0, color },
+        { offset: 1, color }
+      ])
+      await movie.setCurrentTime(0.2)
+
+      expect(Array.from(movie.cctx.getImageData(0, 0, 1, 1).data)).toEqual([0, 0, 255, 255])
+    })
+  })
+
+  describe('blend modes ->', function () {
+    const pixelAt = (x, y) => Array.from(movie.cctx.getImageData(x, y, 1, 1).data)
+
+    beforeEach(function () {
+      movie.background = 'rgb(200, 200, 200)'
+      movie.layers[0].background = 'rgb(50, 50, 50)'
+    })
+
+    it('should use the canvas composite operation when possible', async function () {
+      movie.layers[0].blendMode = 'difference'
+      await movie.refresh()
+
+      expect(pixelAt(0, 0)).toEqual([150, 150, 150, 255])
+    })
+
+    it('should blend with WebGL when canvas does not support the mode', async function () {
+      movie.layers[0].blendMode = 'subtract'
+      await movie.refresh()
+
+      const [r, g, b, a] = pixelAt(0, 0)
+      expect(r).toBeCloseTo(150, -1)
+      expect(g).toBeCloseTo(150, -1)
+      expect(b).toBeCloseTo(150, -1)
+      expect(a).toBe(255)
+    })
   })
 
   describe('events ->', function () {
@@ -420,6 +592,55 @@ describe('Movie', function () {
       expect(timesFired).toBe(1)
     })
 
+    it("should fire 'movie.seeked' after rendering the new frame", async function () {
+      let timesFired = 0
+      vd.event.subscribe(movie, 'movie.seeked', function () {
+        timesFired++
+      })
+      await movie.setCurrentTime(movie.duration / 2)
+      expect(timesFired).toBe(1)
+    })
+
+    describe('with media ->', function () {
+      let layer
+
+      beforeEach(function (done) {
+        const source = new Audio()
+        source.addEventListener('canplay', () => {
+          layer = new vd.layer.Audio({ startTime: 0, source })
+          movie.addLayer(layer)
+          done()
+        }, { once: true })
+        source.src = '/base/spec/assets/layer/audio.wav'
+      })
+
+      it('should wait for media layers to seek before rendering', async function () {
+        let finishSeek
+        spyOn(layer, 'waitForSeek').and.returnValue(new Promise(resolve => {
+          finishSeek = resolve
+        }))
+        let seeked = false
+        vd.event.subscribe(movie, 'movie.seeked', function () {
+          seeked = true
+        })
+
+        const seeking = movie.setCurrentTime(0.1)
+        await new Promise(resolve => setTimeout(resolve, 10))
+        expect(seeked).toBe(false)
+
+        finishSeek()
+        await seeking
+        expect(seeked).toBe(true)
+      })
+
+      it('should stop waiting for media layers after seekTimeout', async function () {
+        movie.seekTimeout = 10
+        spyOn(layer, 'waitForSeek').and.returnValue(new Promise(() => {}))
+        await movie.setCurrentTime(0.1)
+        expect(movie.currentTime).toBe(0.1)
+      })
+    })
+
     it("should fire 'movie.timeupdate'", function () {
       let firedOnce = false
       vd.event.subscribe(movie, 'movie.timeupdate', function () {
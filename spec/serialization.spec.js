@@ -0,0 +1,170 @@
+describe('Serialization', function () {
+  let movie, canvas
+
+  beforeEach(function () {
+    canvas = document.createElement('canvas')
+    canvas.width = 20
+    canvas.height = 20
+    movie = new vd.Movie({ canvas, autoRefresh: false })
+  })
+
+  const roundTrip = (movie, options = {}) =>
+    vd.Movie.fromJSON(
+      JSON.parse(JSON.stringify(movie)),
+      { canvas: document.createElement('canvas'), ...options }
+    )
+
+  it('should save the version', function () {
+    expect(movie.toJSON().version).toBe(vd.serialization.VERSION)
+  })
+
+  it('should reject newer versions', async function () {
+    const data = movie.toJSON()
+    data.version = vd.serialization.VERSION + 1
+    await expectAsync(vd.Movie.fromJSON(data, { canvas }))
+      .toBeRejectedWith(new Error(`Unsupported project version: ${data.version}`))
+  })
+
+  it('should restore movie properties', async function () {
+    movie.background = new vd.KeyFrame([0, 'red'], [1, 'blue']).withColorSpace('oklch')
+    movie.repeat = true
+
+    const loaded = await roundTrip(movie)
+
+    expect(loaded.width).toBe(movie.width)
+    expect(loaded.height).toBe(movie.height)
+    expect(loaded.repeat).toBe(true)
+    expect(loaded.autoRefresh).toBe(false)
+    expect(loaded.background.value).toEqual(movie.background.value)
+    expect(loaded.background.colorSpace).toBe('oklch')
+  })
+
+  it('should restore layers and their effects', async function () {
+    const layer = new vd.layer.Text({
+      startTime: 0.5,
+      duration: 2,
+      text: 'Hello',
+      font: new vd.Font(16, 'px', 'monospace'),
+      color: new vd.Color(255, 0, 0),
+      opacity: new vd.KeyFrame([0, 0, vd.cosineInterp], [1, 1])
+    })
+    layer.addEffect(new vd.effect.Brightness({ brightness: 10 }))
+    movie.addLayer(layer)
+
+    const loaded = await roundTrip(movie)
+
+    const loadedLayer = loaded.layers[0]
+    expect(loadedLayer instanceof vd.layer.Text).toBe(true)
+    expect(loadedLayer.startTime).toBe(0.5)
+    expect(loadedLayer.duration).toBe(2)
+    expect(loadedLayer.text).toBe('Hello')
+    expect(loadedLayer.font instanceof vd.Font).toBe(true)
+    expect(loadedLayer.color instanceof vd.Color).toBe(true)
+    expect(loadedLayer.opacity.value[0][2]).toBe(vd.cosineInterp)
+    expect(loadedLayer.effects[0] instanceof vd.effect.Brightness).toBe(true)
+    expect(loadedLayer.effects[0].brightness).toBe(10)
+  })
+
+  it('should restore nested effects and matrices', async function () {
+    movie.addEffect(new vd.effect.Stack({
+      effects: [
+        new vd.effect.Transform({ matrix: new vd.effect.Transform.Matrix().scale(2, 2) }),
+        new vd.effect.GaussianBlur({ radius: 3 })
+      ]
+    }))
+
+    const loaded = await roundTrip(movie)
+
+    const stack = loaded.effects[0]
+    expect(stack instanceof vd.effect.Stack).toBe(true)
+    expect(stack.effects[0].matrix.data).toEqual(movie.effects[0].effects[0].matrix.data)
+    expect(stack.effects[1] instanceof vd.effect.GaussianBlur).toBe(true)
+    expect(stack.effects[1].effects[0].radius).toBe(3)
+  })
+
+  it('should restore easing interpolations by name', async function () {
+    const bezier = vd.easing.cubicBezier(0.25, 0.1, 0.25, 1)
+    movie.addLayer(new vd.layer.Visual({
+      startTime: 0,
+      duration: 1,
+      opacity: new vd.KeyFrame([0, 0, vd.easing.easeInOutBack], [0.5, 1, bezier], [1, 0])
+    }))
+
+    const data = JSON.parse(JSON.stringify(movie))
+    const loaded = await vd.Movie.fromJSON(data, { canvas: document.createElement('canvas') })
+
+    const points = loaded.layers[0].opacity.value
+    expect(points[0][2]).toBe(vd.easing.easeInOutBack)
+    expect(data.movie.layers[0].properties.opacity.points[1][2])
+      .toEqual(['cubicBezier', 0.25, 0.1, 0.25, 1])
+    expect(points[1][2](0, 1, 0.3)).toBeCloseTo(bezier(0, 1, 0.3), 6)
+  })
+
+  it('should restore motion paths', async function () {
+    movie.addLayer(new vd.layer.Visual({
+      startTime: 0,
+      duration: 1,
+      motionPath: new vd.MotionPath('M 0 0 L 10 10'),
+      motionProgress: new vd.KeyFrame([0, 0], [1, 1])
+    }))
+
+    const loaded = await roundTrip(movie)
+
+    const motionPath = loaded.layers[0].motionPath
+    expect(motionPath instanceof vd.MotionPath).toBe(true)
+    expect(motionPath.source).toBe('M 0 0 L 10 10')
+  })
+
+  it('should restore gradients', async function () {
+    movie.background = new vd.RadialGradient(10, 10, 0, 10, 10, new vd.KeyFrame([0, 5], [1, 10]), [
+      { offset: 0, color: new vd.Color(255, 0, 0) },
+      { offset: 1, color: 'blue' }
+    ])
+
+    const loaded = await roundTrip(movie)
+
+    const background = loaded.background
+    expect(background instanceof vd.RadialGradient).toBe(true)
+    expect([background.x0, background.y0, background.r0, background.x1, background.y1]).toEqual([10, 10, 0, 10, 10])
+    expect(background.r1.value).toEqual([[0, 5], [1, 10]])
+    expect(background.stops).toEqual(movie.background.stops)
+  })
+
+  it('should load media with the provided loader', async function () {
+    const image = new Image()
+    image.src = '/base/spec/assets/layer/image.jpg'
+    await new Promise(resolve => {
+      image.onload = resolve
+    })
+    movie.addLayer(new vd.layer.Image({ startTime: 0, duration: 1, source: image }))
+    const loadMedia = jasmine.createSpy('loadMedia').and.returnValue(image)
+
+    const loaded = await roundTrip(movie, { loadMedia })
+
+    expect(loadMedia).toHaveBeenCalledWith({ element: 'img', id: image.src })
+    expect(loaded.layers[0].source).toBe(image)
+  })
+
+  it('should not serialize function values', function () {
+    movie.addLayer(new vd.layer.Visual({ startTime: 0, duration: 1, x: () => 0 }))
+    expect(() => movie.toJSON())
+      .toThrow(new Error("Cannot serialize function value of 'x'"))
+  })
+
+  it('should not serialize unregistered classes', function () {
+    class CustomLayer extends vd.layer.Base {}
+    movie.addLayer(new CustomLayer({ startTime: 0, duration: 1 }))
+    expect(() => movie.toJSON())
+      .toThrow(new Error("Class not registered for serialization: 'CustomLayer'"))
+  })
+
+  it('should serialize registered custom classes', async function () {
+    class RegisteredLayer extends vd.layer.Base {}
+    vd.serialization.register('test.RegisteredLayer', RegisteredLayer)
+    movie.addLayer(new RegisteredLayer({ startTime: 0, duration: 1 }))
+
+    const loaded = await roundTrip(movie)
+
+    expect(loaded.layers[0] instanceof RegisteredLayer).toBe(true)
+  })
+})
@@ -0,0 +1,169 @@
+describe('Transitions', function () {
+  let movie, from, to
+
+  beforeEach(function () {
+    const canvas = document.createElement('canvas')
+    canvas.width = 10
+    canvas.height = 10
+    movie = new vd.Movie({ canvas, autoRefresh: false })
+    // Overlap from 1s to 2s
+    from = new vd.layer.Visual({ startTime: 0, duration: 2, background: 'red' })
+    to = new vd.layer.Visual({ startTime: 1, duration: 2, background: 'blue' })
+    movie.addLayer(from)
+    movie.addLayer(to)
+  })
+
+  const pixelAt = (x, y) => Array.from(movie.cctx.getImageData(x, y, 1, 1).data)
+
+  const renderAt = async time => {
+    movie.currentTime = time
+    await movie.refresh()
+  }
+
+  describe('Base', function () {
+    it("should be of type 'transition'", function () {
+      expect(new vd.transition.Base().type).toBe('transition')
+    })
+
+    it('should start when its incoming layer starts', function () {
+      const transition = new vd.transition.Base({ from, to })
+      expect(transition.startTime).toBe(1)
+    })
+
+    it('should be attached to the movie when added', function () {
+      const transition = new vd.transition.Crossfade({ from, to })
+      movie.addTransition(transition)
+      expect(transition.movie).toBe(movie)
+
+      movie.transitions.pop()
+      expect(transition.movie).toBe(null)
+    })
+
+    it('should pass the progress to render', async function () {
+      const transition = new vd.transition.Base({ from, to, duration: 1 })
+      spyOn(transition, 'render')
+      movie.addTransition(transition)
+
+      await renderAt(1.25)
+
+      expect(transition.render.calls.mostRecent().args[2]).toBe(0.25)
+    })
+
+    it('should not render outside its time range', async function () {
+      const transition = new vd.transition.Base({ from, to, duration: 0.5 })
+      spyOn(transition, 'render')
+      movie.addTransition(transition)
+
+      await renderAt(1.75)
+
+      expect(transition.render).not.toHaveBeenCalled()
+      expect(pixelAt(0, 0)).toEqual([0, 0, 255, 255])
+    })
+  })
+
+  describe('Crossfade', function () {
+    it('should mix the layers', async function () {
+      movie.addTransition(new vd.transition.Crossfade({ from, to, duration: 1 }))
+
+      await renderAt(1.5)
+
+      const [r, g, b, a] = pixelAt(0, 0)
+      expect(r).toBeCloseTo(128, -1)
+      expect(g).toBe(0)
+      expect(b).toBeCloseTo(128, -1)
+      expect(a).toBe(255)
+    })
+  })
+
+  describe('Wipe', function () {
+    it('should reveal the incoming layer in its direction', async function () {
+      movie.addTransition(new vd.transition.Wipe({ from, to, duration: 1, direction: 'right' }))
+
+      await renderAt(1.5)
+
+      expect(pixelAt(2, 5)).toEqual([0, 0, 255, 255])
+      expect(pixelAt(7, 5)).toEqual([255, 0, 0, 255])
+    })
+  })
+
+  describe('Slide', function () {
+    it('should move the incoming layer over the outgoing one', async function () {
+      movie.addTransition(new vd.transition.Slide({ from, to, duration: 1, direction: 'left' }))
+
+      await renderAt(1.5)
+
+      expect(pixelAt(2, 5)).toEqual([255, 0, 0, 255])
+      expect(pixelAt(7, 5)).toEqual([0, 0, 255, 255])
+    })
+  })
+
+  describe('Push', function () {
+    it('should move both layers', async function () {
+      const transition = new vd.transition.Push({ from, to, duration: 1, direction: 'left' })
+      spyOn(transition.cctx, 'drawImage').and.callThrough()
+      movie.addTransition(transition)
+
+      await renderAt(1.5)
+
+      const positions = transition.cctx.drawImage.calls.allArgs()
+        .map(args => [args[1], args[2]])
+      expect(positions).toEqual([[-5, 0], [5, 0]])
+    })
+  })
+
+  describe('DipToColor', function () {
+    it('should show only the color halfway through', async function () {
+      movie.addTransition(new vd.transition.DipToColor({ from, to, duration: 1, color: 'lime' }))
+
+      await renderAt(1.5)
+
+      expect(pixelAt(5, 5)).toEqual([0, 255, 0, 255])
+    })
+  })
+
+  describe('Shader', function () {
+    it('should render the fragment shader', async function () {
+      movie.addTransition(new vd.transition.Shader({
+        from,
+        to,
+        duration: 1,
+        fragmentSource: `
+          precision mediump float;
+
+          uniform sampler2D u_To;
+
+          varying highp vec2 v_TextureCoord;
+
+          void main() {
+            gl_FragColor = texture2D(u_To, v_TextureCoord);
+          }
+        `
+      }))
+
+      await renderAt(1.5)
+
+      expect(pixelAt(5, 5)).toEqual([0, 0, 255, 255])
+    })
+
+    it('should not allow reserved uniform names', function () {
+      expect(() => new vd.transition.Shader({ uniforms: { progress: '1f' } }))
+        .toThrow(new Error('Reserved uniform name: progress'))
+    })
+  })
+
+  it('should be serializable', async function () {
+    movie.addTransition(new vd.transition.Wipe({ from, to, duration: 0.5, direction: 'up' }))
+
+    const loaded = await vd.Movie.fromJSON(
+      JSON.parse(JSON.stringify(movie)),
+      { canvas: document.createElement('canvas') }
+    )
+
+    const transition = loaded.transitions[0]
+    expect(transition instanceof vd.transition.Wipe).toBe(true)
+    expect(transition.from).toBe(loaded.layers[0])
+    expect(transition.to).toBe(loaded.layers[1])
+    expect(transition.duration).toBe(0.5)
+    expect(transition.direction).toBe('up')
+  })
+})
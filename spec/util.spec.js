@@ -186,6 +186,145 @@ describe('Util', function () {
       expect(new vd.Color(255, 0, 255, 0.5).toString())
         .toBe('rgba(255, 0, 255, 0.5)')
     })
+
+    it('fromHex() should parse short and long hex codes', function () {
+      expect(vd.Color.fromHex('#f00')).toEqual(new vd.Color(255, 0, 0))
+      expect(vd.Color.fromHex('00ff0080')).toEqual(new vd.Color(0, 255, 0, 128 / 255))
+    })
+
+    it('fromHex() should not parse invalid hex codes', function () {
+      expect(() => vd.Color.fromHex('#ggg'))
+        .toThrow(new Error("Invalid hex color: '#ggg'"))
+    })
+
+    it('toHex() should convert to a hex code', function () {
+      expect(new vd.Color(255, 128, 0).toHex()).toBe('#ff8000')
+      expect(new vd.Color(0, 0, 255, 0.5).toHex()).toBe('#0000ff80')
+    })
+
+    it('fromHSL() should convert from hue, saturation and lightness', function () {
+      expect(vd.Color.fromHSL(120, 1, 0.5).toHex()).toBe('#00ff00')
+      expect(vd.Color.fromHSL(0, 0, 1).toHex()).toBe('#ffffff')
+    })
+
+    it('mix() should mix in sRGB by default', function () {
+      const mixed = new vd.Color(255, 0, 0).mix(new vd.Color(0, 0, 255, 0), 0.5)
+      expect(mixed).toEqual(new vd.Color(127.5, 0, 127.5, 0.5))
+    })
+
+    it('mix() should take the shortest path around the hue circle in HSL', function () {
+      // Red to blue goes through magenta, not green
+      const mixed = new vd.Color(255, 0, 0).mix(new vd.Color(0, 0, 255), 0.5, 'hsl')
+      expect(mixed.toHex()).toBe('#ff00ff')
+    })
+
+    it('mix() should mix in linear RGB', function () {
+      const mixed = new vd.Color(255, 0, 0).mix(new vd.Color(0, 0, 255), 0.5, 'linear-rgb')
+      expect(mixed.toHex()).toBe('#bc00bc')
+    })
+
+    it('mix() should mix in OKLab and OKLCH', function () {
+      const red = new vd.Color(255, 0, 0)
+      const blue = new vd.Color(0, 0, 255)
+      expect(red.mix(blue, 0.5, 'oklab').toHex()).toBe('#8c53a2')
+      expect(red.mix(blue, 0.5, 'oklch').toHex()).toBe('#ba00c2')
+    })
+
+    it('mix() should keep the color when mixed with itself', function () {
+      const color = new vd.Color(200, 100, 50)
+      for (const space of ['linear-rgb', 'hsl', 'oklab', 'oklch'])
+        expect(color.mix(color, 0.3, space).toHex()).toBe('#c86432')
+    })
+
+    it('mix() should not allow unknown color spaces', function () {
+      expect(() => new vd.Color(0, 0, 0).mix(new vd.Color(0, 0, 0), 0.5, 'cmyk'))
+        .toThrow(new Error("Invalid color space: 'cmyk'"))
+    })
+  })
+
+  describe('color keyframes', function () {
+    it('should interpolate colors in the color space', function () {
+      const keyFrame = new vd.KeyFrame([0, new vd.Color(255, 0, 0)], [1, new vd.Color(0, 0, 255)])
+        .withColorSpace('hsl')
+      expect(keyFrame.evaluate(0.5).toHex()).toBe('#ff00ff')
+    })
+
+    it('should interpolate CSS color strings', function () {
+      const keyFrame = new vd.KeyFrame([0, '#f00'], [1, '#00f'])
+      expect(keyFrame.evaluate(0.5)).toBe('rgba(127.5, 0, 127.5, 1)')
+    })
+
+    it('should ease the progress with the interpolation', function () {
+      const keyFrame = new vd.KeyFrame([0, '#000', vd.easing.hold], [1, '#fff'])
+      expect(keyFrame.evaluate(0.5)).toBe('rgba(0, 0, 0, 1)')
+    })
+
+    it('should only interpolate color names if the color space is set', function () {
+      expect(new vd.KeyFrame([0, 'red'], [1, 'blue']).evaluate(0.5)).toBe('red')
+      expect(new vd.KeyFrame([0, 'red'], [1, 'blue']).withColorSpace('rgb').evaluate(0.5))
+        .toBe('rgba(127.5, 0, 127.5, 1)')
+    })
+
+    it('should not interpolate keywords that are not colors', function () {
+      const keyFrame = new vd.KeyFrame([0, 'inherit'], [1, 'blue']).withColorSpace('rgb')
+      expect(keyFrame.evaluate(0.5)).toBe('inherit')
+    })
+
+    it('should not interpolate other strings', function () {
+      const keyFrame = new vd.KeyFrame([0, 'hello'], [1, 'world'])
+      expect(keyFrame.evaluate(0.5)).toBe('hello')
+    })
+  })
+
+  describe('Gradient ->', function () {
+    const stops = (start, end) => [{ offset: 0, color: start }, { offset: 1, color: end }]
+
+    it('mix() should mix the geometry and stops', function () {
+      const gradient = new vd.LinearGradient(0, 0, 10, 0, stops('#000', '#f00'))
+        .mix(new vd.LinearGradient(10, 0, 20, 10, stops('#fff', '#00f')), 0.5)
+      expect(gradient instanceof vd.LinearGradient).toBe(true)
+      expect([gradient.x0, gradient.y0, gradient.x1, gradient.y1]).toEqual([5, 0, 15, 5])
+      expect(gradient.stops).toEqual([
+        { offset: 0, color: 'rgba(127.5, 127.5, 127.5, 1)' },
+        { offset: 1, color: 'rgba(127.5, 0, 127.5, 1)' }
+      ])
+    })
+
+    it('mix() should keep the type of stop colors', function () {
+      const gradient = new vd.ConicGradient(0, 0, 0, stops(new vd.Color(0, 0, 0), '#000'))
+        .mix(new vd.ConicGradient(Math.PI, 0, 0, stops(new vd.Color(255, 0, 0), '#f00')), 0.5)
+      expect(gradient.angle).toBe(Math.PI / 2)
+      expect(gradient.stops[0].color).toEqual(new vd.Color(127.5, 0, 0))
+      expect(gradient.stops[1].color).toBe('rgba(127.5, 0, 0, 1)')
+    })
+
+    it('mix() should not mix different types of gradients', function () {
+      const linear = new vd.LinearGradient(0, 0, 10, 0, stops('#000', '#fff'))
+      const radial = new vd.RadialGradient(0, 0, 0, 0, 0, 10, stops('#000', '#fff'))
+      expect(() => linear.mix(radial, 0.5))
+        .toThrow(new Error('Gradients must have the same type and number of stops to be mixed'))
+    })
+
+    it('toCanvasGradient() should evaluate dynamic values', function () {
+      const ctx = document.createElement('canvas').getContext('2d')
+      spyOn(ctx, 'createLinearGradient').and.callThrough()
+      const gradient = new vd.LinearGradient(
+        new vd.KeyFrame([0, 0], [2, 10]), 0, (element, time) => element.size * time, 0,
+        [{ offset: 0, color: 'red' }, { offset: new vd.KeyFrame([0, 0], [2, 1]), color: 'blue' }]
+      )
+      expect(gradient.toCanvasGradient(ctx, { size: 4 }, 1) instanceof CanvasGradient).toBe(true)
+      expect(ctx.createLinearGradient).toHaveBeenCalledWith(5, 0, 4, 0)
+    })
+
+    it('should be interpolated by keyframes in the color space', function () {
+      const keyFrame = new vd.KeyFrame(
+        [0, new vd.RadialGradient(0, 0, 0, 0, 0, 10, stops(new vd.Color(255, 0, 0), '#000'))],
+        [2, new vd.RadialGradient(0, 0, 0, 0, 0, 20, stops(new vd.Color(0, 0, 255), '#000'))]
+      ).withColorSpace('hsl')
+      const gradient = keyFrame.evaluate(1)
+      expect(gradient.r1).toBe(15)
+      expect(gradient.stops[0].color.toHex()).toBe('#ff00ff')
+    })
   })
 
   describe('parseColor', function () {
@@ -246,7 +385,8 @@ describe('Util', function () {
           target: element,
           type: 'test.change.modify',
           property: 'foo',
-          newValue: 1
+          newValue: 1,
+          oldValue: 0
         }
       ])
     })
@@ -266,7 +406,8 @@ describe('Util', function () {
           target: element,
           type: 'test.change.modify',
           property: 'foo',
-          newValue: 1
+          newValue: 1,
+          oldValue: undefined
         }
       ])
     })
@@ -323,7 +464,8 @@ describe('Util', function () {
           target: element,
           type: 'test.change.modify',
           property: 'foo.bar',
-          newValue: 1
+          newValue: 1,
+          oldValue: 0
         }
       ])
     })
@@ -343,7 +485,8 @@ describe('Util', function () {
           target: element,
           type: 'test.change.modify',
           property: 'foo.bar',
-          newValue: 1
+          newValue: 1,
+          oldValue: undefined
         }
       ])
     })
@@ -0,0 +1,351 @@
+import { IAudioContext, IAudioNode, IAudioParam, IOfflineAudioContext } from 'standardized-audio-context'
+import { watchPublic, applyOptions, val, clearCachedValues, KeyFrame, linearInterp } from '../util'
+import { publish, subscribe } from '../event'
+import { Movie } from '../movie'
+import { AudioSource } from '../layer/audio-source'
+import BaseObject from '../object'
+
+/**
+ * How quickly parameters approach their new value each frame, in seconds
+ * (avoids clicks)
+ */
+const SMOOTHING_TIME_CONSTANT = 0.01
+/**
+ * How many times per second parameters are sampled when they can't be
+ * scheduled as linear ramps
+ */
+const AUTOMATION_RATE = 100
+/**
+ * How many seconds of sampled values are scheduled when there is no end time,
+ * like for movies with live streams
+ */
+const UNBOUNDED_SAMPLE_DURATION = 60
+
+export type AudioEffectTarget = Movie | AudioSource
+export type AudioEffectContext = IAudioContext | IOfflineAudioContext
+
+/** The audio nodes that make up an audio effect */
+export interface AudioEffectNodes {
+  input: IAudioNode<AudioEffectContext>
+  output: IAudioNode<AudioEffectContext>
+  /** Maps property names to the audio parameters they control */
+  params: Record<string, IAudioParam>
+}
+
+export interface BaseOptions {
+  enabled?: boolean
+}
+
+/**
+ * Modifies the audio of a movie or of an audio or video layer.
+ *
+ * Each property in {@link AudioEffectNodes#params} is evaluated every frame
+ * and smoothly applied to its audio parameter.
+ */
+export class Base implements BaseObject {
+  type: string
+  publicExcludes: string[]
+  propertyFilters: Record<string, <T>(value: T) => T>
+
+  enabled: boolean
+
+  private _target: AudioEffectTarget
+  private _nodes: AudioEffectNodes
+  /** The values last applied to the parameters */
+  private _appliedValues: Record<string, number>
+  /**
+   * The number of times this effect has been attached to a target minus the
+   * number of times it's been detached. (Used for the target's array proxy with
+   * `unshift`)
+   */
+  private _occurrenceCount: number
+
+  constructor (options: BaseOptions = {}) {
+    const newThis = watchPublic(this) as Base // proxy that will be returned by constructor
+    // Don't send updates when initializing, so use this instead of newThis
+    applyOptions(options, this)
+
+    this._target = null
+    this._nodes = null
+    this._appliedValues = {}
+    this._occurrenceCount = 0
+
+    // Propogate up to target
+    subscribe(newThis, 'audioEffect.change.modify', event => {
+      if (!newThis._target)
+        return
+
+      const type = `${newThis._target.type}.change.audioEffect.modify`
+      publish(newThis._target, type, { ...event, target: newThis._target, source: newThis, type })
+    })
+
+    return newThis
+  }
+
+  /**
+   * Attaches this effect to `target` if not already attached.
+   * @ignore
+   */
+  tryAttach (target: AudioEffectTarget): void {
+    if (this._occurrenceCount === 0)
+      this.attach(target)
+
+    this._occurrenceCount++
+  }
+
+  attach (target: AudioEffectTarget): void {
+    this._target = target
+  }
+
+  /**
+   * Dettaches this effect from its target if the number of times `tryDetach`
+   * has been called (including this call) equals the number of times
+   * `tryAttach` has been called.
+   *
+   * @ignore
+   */
+  tryDetach (): void {
+    if (this._target === null)
+      throw new Error('No target to detach from')
+
+    this._occurrenceCount--
+    // If this effect occurs in another place in the containing array, do not
+    // unset _target. (For calling `unshift` on the `audioEffects` proxy)
+    if (this._occurrenceCount === 0)
+      this.detach()
+  }
+
+  detach (): void {
+    if (this._nodes)
+      this._nodes.output.disconnect()
+
+    this._nodes = null
+    this._appliedValues = {}
+    this._target = null
+  }
+
+  // subclasses must implement createNodes
+  /**
+   * Creates the audio nodes for this effect
+   *
+   * @param actx - the audio context to create the nodes in
+   * @abstract
+   */
+  createNodes (actx: AudioEffectContext): AudioEffectNodes { // eslint-disable-line @typescript-eslint/no-unused-vars
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Updates properties of the nodes that aren't audio parameters. Called
+   * every frame.
+   *
+   * @param nodes - the nodes created by {@link Base#createNodes}
+   * @param reltime - the movie's current time relative to the target
+   */
+  updateNodes (nodes: AudioEffectNodes, reltime: number): void {} // eslint-disable-line @typescript-eslint/no-unused-vars, @typescript-eslint/no-empty-function
+
+  /**
+   * Applies the current values of the properties to the audio nodes
+   *
+   * @param target
+   * @param reltime - the movie's current time relative to the target
+   */
+  apply (target: AudioEffectTarget, reltime: number): void {
+    const nodes = this._getNodes()
+    const now = this.movie.actx.currentTime
+    for (const name in nodes.params) {
+      const value = val(this, name, reltime)
+      if (value === this._appliedValues[name])
+        continue
+
+      nodes.params[name].setTargetAtTime(value, now, SMOOTHING_TIME_CONSTANT)
+      this._appliedValues[name] = value
+    }
+    this.updateNodes(nodes, reltime)
+  }
+
+  /**
+   * Creates a separate copy of this effect's nodes in an offline audio context,
+   * with the parameters scheduled ahead of time
+   *
+   * @param octx
+   * @param startTime - the time relative to the target at which the offline
+   * context starts
+   * @param endTime - the time relative to the target at which to stop
+   * scheduling
+   * @ignore
+   */
+  createOfflineNodes (octx: AudioEffectContext, startTime: number, endTime: number): AudioEffectNodes {
+    const nodes = this.createNodes(octx)
+    // Keyframes can't be evaluated before the target starts
+    const firstTime = Math.max(startTime, 0)
+    this.updateNodes(nodes, firstTime)
+    for (const name in nodes.params)
+      scheduleAudioParam(nodes.params[name], this, name, firstTime, endTime, firstTime - startTime)
+
+    return nodes
+  }
+
+  /**
+   * The node that audio enters the effect through
+   * @ignore
+   */
+  get input (): IAudioNode<AudioEffectContext> {
+    return this._getNodes().input
+  }
+
+  /**
+   * The node that audio leaves the effect through
+   * @ignore
+   */
+  get output (): IAudioNode<AudioEffectContext> {
+    return this._getNodes().output
+  }
+
+  private _getNodes (): AudioEffectNodes {
+    if (!this._nodes)
+      // The target might not have had a movie when this was attached.
+      this._nodes = this.createNodes(this.movie.actx)
+
+    return this._nodes
+  }
+
+  /**
+   * The current time of the target
+   */
+  get currentTime (): number {
+    return this._target ? this._target.currentTime : undefined
+  }
+
+  get parent (): AudioEffectTarget {
+    return this._target
+  }
+
+  get movie (): Movie {
+    return this._target ? this._target.movie : undefined
+  }
+
+  getDefaultOptions (): BaseOptions {
+    return {
+      enabled: true
+    }
+  }
+}
+// id for events (independent of instance, but easy to access when on prototype
+// chain)
+Base.prototype.type = 'audioEffect'
+Base.prototype.publicExcludes = []
+Base.prototype.propertyFilters = {}
+
+export type AudioConnection = [IAudioNode<AudioEffectContext>, IAudioNode<AudioEffectContext>]
+
+/**
+ * Connects `source` to `destination` through each effect
+ *
+ * @param source
+ * @param effects
+ * @param destination
+ * @return the connections that were made, for
+ * {@link disconnectAudioEffects}
+ * @ignore
+ */
+export function connectAudioEffects (
+  source: IAudioNode<AudioEffectContext>,
+  effects: Base[],
+  destination: IAudioNode<AudioEffectContext>
+): AudioConnection[] {
+  const connections: AudioConnection[] = []
+  let node = source
+  effects.forEach(effect => {
+    connections.push([node, effect.input])
+    node = effect.output
+  })
+  connections.push([node, destination])
+  connections.forEach(([from, to]) => from.connect(to))
+
+  return connections
+}
+
+/**
+ * Undoes the connections made by {@link connectAudioEffects}
+ *
+ * @param connections
+ * @ignore
+ */
+export function disconnectAudioEffects (connections: AudioConnection[]): void {
+  connections.forEach(([from, to]) => {
+    try {
+      from.disconnect(to)
+    } catch (e) {
+      // Already disconnected (the effect was detached)
+    }
+  })
+}
+
+/**
+ * Schedules the values of a dynamic property on an audio parameter, replacing
+ * any values scheduled after `contextTime`. Linear keyframes become linear
+ * ramps, and other keyframes and functions are sampled. When
+ * <code>endTime</code> is infinite, only the first minute is sampled.
+ *
+ * @param param
+ * @param element - the object the property belongs to
+ * @param property - the name of the property
+ * @param startTime - the element's time at <code>contextTime</code>
+ * @param endTime - the element's time at which to stop scheduling
+ * @param contextTime - the audio context's time at which to start
+ * @param [process] - transforms each value before it's scheduled
+ * @ignore
+ */
+export function scheduleAudioParam (
+  param: IAudioParam,
+  element: BaseObject,
+  property: string,
+  startTime: number,
+  endTime: number,
+  contextTime: number,
+  process: (value: number) => number = value => value
+): void {
+  const valueAt = (time: number): number => {
+    // `val` caches the value for the current frame, but we need each sample.
+    clearCachedValues(element.movie)
+    return process(val(element, property, time))
+  }
+  const toContextTime = (time: number) => contextTime + time - startTime
+  const sampleEnd = isFinite(endTime) ? endTime : startTime + UNBOUNDED_SAMPLE_DURATION
+  const sample = (from: number, end: number) => {
+    const to = Math.min(end, sampleEnd)
+    if (to <= from)
+      return
+
+    for (let time = from + 1 / AUTOMATION_RATE; time < to; time += 1 / AUTOMATION_RATE)
+      param.linearRampToValueAtTime(valueAt(time), toContextTime(time))
+    param.linearRampToValueAtTime(valueAt(to), toContextTime(to))
+  }
+
+  param.cancelScheduledValues(contextTime)
+  param.setValueAtTime(valueAt(startTime), contextTime)
+
+  const raw = element[property]
+  if (raw instanceof KeyFrame) {
+    const points = raw.value
+    for (let i = 0; i + 1 < points.length; i++) {
+      const pointTime = points[i][0] as number
+      const nextTime = points[i + 1][0] as number
+      if (nextTime <= startTime)
+        continue
+      if (pointTime >= endTime)
+        break
+
+      if (points[i].length < 3 || points[i][2] === linearInterp)
+        // The value at the next point is the end of this segment
+        param.linearRampToValueAtTime(valueAt(nextTime), toContextTime(nextTime))
+      else
+        sample(Math.max(pointTime, startTime), Math.min(nextTime, endTime))
+    }
+  } else if (typeof raw === 'function') {
+    sample(startTime, endTime)
+  }
+
+  clearCachedValues(element.movie)
+}
@@ -0,0 +1,56 @@
+import { Dynamic } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface CompressorOptions extends BaseOptions {
+  threshold?: Dynamic<number>
+  knee?: Dynamic<number>
+  ratio?: Dynamic<number>
+  attack?: Dynamic<number>
+  release?: Dynamic<number>
+}
+
+/**
+ * Reduces the volume of loud sounds
+ */
+export class Compressor extends Base {
+  /** The volume above which sounds are compressed, in decibels */
+  threshold: Dynamic<number>
+  /** The range above the threshold where compression fades in, in decibels */
+  knee: Dynamic<number>
+  /** How many decibels of input it takes to raise the output by one */
+  ratio: Dynamic<number>
+  /** How long it takes to reduce the volume, in seconds */
+  attack: Dynamic<number>
+  /** How long it takes to restore the volume, in seconds */
+  release: Dynamic<number>
+
+  constructor (options: CompressorOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const node = actx.createDynamicsCompressor()
+    return {
+      input: node,
+      output: node,
+      params: {
+        threshold: node.threshold,
+        knee: node.knee,
+        ratio: node.ratio,
+        attack: node.attack,
+        release: node.release
+      }
+    }
+  }
+
+  getDefaultOptions (): CompressorOptions {
+    return {
+      ...super.getDefaultOptions(),
+      threshold: -24,
+      knee: 30,
+      ratio: 12,
+      attack: 0.003,
+      release: 0.25
+    }
+  }
+}
@@ -0,0 +1,69 @@
+import { Dynamic } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface DelayOptions extends BaseOptions {
+  delayTime?: Dynamic<number>
+  feedback?: Dynamic<number>
+  wet?: Dynamic<number>
+  dry?: Dynamic<number>
+  maxDelayTime?: number
+}
+
+/**
+ * Repeats the audio after a delay (echo)
+ */
+export class Delay extends Base {
+  /** The time between repeats, in seconds */
+  delayTime: Dynamic<number>
+  /** How much of each repeat is repeated again (between 0 and 1) */
+  feedback: Dynamic<number>
+  /** The volume of the repeats */
+  wet: Dynamic<number>
+  /** The volume of the original audio */
+  dry: Dynamic<number>
+  /** The longest possible <code>delayTime</code>, in seconds */
+  maxDelayTime: number
+
+  constructor (options: DelayOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const input = actx.createGain()
+    const output = actx.createGain()
+    const delay = actx.createDelay(this.maxDelayTime)
+    const feedback = actx.createGain()
+    const wet = actx.createGain()
+    const dry = actx.createGain()
+
+    input.connect(dry)
+    dry.connect(output)
+    input.connect(delay)
+    delay.connect(feedback)
+    feedback.connect(delay)
+    delay.connect(wet)
+    wet.connect(output)
+
+    return {
+      input,
+      output,
+      params: {
+        delayTime: delay.delayTime,
+        feedback: feedback.gain,
+        wet: wet.gain,
+        dry: dry.gain
+      }
+    }
+  }
+
+  getDefaultOptions (): DelayOptions {
+    return {
+      ...super.getDefaultOptions(),
+      delayTime: 0.25,
+      feedback: 0.3,
+      wet: 0.5,
+      dry: 1,
+      maxDelayTime: 5
+    }
+  }
+}
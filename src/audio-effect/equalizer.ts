@@ -0,0 +1,54 @@
+import { IBiquadFilterNode, TBiquadFilterType } from 'standardized-audio-context'
+import { Dynamic, val } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface EqualizerOptions extends BaseOptions {
+  filterType?: Dynamic<TBiquadFilterType>
+  frequency?: Dynamic<number>
+  q?: Dynamic<number>
+  gain?: Dynamic<number>
+}
+
+/**
+ * Boosts or cuts a range of frequencies with a biquad filter
+ */
+export class Equalizer extends Base {
+  /**
+   * The kind of filter, like <code>'lowpass'</code>, <code>'highpass'</code>
+   * or <code>'peaking'</code>
+   */
+  filterType: Dynamic<TBiquadFilterType>
+  /** The center or cutoff frequency, in hertz */
+  frequency: Dynamic<number>
+  /** The quality factor (how narrow the range is) */
+  q: Dynamic<number>
+  /** The boost in decibels, for peaking and shelf filters */
+  gain: Dynamic<number>
+
+  constructor (options: EqualizerOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const node = actx.createBiquadFilter()
+    return {
+      input: node,
+      output: node,
+      params: { frequency: node.frequency, q: node.Q, gain: node.gain }
+    }
+  }
+
+  updateNodes (nodes: AudioEffectNodes, reltime: number): void {
+    (nodes.input as IBiquadFilterNode<AudioEffectContext>).type = val(this, 'filterType', reltime)
+  }
+
+  getDefaultOptions (): EqualizerOptions {
+    return {
+      ...super.getDefaultOptions(),
+      filterType: 'peaking',
+      frequency: 350,
+      q: 1,
+      gain: 0
+    }
+  }
+}
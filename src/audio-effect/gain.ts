@@ -0,0 +1,30 @@
+import { Dynamic } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface GainOptions extends BaseOptions {
+  gain?: Dynamic<number>
+}
+
+/**
+ * Changes the volume
+ */
+export class Gain extends Base {
+  /** The amount to multiply the amplitude by */
+  gain: Dynamic<number>
+
+  constructor (options: GainOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const node = actx.createGain()
+    return { input: node, output: node, params: { gain: node.gain } }
+  }
+
+  getDefaultOptions (): GainOptions {
+    return {
+      ...super.getDefaultOptions(),
+      gain: 1
+    }
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * @module audio-effect
+ */
+
+export * from './base'
+export * from './compressor'
+export * from './delay'
+export * from './equalizer'
+export * from './gain'
+export * from './pan'
+export * from './reverb'
@@ -0,0 +1,30 @@
+import { Dynamic } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface PanOptions extends BaseOptions {
+  pan?: Dynamic<number>
+}
+
+/**
+ * Moves the audio between the left and right speakers
+ */
+export class Pan extends Base {
+  /** Between -1 (left) and 1 (right) */
+  pan: Dynamic<number>
+
+  constructor (options: PanOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const node = actx.createStereoPanner()
+    return { input: node, output: node, params: { pan: node.pan } }
+  }
+
+  getDefaultOptions (): PanOptions {
+    return {
+      ...super.getDefaultOptions(),
+      pan: 0
+    }
+  }
+}
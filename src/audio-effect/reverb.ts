@@ -0,0 +1,81 @@
+import { IAudioBuffer } from 'standardized-audio-context'
+import { Dynamic } from '../util'
+import { Base, BaseOptions, AudioEffectContext, AudioEffectNodes } from './base'
+
+export interface ReverbOptions extends BaseOptions {
+  impulseResponse?: IAudioBuffer
+  duration?: number
+  decay?: number
+  wet?: Dynamic<number>
+  dry?: Dynamic<number>
+}
+
+/**
+ * Makes the audio sound like it's in a room, by convolving it with an impulse
+ * response
+ */
+export class Reverb extends Base {
+  /**
+   * The recording of the room to use, or <code>null</code> to generate one
+   * from <code>duration</code> and <code>decay</code>
+   */
+  impulseResponse: IAudioBuffer
+  /** How long the generated reverb lasts, in seconds */
+  duration: number
+  /** How quickly the generated reverb fades out */
+  decay: number
+  /** The volume of the reverb */
+  wet: Dynamic<number>
+  /** The volume of the original audio */
+  dry: Dynamic<number>
+
+  constructor (options: ReverbOptions = {}) {
+    super(options)
+  }
+
+  createNodes (actx: AudioEffectContext): AudioEffectNodes {
+    const input = actx.createGain()
+    const output = actx.createGain()
+    const convolver = actx.createConvolver()
+    convolver.buffer = this.impulseResponse || this._generateImpulseResponse(actx)
+    const wet = actx.createGain()
+    const dry = actx.createGain()
+
+    input.connect(dry)
+    dry.connect(output)
+    input.connect(convolver)
+    convolver.connect(wet)
+    wet.connect(output)
+
+    return {
+      input,
+      output,
+      params: { wet: wet.gain, dry: dry.gain }
+    }
+  }
+
+  /**
+   * Creates stereo noise that fades out
+   */
+  private _generateImpulseResponse (actx: AudioEffectContext): IAudioBuffer {
+    const length = Math.max(Math.floor(this.duration * actx.sampleRate), 1)
+    const buffer = actx.createBuffer(2, length, actx.sampleRate)
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel)
+      for (let i = 0; i < length; i++)
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, this.decay)
+    }
+    return buffer
+  }
+
+  getDefaultOptions (): ReverbOptions {
+    return {
+      ...super.getDefaultOptions(),
+      impulseResponse: null,
+      duration: 2,
+      decay: 2,
+      wet: 0.3,
+      dry: 1
+    }
+  }
+}
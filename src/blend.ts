@@ -0,0 +1,164 @@
+/**
+ * @module blend
+ * @ignore
+ */
+
+import { Shader } from './effect/shader'
+import { Visual, BlendMode } from './layer/index'
+
+/** Blend modes with a different name for `globalCompositeOperation` */
+const COMPOSITE_OPERATIONS: Record<string, string> = {
+  normal: 'source-over',
+  add: 'lighter'
+}
+
+/** Blend modes that canvas supports, under the same name */
+const CANVAS_BLEND_MODES = [
+  'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+  'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue',
+  'saturation', 'color', 'luminosity'
+]
+
+/**
+ * Blend modes that canvas doesn't support, in the order {@link BlendShader}
+ * numbers them
+ */
+const SHADER_BLEND_MODES = ['subtract', 'divide', 'linear-burn', 'linear-light', 'pin-light']
+
+/**
+ * Blends an image with the contents of a canvas using WebGL
+ */
+class BlendShader extends Shader {
+  private static _FRAGMENT_SOURCE = `
+    precision mediump float;
+
+    uniform sampler2D u_Source;
+    uniform sampler2D u_Layer;
+    uniform float u_Mode;
+
+    varying highp vec2 v_TextureCoord;
+
+    vec3 blend(vec3 b, vec3 s) {
+      if (u_Mode < 0.5) // subtract
+        return max(b - s, 0.0);
+      if (u_Mode < 1.5) // divide
+        return min(b / max(s, 0.0001), 1.0);
+      if (u_Mode < 2.5) // linear-burn
+        return max(b + s - 1.0, 0.0);
+      if (u_Mode < 3.5) // linear-light
+        return clamp(b + 2.0 * s - 1.0, 0.0, 1.0);
+      // pin-light
+      return mix(max(b, 2.0 * s - 1.0), min(b, 2.0 * s), step(s, vec3(0.5)));
+    }
+
+    void main() {
+      vec4 b = texture2D(u_Source, v_TextureCoord);
+      vec4 s = texture2D(u_Layer, v_TextureCoord);
+      // Where there's nothing under the layer, it's drawn normally.
+      vec3 mixed = mix(s.rgb, blend(b.rgb, s.rgb), b.a);
+      float alpha = s.a + b.a * (1.0 - s.a);
+      vec3 color = (s.a * mixed + (1.0 - s.a) * b.a * b.rgb) / max(alpha, 0.0001);
+      gl_FragColor = vec4(color, alpha);
+    }
+  `
+
+  /** The area of the destination canvas under the image */
+  private _backdrop: { canvas: HTMLCanvasElement, cctx: CanvasRenderingContext2D }
+  private _image: HTMLCanvasElement
+  private _mode: number
+
+  constructor () {
+    super({
+      fragmentSource: BlendShader._FRAGMENT_SOURCE,
+      uniforms: { mode: '1f' },
+      textures: { layer: {} }
+    })
+    const canvas = document.createElement('canvas')
+    this._backdrop = { canvas, cctx: canvas.getContext('2d') }
+  }
+
+  /**
+   * Draws `image` onto `cctx` at (`x`, `y`)
+   *
+   * @param cctx
+   * @param image
+   * @param x
+   * @param y
+   * @param mode - the index of the mode in `SHADER_BLEND_MODES`
+   * @param reltime
+   */
+  draw (cctx: CanvasRenderingContext2D, image: HTMLCanvasElement, x: number, y: number, mode: number, reltime: number): void {
+    const { canvas, cctx: backdropCctx } = this._backdrop
+    canvas.width = image.width
+    canvas.height = image.height
+    backdropCctx.drawImage(cctx.canvas, x, y, image.width, image.height, 0, 0, image.width, image.height)
+
+    this._image = image
+    this._mode = mode
+    // Replaces the backdrop with the blended result
+    this.apply(this._backdrop as unknown as Visual, reltime)
+
+    cctx.clearRect(x, y, image.width, image.height)
+    cctx.drawImage(canvas, x, y)
+  }
+
+  // The shader reads its uniforms from its properties. Use getters, so
+  // updating them doesn't publish change events.
+  get layer (): HTMLCanvasElement {
+    return this._image
+  }
+
+  get mode (): number {
+    return this._mode
+  }
+}
+
+/** The shader that blends each layer, for blend modes canvas doesn't support */
+const shaders: WeakMap<Visual, BlendShader> = new WeakMap()
+
+/** The transformed layer, for blending with a shader */
+const transformedCanvas = document.createElement('canvas')
+const transformedCtx = transformedCanvas.getContext('2d')
+
+/**
+ * Draws a layer's canvas onto `cctx`, combining it with what's already there
+ *
+ * @param cctx
+ * @param layer
+ * @param matrix - the transformation from the layer's canvas to `cctx`
+ * @param mode
+ */
+export function drawBlended (cctx: CanvasRenderingContext2D, layer: Visual, matrix: DOMMatrix, mode: BlendMode): void {
+  const canvas = layer.canvas
+  if (mode in COMPOSITE_OPERATIONS || CANVAS_BLEND_MODES.includes(mode)) {
+    cctx.save()
+    cctx.globalCompositeOperation = COMPOSITE_OPERATIONS[mode] || mode
+    cctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f)
+    cctx.drawImage(canvas, 0, 0, canvas.width, canvas.height)
+    cctx.restore()
+    return
+  }
+
+  if (!SHADER_BLEND_MODES.includes(mode))
+    throw new Error(`Invalid blend mode: '${mode}'`)
+
+  if (!shaders.has(layer)) {
+    const shader = new BlendShader()
+    // For `val`
+    shader.tryAttach(layer)
+    shaders.set(layer, shader)
+  }
+  const shader = shaders.get(layer)
+  const modeIndex = SHADER_BLEND_MODES.indexOf(mode)
+  if (matrix.a === 1 && matrix.b === 0 && matrix.c === 0 && matrix.d === 1) {
+    // Only translated, so only blend the area under the layer
+    shader.draw(cctx, canvas, matrix.e, matrix.f, modeIndex, layer.currentTime)
+    return
+  }
+
+  transformedCanvas.width = cctx.canvas.width
+  transformedCanvas.height = cctx.canvas.height
+  transformedCtx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f)
+  transformedCtx.drawImage(canvas, 0, 0)
+  shader.draw(cctx, transformedCanvas, 0, 0, modeIndex, layer.currentTime)
+}
@@ -0,0 +1,232 @@
+/**
+ * @module easing
+ */
+
+import { linearInterp } from './util'
+
+/** Interpolates between two keyframe values */
+export type Interpolation = (x1: number | object, x2: number | object, t: number, objectKeys?: string[]) => number | object // eslint-disable-line @typescript-eslint/ban-types
+
+/** Maps linear progress from 0 to 1 to eased progress */
+export type EasingFunction = (t: number) => number
+
+/**
+ * The factory and arguments that each interpolation created by
+ * {@link cubicBezier} or {@link spring} was created with, so it can be
+ * serialized
+ */
+const parameters: WeakMap<Interpolation, { factory: (...args: number[]) => Interpolation, args: number[] }> = new WeakMap()
+
+/**
+ * Gets the factory and arguments that an interpolation was created with
+ *
+ * @param interpolation
+ * @return the factory and arguments, or <code>undefined</code> if it wasn't
+ * created with {@link cubicBezier} or {@link spring}
+ * @ignore
+ */
+export function getParameters (interpolation: unknown): { factory: (...args: number[]) => Interpolation, args: number[] } {
+  return parameters.get(interpolation as Interpolation)
+}
+
+/**
+ * Creates a keyframe interpolation that eases the progress between two values
+ *
+ * @param easing
+ */
+export function ease (easing: EasingFunction): Interpolation {
+  return (x1, x2, t, objectKeys) => linearInterp(x1, x2, easing(t), objectKeys)
+}
+
+/**
+ * Keeps the starting value until the next keyframe
+ */
+export function hold (x1: number | object, x2: number | object, t: number, objectKeys?: string[]): number | object { // eslint-disable-line @typescript-eslint/ban-types, @typescript-eslint/no-unused-vars
+  return x1
+}
+
+/**
+ * Creates easing functions for progress raised to `power`
+ */
+function polynomial (power: number): [EasingFunction, EasingFunction, EasingFunction] {
+  return [
+    t => Math.pow(t, power),
+    t => 1 - Math.pow(1 - t, power),
+    t => t < 0.5
+      ? Math.pow(2 * t, power) / 2
+      : 1 - Math.pow(2 - 2 * t, power) / 2
+  ]
+}
+
+/**
+ * Creates the "out" and "in-out" easing functions for an "in" easing function
+ */
+function mirror (easeIn: EasingFunction): [EasingFunction, EasingFunction, EasingFunction] {
+  const easeOut: EasingFunction = t => 1 - easeIn(1 - t)
+  return [
+    easeIn,
+    easeOut,
+    t => t < 0.5
+      ? easeIn(2 * t) / 2
+      : (1 + easeOut(2 * t - 1)) / 2
+  ]
+}
+
+const BACK_OVERSHOOT = 1.70158
+const ELASTIC_PERIOD = 0.3
+
+const [quadIn, quadOut, quadInOut] = polynomial(2)
+const [cubicIn, cubicOut, cubicInOut] = polynomial(3)
+const [quartIn, quartOut, quartInOut] = polynomial(4)
+const [expoIn, expoOut, expoInOut] = mirror(t => t === 0 ? 0 : Math.pow(2, 10 * t - 10))
+const [backIn, backOut, backInOut] = mirror(t => t * t * ((BACK_OVERSHOOT + 1) * t - BACK_OVERSHOOT))
+const [elasticIn, elasticOut, elasticInOut] = mirror(t => t === 0 || t === 1
+  ? t
+  : -Math.pow(2, 10 * t - 10) * Math.sin((t - 1 - ELASTIC_PERIOD / 4) * 2 * Math.PI / ELASTIC_PERIOD))
+const [bounceIn, bounceOut, bounceInOut] = mirror(t => {
+  // Bounce out, reversed
+  const x = 1 - t
+  let y: number
+  if (x < 1 / 2.75)
+    y = 7.5625 * x * x
+  else if (x < 2 / 2.75)
+    y = 7.5625 * (x - 1.5 / 2.75) * (x - 1.5 / 2.75) + 0.75
+  else if (x < 2.5 / 2.75)
+    y = 7.5625 * (x - 2.25 / 2.75) * (x - 2.25 / 2.75) + 0.9375
+  else
+    y = 7.5625 * (x - 2.625 / 2.75) * (x - 2.625 / 2.75) + 0.984375
+
+  return 1 - y
+})
+
+export const easeInQuad = ease(quadIn)
+export const easeOutQuad = ease(quadOut)
+export const easeInOutQuad = ease(quadInOut)
+export const easeInCubic = ease(cubicIn)
+export const easeOutCubic = ease(cubicOut)
+export const easeInOutCubic = ease(cubicInOut)
+export const easeInQuart = ease(quartIn)
+export const easeOutQuart = ease(quartOut)
+export const easeInOutQuart = ease(quartInOut)
+export const easeInExpo = ease(expoIn)
+export const easeOutExpo = ease(expoOut)
+export const easeInOutExpo = ease(expoInOut)
+export const easeInBack = ease(backIn)
+export const easeOutBack = ease(backOut)
+export const easeInOutBack = ease(backInOut)
+export const easeInElastic = ease(elasticIn)
+export const easeOutElastic = ease(elasticOut)
+export const easeInOutElastic = ease(elasticInOut)
+export const easeInBounce = ease(bounceIn)
+export const easeOutBounce = ease(bounceOut)
+export const easeInOutBounce = ease(bounceInOut)
+
+/**
+ * Creates an interpolation that eases along a cubic bézier curve from (0, 0)
+ * to (1, 1), like CSS's <code>cubic-bezier()</code>
+ *
+ * @param x1 - the x coordinate of the first control point, from 0 to 1
+ * @param y1 - the y coordinate of the first control point
+ * @param x2 - the x coordinate of the second control point, from 0 to 1
+ * @param y2 - the y coordinate of the second control point
+ */
+export function cubicBezier (x1: number, y1: number, x2: number, y2: number): Interpolation {
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1)
+    throw new Error('Bezier x coordinates must be between 0 and 1')
+
+  // The coordinate of the curve at parameter `s`, for control points `p1` and
+  // `p2`
+  const bezier = (s: number, p1: number, p2: number) =>
+    3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s
+  const slope = (s: number, p1: number, p2: number) =>
+    3 * (1 - s) * (1 - s) * p1 + 6 * (1 - s) * s * (p2 - p1) + 3 * s * s * (1 - p2)
+
+  const easing: EasingFunction = t => {
+    if (t <= 0 || t >= 1)
+      return t
+
+    // Find the parameter whose x is `t` with Newton's method, falling back to
+    // bisection when the slope is too flat
+    let s = t
+    for (let i = 0; i < 8; i++) {
+      const error = bezier(s, x1, x2) - t
+      if (Math.abs(error) < 1e-6)
+        return bezier(s, y1, y2)
+
+      const d = slope(s, x1, x2)
+      if (Math.abs(d) < 1e-6)
+        break
+
+      s -= error / d
+    }
+
+    let low = 0
+    let high = 1
+    s = t
+    while (high - low > 1e-6) {
+      if (bezier(s, x1, x2) < t)
+        low = s
+      else
+        high = s
+
+      s = (low + high) / 2
+    }
+    return bezier(s, y1, y2)
+  }
+
+  const interpolation = ease(easing)
+  parameters.set(interpolation, { factory: cubicBezier, args: [x1, y1, x2, y2] })
+  return interpolation
+}
+
+/**
+ * How close a spring has to stay to its target to be at rest, relative to
+ * the distance it started from
+ */
+const SPRING_REST_THRESHOLD = 0.001
+
+/**
+ * Creates an interpolation that moves like a mass on a damped spring. The
+ * motion is stretched so that the spring comes to rest at the next keyframe.
+ *
+ * @param [stiffness=100]
+ * @param [damping=10]
+ * @param [mass=1]
+ * @param [velocity=0] - the initial velocity, towards the end value
+ */
+export function spring (stiffness = 100, damping = 10, mass = 1, velocity = 0): Interpolation {
+  if (stiffness <= 0 || damping <= 0 || mass <= 0)
+    throw new Error('Spring stiffness, damping and mass must be positive')
+
+  const naturalFrequency = Math.sqrt(stiffness / mass)
+  const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass))
+  const underdamped = dampingRatio < 1
+  const dampedFrequency = underdamped
+    ? naturalFrequency * Math.sqrt(1 - dampingRatio * dampingRatio)
+    : 0
+  // The distance from the end value is a cos + b sin (or a + b time when
+  // critically damped) times an exponential decay.
+  const a = 1
+  const b = underdamped
+    ? (dampingRatio * naturalFrequency - velocity) / dampedFrequency
+    : naturalFrequency - velocity
+  const decay = underdamped ? dampingRatio * naturalFrequency : naturalFrequency
+
+  // The distance from the end value, at `time` seconds of physical time
+  const distance = (time: number) => underdamped
+    ? Math.exp(-decay * time) * (a * Math.cos(dampedFrequency * time) + b * Math.sin(dampedFrequency * time))
+    : (a + b * time) * Math.exp(-decay * time)
+  // The largest distance possible at `time`
+  const envelope = (time: number) => underdamped
+    ? Math.exp(-decay * time) * Math.sqrt(a * a + b * b)
+    : (a + Math.abs(b) * time) * Math.exp(-decay * time)
+
+  // Find when the spring comes to rest
+  let restTime = 1 / 60
+  while (envelope(restTime) > SPRING_REST_THRESHOLD)
+    restTime += 1 / 60
+
+  const interpolation = ease(t => t >= 1 ? 1 : 1 - distance(t * restTime))
+  parameters.set(interpolation, { factory: spring, args: [stiffness, damping, mass, velocity] })
+  return interpolation
+}
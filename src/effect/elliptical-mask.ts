@@ -17,7 +17,6 @@ export class EllipticalMaskOptions {
 /**
  * Preserves an ellipse of the layer and clears the rest
  */
-// TODO: Parent layer mask effects will make more complex masks easier
 export class EllipticalMask extends Base {
   x: Dynamic<number>
   y: Dynamic<number>
@@ -3,7 +3,6 @@
  */
 
 // TODO: Investigate why an effect might run once in the beginning even if its layer isn't at the beginning
-// TODO: Add audio effect support
 // TODO: implement directional blur
 // TODO: implement radial blur
 // TODO: implement zoom blur
@@ -16,7 +15,12 @@ export * from './contrast'
 export * from './elliptical-mask'
 export * from './gaussian-blur'
 export * from './grayscale'
+export * from './mask'
+export * from './matte'
+export * from './path-mask'
 export * from './pixelate'
+export * from './rectangle-mask'
+export * from './rounded-rectangle-mask'
 export * from './shader'
 export * from './stack'
 export * from './transform'
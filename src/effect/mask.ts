@@ -0,0 +1,74 @@
+import { Movie } from '../movie'
+import { Dynamic, val } from '../util'
+import { Visual } from '../layer/index'
+import { Base } from './base'
+
+export interface MaskOptions {
+  feather?: Dynamic<number>
+  inverted?: Dynamic<boolean>
+  fillRule?: Dynamic<CanvasFillRule>
+}
+
+/**
+ * Preserves the area inside a path and clears the rest
+ */
+export class Mask extends Base {
+  /** How much to blur the edge of the mask, in pixels */
+  feather: Dynamic<number>
+  /** Whether to preserve the area outside the path instead */
+  inverted: Dynamic<boolean>
+  /** How to determine what's inside the path */
+  fillRule: Dynamic<CanvasFillRule>
+
+  private _maskCanvas: HTMLCanvasElement
+  private _maskCtx: CanvasRenderingContext2D
+
+  /**
+   * @param [options.feather=0] - how much to blur the edge of the mask, in
+   * pixels
+   * @param [options.inverted=false] - whether to preserve the area outside the
+   * path instead
+   * @param [options.fillRule='nonzero'] - how to determine what's inside the
+   * path
+   */
+  constructor (options: MaskOptions = {}) {
+    super()
+    this.feather = options.feather || 0
+    this.inverted = options.inverted || false
+    this.fillRule = options.fillRule || 'nonzero'
+
+    this._maskCanvas = document.createElement('canvas')
+    this._maskCtx = this._maskCanvas.getContext('2d')
+  }
+
+  // subclasses must implement createPath
+  /**
+   * Creates the path of the area to preserve
+   *
+   * @param target
+   * @param reltime
+   * @abstract
+   */
+  createPath (target: Movie | Visual, reltime: number): Path2D { // eslint-disable-line @typescript-eslint/no-unused-vars
+    throw new Error('Not implemented')
+  }
+
+  apply (target: Movie | Visual, reltime: number): void {
+    // Resizing clears the canvas
+    this._maskCanvas.width = target.canvas.width
+    this._maskCanvas.height = target.canvas.height
+
+    const feather = val(this, 'feather', reltime)
+    if (feather > 0)
+      this._maskCtx.filter = `blur(${feather}px)`
+
+    this._maskCtx.fill(this.createPath(target, reltime), val(this, 'fillRule', reltime))
+
+    target.cctx.save()
+    target.cctx.globalCompositeOperation = val(this, 'inverted', reltime)
+      ? 'destination-out'
+      : 'destination-in'
+    target.cctx.drawImage(this._maskCanvas, 0, 0)
+    target.cctx.restore()
+  }
+}
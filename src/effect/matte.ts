@@ -0,0 +1,194 @@
+import { Movie } from '../movie'
+import { Dynamic, val } from '../util'
+import { subscribe, unsubscribe } from '../event'
+import { Visual } from '../layer/index'
+import { Base } from './base'
+import { Shader } from './shader'
+
+/**
+ * Which part of the matte layer is used to preserve the target
+ *
+ * - <code>'alpha'</code> - opaque parts
+ * - <code>'alpha-inverted'</code> - transparent parts
+ * - <code>'luma'</code> - bright parts
+ * - <code>'luma-inverted'</code> - dark parts
+ */
+export type MatteMode = 'alpha' | 'alpha-inverted' | 'luma' | 'luma-inverted'
+
+export interface MatteOptions {
+  layer: Visual
+  mode?: Dynamic<MatteMode>
+}
+
+/**
+ * Preserves the parts of the target that are under the matte layer and clears
+ * the rest (a track matte)
+ *
+ * The matte layer is positioned relative to the movie, like any other layer.
+ * It can be in the movie (disable it to hide it), or only in this effect.
+ */
+export class Matte extends Base {
+  /** The layer to use as a matte */
+  layer: Visual
+  /** Which part of the matte layer preserves the target */
+  mode: Dynamic<MatteMode>
+
+  private _shader: Shader
+  /** What the shader is attached to */
+  private _shaderTarget: Movie | Visual
+  /** The matte layer, positioned over the target */
+  private _matteCanvas: HTMLCanvasElement
+  private _matteCtx: CanvasRenderingContext2D
+  /** The values the shader reads, for the current frame */
+  private _shaderValues: Record<string, unknown>
+  /** The matte layer, if it was attached to the movie by this effect */
+  private _ownedLayer: Visual
+  private _stopLayer: () => void
+
+  /**
+   * @param options
+   * @param options.layer - the layer to use as a matte
+   * @param [options.mode='alpha'] - which part of the matte layer preserves
+   * the target
+   */
+  constructor (options: MatteOptions) {
+    super()
+    this.layer = options.layer
+    this.mode = options.mode || 'alpha'
+
+    this._matteCanvas = document.createElement('canvas')
+    this._matteCtx = this._matteCanvas.getContext('2d')
+    this._shaderValues = {}
+    this._ownedLayer = null
+    this._stopLayer = () => {
+      if (this.layer.active) {
+        this.layer.stop()
+        this.layer.active = false
+      }
+    }
+
+    this._shader = new Shader({
+      fragmentSource: `
+        precision mediump float;
+
+        uniform sampler2D u_Source;
+        uniform sampler2D u_Matte;
+        uniform float u_Luma;
+        uniform float u_Inverted;
+
+        varying highp vec2 v_TextureCoord;
+
+        void main() {
+          vec4 color = texture2D(u_Source, v_TextureCoord);
+          vec4 matte = texture2D(u_Matte, v_TextureCoord);
+          float amount = u_Luma > 0.5
+            ? dot(matte.rgb, vec3(0.2126, 0.7152, 0.0722)) * matte.a
+            : matte.a;
+          if (u_Inverted > 0.5)
+            amount = 1.0 - amount;
+
+          gl_FragColor = vec4(color.rgb, color.a * amount);
+        }
+      `,
+      uniforms: { luma: '1f', inverted: '1f' },
+      textures: { matte: {} }
+    })
+    // The shader reads its uniforms from its own properties. Define them as
+    // getters instead of setting them every frame, so they don't publish
+    // change events.
+    for (const name of ['matte', 'luma', 'inverted'])
+      Object.defineProperty(this._shader, name, {
+        get: () => this._shaderValues[name]
+      })
+    this._shaderTarget = null
+  }
+
+  detach (): void {
+    this._releaseLayer()
+    if (this._shaderTarget) {
+      this._shader.tryDetach()
+      this._shaderTarget = null
+    }
+    super.detach()
+  }
+
+  apply (target: Movie | Visual, reltime: number): void {
+    const movie = target.movie
+    const layer = this.layer
+    // The matte layer doesn't have to be in the movie.
+    if (layer.movie !== movie)
+      this._takeLayer(movie)
+
+    this._matteCanvas.width = target.canvas.width
+    this._matteCanvas.height = target.canvas.height
+    const layerTime = layer.currentTime
+    const inRange = layerTime >= 0 && layerTime <= layer.duration
+    // The movie doesn't start layers when only rendering one frame
+    const playing = inRange && !movie.paused
+    if (playing && !layer.active) {
+      layer.start()
+      layer.active = true
+    } else if (!playing) {
+      this._stopLayer()
+    }
+
+    if (inRange) {
+      layer.render()
+      if (layer.canvas.width * layer.canvas.height > 0) {
+        // Matte layers are positioned relative to the movie, so undo the
+        // target's transform
+        const matrix = (target instanceof Visual ? target.getTransform(reltime).inverse() : new DOMMatrix())
+          .multiplySelf(layer.getTransform(layerTime))
+        this._matteCtx.setTransform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f)
+        this._matteCtx.drawImage(layer.canvas, 0, 0)
+      }
+    }
+
+    const mode = val(this, 'mode', reltime)
+    this._shaderValues.matte = this._matteCanvas
+    this._shaderValues.luma = mode === 'luma' || mode === 'luma-inverted' ? 1 : 0
+    this._shaderValues.inverted = mode === 'alpha-inverted' || mode === 'luma-inverted' ? 1 : 0
+    // For `val`
+    if (this._shaderTarget !== target) {
+      if (this._shaderTarget)
+        this._shader.tryDetach()
+      this._shader.tryAttach(target)
+      this._shaderTarget = target
+    }
+    this._shader.apply(target, reltime)
+  }
+
+  /**
+   * Attaches the matte layer to `movie`, so it has a current time
+   */
+  private _takeLayer (movie: Movie) {
+    this._releaseLayer()
+    if (this.layer.movie)
+      // It's in another movie
+      throw new Error('Matte layer must be in the same movie as the target')
+
+    this.layer.tryAttach(movie)
+    this._ownedLayer = this.layer
+    // The movie only stops its own layers
+    subscribe(movie, 'movie.pause', this._stopLayer)
+    subscribe(movie, 'movie.ended', this._stopLayer)
+  }
+
+  /**
+   * Detaches the matte layer from the movie it was attached to by
+   * {@link Matte#_takeLayer}
+   */
+  private _releaseLayer () {
+    const layer = this._ownedLayer
+    if (!layer)
+      return
+
+    if (layer.active) {
+      layer.stop()
+      layer.active = false
+    }
+    unsubscribe(layer.movie, this._stopLayer)
+    layer.tryDetach()
+    this._ownedLayer = null
+  }
+}
@@ -0,0 +1,39 @@
+import { Movie } from '../movie'
+import { Dynamic, val } from '../util'
+import { Visual } from '../layer/index'
+import { Mask, MaskOptions } from './mask'
+
+export interface PathMaskOptions extends MaskOptions {
+  path: Dynamic<Path2D | string>
+}
+
+/**
+ * Preserves the area inside a path of the target and clears the rest
+ */
+export class PathMask extends Mask {
+  /**
+   * The path, as a <code>Path2D</code> or SVG path data (like
+   * <code>'M 0 0 L 10 0 L 5 10 Z'</code>)
+   */
+  path: Dynamic<Path2D | string>
+
+  /**
+   * @param options
+   * @param options.path - a <code>Path2D</code> or SVG path data
+   * @param [options.fillRule='nonzero'] - how to determine what's inside the
+   * path
+   * @param [options.feather=0] - how much to blur the edge of the mask, in
+   * pixels
+   * @param [options.inverted=false] - whether to preserve the area outside the
+   * path instead
+   */
+  constructor (options: PathMaskOptions) {
+    super(options)
+    this.path = options.path
+  }
+
+  createPath (target: Movie | Visual, reltime: number): Path2D {
+    const path = val(this, 'path', reltime)
+    return typeof path === 'string' ? new Path2D(path) : path
+  }
+}
@@ -0,0 +1,49 @@
+import { Movie } from '../movie'
+import { Dynamic, val } from '../util'
+import { Visual } from '../layer/index'
+import { Mask, MaskOptions } from './mask'
+
+export interface RectangleMaskOptions extends MaskOptions {
+  x: Dynamic<number>
+  y: Dynamic<number>
+  width: Dynamic<number>
+  height: Dynamic<number>
+}
+
+/**
+ * Preserves a rectangle of the target and clears the rest
+ */
+export class RectangleMask extends Mask {
+  x: Dynamic<number>
+  y: Dynamic<number>
+  width: Dynamic<number>
+  height: Dynamic<number>
+
+  /**
+   * @param options
+   * @param options.x - the left edge of the rectangle
+   * @param options.y - the top edge of the rectangle
+   * @param options.width
+   * @param options.height
+   * @param [options.feather=0] - how much to blur the edge of the mask, in
+   * pixels
+   * @param [options.inverted=false] - whether to preserve the area outside the
+   * rectangle instead
+   */
+  constructor (options: RectangleMaskOptions) {
+    super(options)
+    this.x = options.x
+    this.y = options.y
+    this.width = options.width
+    this.height = options.height
+  }
+
+  createPath (target: Movie | Visual, reltime: number): Path2D {
+    const path = new Path2D()
+    path.rect(
+      val(this, 'x', reltime), val(this, 'y', reltime),
+      val(this, 'width', reltime), val(this, 'height', reltime)
+    )
+    return path
+  }
+}
@@ -0,0 +1,52 @@
+import { Movie } from '../movie'
+import { Dynamic, val } from '../util'
+import { Visual } from '../layer/index'
+import { RectangleMask, RectangleMaskOptions } from './rectangle-mask'
+
+export interface RoundedRectangleMaskOptions extends RectangleMaskOptions {
+  radius: Dynamic<number>
+}
+
+/**
+ * Preserves a rectangle with rounded corners of the target and clears the
+ * rest
+ */
+export class RoundedRectangleMask extends RectangleMask {
+  /** The radius of the corners */
+  radius: Dynamic<number>
+
+  /**
+   * @param options
+   * @param options.x - the left edge of the rectangle
+   * @param options.y - the top edge of the rectangle
+   * @param options.width
+   * @param options.height
+   * @param options.radius - the radius of the corners
+   * @param [options.feather=0] - how much to blur the edge of the mask, in
+   * pixels
+   * @param [options.inverted=false] - whether to preserve the area outside the
+   * rectangle instead
+   */
+  constructor (options: RoundedRectangleMaskOptions) {
+    super(options)
+    this.radius = options.radius
+  }
+
+  createPath (target: Movie | Visual, reltime: number): Path2D {
+    const x = val(this, 'x', reltime)
+    const y = val(this, 'y', reltime)
+    const width = val(this, 'width', reltime)
+    const height = val(this, 'height', reltime)
+    // The corners can't overlap
+    const radius = Math.min(val(this, 'radius', reltime), width / 2, height / 2)
+
+    const path = new Path2D()
+    path.moveTo(x + radius, y)
+    path.arcTo(x + width, y, x + width, y + height, radius)
+    path.arcTo(x + width, y + height, x, y + height, radius)
+    path.arcTo(x, y + height, x, y, radius)
+    path.arcTo(x, y, x + width, y, radius)
+    path.closePath()
+    return path
+  }
+}
@@ -43,7 +43,7 @@ class Transform extends Base {
       this._tmpCanvas.height = target.canvas.height
 
     // Use data, since that's the underlying storage
-    this._tmpMatrix.data = val(this, 'matrix.data', reltime)
+    this._tmpMatrix.data = val(this, 'matrix', reltime).data
 
     this._tmpCtx.setTransform(
       this._tmpMatrix.a, this._tmpMatrix.b, this._tmpMatrix.c,
@@ -59,6 +59,21 @@ class Transform extends Base {
 
 namespace Transform { // eslint-disable-line @typescript-eslint/no-namespace
 
+  /**
+   * The parts of a transformation, applied in this order: scaling, skewing,
+   * rotation and translation
+   */
+  export interface MatrixComponents {
+    translateX: number
+    translateY: number
+    /** The angle of rotation in radians, in the same direction as {@link Transform.Matrix#rotate} */
+    rotation: number
+    scaleX: number
+    scaleY: number
+    /** The horizontal skew angle in radians */
+    skew: number
+  }
+
   /**
    * @class
    * A 3x3 matrix for storing 2d transformations
@@ -187,6 +202,112 @@ namespace Transform { // eslint-disable-line @typescript-eslint/no-namespace
 
       return this
     }
+
+    /**
+     * Inverts the matrix, so it undoes the transformation it did before
+     */
+    invert (): Matrix {
+      const [a, c, e, b, d, f] = this.data
+      const determinant = a * d - b * c
+      if (determinant === 0)
+        throw new Error('Matrix is not invertible')
+
+      this.data = [
+        d / determinant, -c / determinant, (c * f - d * e) / determinant,
+        -b / determinant, a / determinant, (b * e - a * f) / determinant,
+        0, 0, 1
+      ]
+
+      return this
+    }
+
+    /**
+     * Applies the transformation to a point
+     *
+     * @param x
+     * @param y
+     * @return the transformed point
+     */
+    transformPoint (x: number, y: number): { x: number, y: number } {
+      return {
+        x: this.a * x + this.c * y + this.e,
+        y: this.b * x + this.d * y + this.f
+      }
+    }
+
+    /**
+     * Splits the matrix into a translation, rotation, scale and skew.
+     * Reflections are returned as a negative <code>scaleY</code>.
+     */
+    decompose (): MatrixComponents {
+      const { a, b, c, d, e, f } = this
+      const scaleX = Math.sqrt(a * a + b * b)
+      const rotation = Math.atan2(-b, a)
+      const cos = Math.cos(rotation)
+      const sin = Math.sin(rotation)
+      // Undo the rotation to get the skewed and scaled y axis
+      const skewedY = cos * c - sin * d
+      const scaleY = sin * c + cos * d
+      return {
+        translateX: e,
+        translateY: f,
+        rotation,
+        scaleX,
+        scaleY,
+        skew: scaleY !== 0 ? Math.atan(skewedY / scaleY) : 0
+      }
+    }
+
+    /**
+     * Replaces the matrix with a transformation made from its parts (see
+     * {@link Transform.Matrix#decompose})
+     *
+     * @param components
+     */
+    compose (components: MatrixComponents): Matrix {
+      const { translateX, translateY, rotation, scaleX, scaleY, skew } = components
+      this.identity()
+      this.scale(scaleX, scaleY)
+      this.multiply(new Matrix([
+        1, Math.tan(skew), 0,
+        0, 1, 0,
+        0, 0, 1
+      ]))
+      this.rotate(rotation)
+      this.translate(translateX, translateY)
+
+      return this
+    }
+
+    /**
+     * Interpolates between two matrices by their translation, rotation,
+     * scale and skew, instead of their values, so rotations don't collapse
+     * halfway. Use as a keyframe interpolation.
+     *
+     * @param x1
+     * @param x2
+     * @param t
+     */
+    static interpolate (x1: Matrix, x2: Matrix, t: number): Matrix {
+      const start = x1.decompose()
+      const end = x2.decompose()
+      // Rotate the shortest way around
+      let rotationChange = (end.rotation - start.rotation) % (2 * Math.PI)
+      if (rotationChange > Math.PI)
+        rotationChange -= 2 * Math.PI
+      else if (rotationChange < -Math.PI)
+        rotationChange += 2 * Math.PI
+
+      const lerp = (key: string) => start[key] + (end[key] - start[key]) * t
+      return new Matrix().compose({
+        translateX: lerp('translateX'),
+        translateY: lerp('translateY'),
+        rotation: start.rotation + rotationChange * t,
+        scaleX: lerp('scaleX'),
+        scaleY: lerp('scaleY'),
+        skew: lerp('skew')
+      })
+    }
   }
 }
 
@@ -0,0 +1,342 @@
+/**
+ * @module history
+ */
+
+import { subscribe, unsubscribe } from './event'
+import { Movie } from './movie'
+import { Base as BaseLayer, Group, Visual } from './layer/index'
+import { Base as BaseAudioEffect } from './audio-effect/index'
+import VidarObject from './object'
+
+/**
+ * Properties that change during playback, which shouldn't be undoable
+ */
+const IGNORED_PROPERTIES = ['currentTime', 'active']
+
+interface PropertyChange {
+  object: VidarObject
+  property: string
+  oldValue: unknown
+  newValue: unknown
+}
+
+interface ArrayChange {
+  array: VidarObject[]
+  before: VidarObject[]
+  after: VidarObject[]
+}
+
+type Change = PropertyChange | ArrayChange
+
+export interface HistoryOptions {
+  /** The maximum number of transactions that can be undone */
+  maxDepth?: number
+}
+
+/**
+ * Records changes made to a movie and its layers, effects, transitions and
+ * audio effects, so they can be undone and redone.
+ *
+ * Changes made in the same tick are grouped into one transaction, unless they
+ * are grouped explicitly with {@link History#batch}. Playback state (like
+ * `currentTime`) is not recorded.
+ */
+export class History {
+  /** The maximum number of transactions that can be undone */
+  maxDepth: number
+
+  private _movie: Movie
+  private _undoStack: Change[][]
+  private _redoStack: Change[][]
+  /** Changes that haven't been committed to the undo stack yet */
+  private _pending: Change[]
+  private _commitScheduled: boolean
+  private _batchDepth: number
+  /** Whether changes are being applied by undo or redo */
+  private _applying: boolean
+  /**
+   * The last known contents of the movie's layer, effect, transition and
+   * audio effect arrays, and of its layers' layer, effect and audio effect
+   * arrays. The array proxies only report changes after they happen, so this
+   * is what they contained before.
+   */
+  private _snapshots: Map<VidarObject[], VidarObject[]>
+  private _listener: (event) => void
+
+  /**
+   * @param movie - the movie to record changes of
+   * @param [options]
+   * @param [options.maxDepth=100] - the maximum number of transactions that
+   * can be undone
+   */
+  constructor (movie: Movie, options: HistoryOptions = {}) {
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 100
+
+    this._movie = movie
+    this._undoStack = []
+    this._redoStack = []
+    this._pending = []
+    this._commitScheduled = false
+    this._batchDepth = 0
+    this._applying = false
+    this._snapshots = new Map()
+    this._snapshots.set(movie.layers, History._snapshot(movie.layers))
+    this._snapshots.set(movie.effects, History._snapshot(movie.effects))
+    this._snapshots.set(movie.transitions, History._snapshot(movie.transitions))
+    this._snapshots.set(movie.audioEffects, History._snapshot(movie.audioEffects))
+    this._watchLayers(movie.layers)
+
+    this._listener = event => this._record(event)
+    subscribe(movie, 'movie.change', this._listener)
+  }
+
+  /**
+   * Stops recording changes
+   */
+  detach (): void {
+    unsubscribe(this._movie, this._listener)
+  }
+
+  /**
+   * Groups all changes made in `fn` into one transaction
+   *
+   * @param fn
+   */
+  batch (fn: () => void): void {
+    // Don't merge earlier changes into this transaction
+    if (this._batchDepth === 0)
+      this._commit()
+
+    this._batchDepth++
+    try {
+      fn()
+    } finally {
+      this._batchDepth--
+      if (this._batchDepth === 0)
+        this._commit()
+    }
+  }
+
+  /**
+   * Reverts the last transaction
+   */
+  undo (): void {
+    this._commit()
+    if (this._undoStack.length === 0)
+      throw new Error('Nothing to undo')
+
+    const transaction = this._undoStack.pop()
+    this._apply(() => {
+      for (let i = transaction.length - 1; i >= 0; i--) {
+        const change = transaction[i]
+        if ('array' in change)
+          this._restore(change.array, change.before)
+        else
+          History._setPath(change.object, change.property, change.oldValue)
+      }
+    })
+    this._redoStack.push(transaction)
+  }
+
+  /**
+   * Reapplies the last undone transaction
+   */
+  redo (): void {
+    this._commit()
+    if (this._redoStack.length === 0)
+      throw new Error('Nothing to redo')
+
+    const transaction = this._redoStack.pop()
+    this._apply(() => {
+      for (const change of transaction)
+        if ('array' in change)
+          this._restore(change.array, change.after)
+        else
+          History._setPath(change.object, change.property, change.newValue)
+    })
+    this._undoStack.push(transaction)
+  }
+
+  /**
+   * Forgets all recorded transactions
+   */
+  clear (): void {
+    this._commit()
+    this._undoStack = []
+    this._redoStack = []
+  }
+
+  get canUndo (): boolean {
+    this._commit()
+    return this._undoStack.length > 0
+  }
+
+  get canRedo (): boolean {
+    this._commit()
+    return this._redoStack.length > 0
+  }
+
+  private _record (event) {
+    if (this._applying)
+      return
+
+    if (event.type.endsWith('.modify')) {
+      if (IGNORED_PROPERTIES.includes(event.property))
+        return
+
+      this._pending.push({
+        object: event.source || event.target,
+        property: event.property,
+        oldValue: event.oldValue,
+        newValue: event.newValue
+      })
+    } else {
+      // The layer array proxy always publishes 'movie.change.duration', but
+      // only publishes 'add' and 'remove' for layers at the current time.
+      let array: VidarObject[]
+      if (event.type.startsWith('movie.change.layer.') && event.source instanceof BaseLayer)
+        // Layers' array events are propagated to the movie from the layer
+        array = History._layerArray(event.source, event)
+      else if (event.type === 'movie.change.duration' || event.type.startsWith('movie.change.layer.'))
+        array = this._movie.layers
+      else if (event.type.startsWith('movie.change.effect.'))
+        array = this._movie.effects
+      else if (event.type.startsWith('movie.change.transition.'))
+        array = this._movie.transitions
+      else if (event.type.startsWith('movie.change.audioEffect.'))
+        array = this._movie.audioEffects
+      else
+        return
+
+      const alreadyChanged = this._pending.some(change => 'array' in change && change.array === array)
+      if (!alreadyChanged)
+        this._pending.push({ array, before: this._snapshots.get(array), after: null })
+
+      // Remember what's in new layers' arrays before they change
+      this._watchLayers(array)
+    }
+
+    if (this._batchDepth === 0 && !this._commitScheduled) {
+      this._commitScheduled = true
+      Promise.resolve().then(() => this._commit())
+    }
+  }
+
+  private _commit () {
+    this._commitScheduled = false
+    if (this._pending.length === 0)
+      return
+
+    const transaction = this._pending.filter(change => {
+      if (!('array' in change))
+        return true
+
+      change.after = History._snapshot(change.array)
+      this._snapshots.set(change.array, change.after)
+      // Replacing an item publishes 'remove' before the array changes
+      return !History._sameItems(change.before, change.after)
+    })
+    this._pending = []
+    if (transaction.length === 0)
+      return
+
+    this._undoStack.push(transaction)
+    if (this._undoStack.length > this.maxDepth)
+      this._undoStack.splice(0, this._undoStack.length - this.maxDepth)
+
+    this._redoStack = []
+  }
+
+  private _apply (fn: () => void) {
+    this._applying = true
+    try {
+      fn()
+    } finally {
+      this._applying = false
+    }
+  }
+
+  private _restore (array: VidarObject[], contents: VidarObject[]) {
+    // Only replace items that changed, so the rest aren't detached and
+    // reattached
+    for (let i = 0; i < contents.length; i++)
+      if (array[i] !== contents[i])
+        array[i] = contents[i]
+
+    for (let i = contents.length; i < array.length; i++)
+      if (array[i])
+        delete array[i]
+
+    array.length = contents.length
+
+    this._snapshots.set(array, contents)
+  }
+
+  /**
+   * Takes snapshots of the arrays of the layers in `items` (and of the layers
+   * in groups) that aren't being recorded yet
+   *
+   * @param items - an array that may contain layers
+   */
+  private _watchLayers (items: VidarObject[]) {
+    for (const item of items) {
+      if (!(item instanceof BaseLayer))
+        continue
+
+      for (const array of History._layerArrays(item))
+        if (!this._snapshots.has(array)) {
+          this._snapshots.set(array, History._snapshot(array))
+          this._watchLayers(array)
+        }
+    }
+  }
+
+  /**
+   * @return the arrays of `layer` that can be changed
+   */
+  private static _layerArrays (layer: BaseLayer): VidarObject[][] {
+    const arrays: VidarObject[][] = []
+    if (layer instanceof Group)
+      arrays.push(layer.layers)
+    if (layer instanceof Visual)
+      arrays.push(layer.effects)
+    if ('audioEffects' in layer)
+      arrays.push((layer as unknown as { audioEffects: BaseAudioEffect[] }).audioEffects)
+
+    return arrays
+  }
+
+  /**
+   * @param layer - the layer that published `event`
+   * @param event - an add or remove event propagated from the layer
+   * @return the array of `layer` that `event` was published for
+   */
+  private static _layerArray (layer: BaseLayer, event): VidarObject[] {
+    if ('layer' in event)
+      return (layer as Group).layers
+
+    // Layers publish both effect and audio effect events with `effect`
+    if (event.effect instanceof BaseAudioEffect)
+      return (layer as unknown as { audioEffects: BaseAudioEffect[] }).audioEffects
+
+    return (layer as Visual).effects
+  }
+
+  private static _snapshot (array: VidarObject[]): VidarObject[] {
+    // Skip holes left by `delete`
+    return array.filter(() => true)
+  }
+
+  private static _sameItems (a: VidarObject[], b: VidarObject[]): boolean {
+    return a.length === b.length && a.every((item, i) => item === b[i])
+  }
+
+  private static _setPath (object: VidarObject, path: string, value: unknown) {
+    const keys = path.split('.')
+    const last = keys.pop()
+    for (const key of keys)
+      object = object[key]
+
+    object[last] = value
+  }
+}
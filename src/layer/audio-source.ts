@@ -1,33 +1,77 @@
-import { AudioContext, IAudioNode, IAudioDestinationNode } from 'standardized-audio-context'
+import { AudioContext, IAudioNode, IAudioDestinationNode, IGainNode } from 'standardized-audio-context'
 import { Movie } from '../movie'
-import { subscribe } from '../event'
-import { applyOptions, val } from '../util'
+import { publish, subscribe } from '../event'
+import { applyOptions, val, Dynamic, KeyFrame, linearInterp } from '../util'
+import { hold } from '../easing'
 import { Base, BaseOptions } from './base'
+import {
+  Base as BaseAudioEffect, AudioConnection, connectAudioEffects, disconnectAudioEffects,
+  scheduleAudioParam
+} from '../audio-effect/base'
 
 type Constructor<T> = new (...args: unknown[]) => T
 
+/**
+ * How far the media can drift from where it should be before it's moved back,
+ * in seconds
+ */
+const MAX_DRIFT = 0.1
+/** The slowest and fastest rates browsers play media at */
+const MIN_MEDIA_RATE = 0.0625
+const MAX_MEDIA_RATE = 16
+/**
+ * How many times per second playback rates that aren't linear keyframes are
+ * sampled to find the time in the media
+ */
+const INTEGRATION_RATE = 100
+/**
+ * How many times a playback rate function is sampled to find the duration,
+ * before the duration is assumed to be infinite
+ */
+const MAX_DURATION_SAMPLES = 1000 * INTEGRATION_RATE
+
 interface AudioSource extends Base {
   readonly source: HTMLMediaElement
   readonly audioNode: IAudioNode<AudioContext>
-  playbackRate: number
+  readonly gainNode: IGainNode<AudioContext>
+  readonly audioEffects: BaseAudioEffect[]
+  muted: Dynamic<boolean>
+  volume: Dynamic<number>
+  playbackRate: Dynamic<number>
+  reverse: boolean
   /** The audio source node for the media */
   sourceStartTime: number
+  sourceEndTime: number
+  readonly seeking: boolean
+
+  addAudioEffect(effect: BaseAudioEffect): AudioSource
+  getSourceTime(reltime: number): number
+  waitForSeek(): Promise<void>
 }
 
 interface AudioSourceOptions extends BaseOptions {
   source: HTMLMediaElement
   sourceStartTime?: number
-  muted?: boolean
-  volume?: number
-  playbackRate: number
+  /** Where in the media to stop, defaults to the end of the media */
+  sourceEndTime?: number
+  muted?: Dynamic<boolean>
+  volume?: Dynamic<number>
+  playbackRate?: Dynamic<number>
+  reverse?: boolean
   onload?: (source: HTMLMediaElement, options: AudioSourceOptions) => void
 }
 
 /**
  * A layer that gets its audio from an HTMLMediaElement
+ *
+ * The part of the media between <code>sourceStartTime</code> and
+ * <code>sourceEndTime</code> is played at <code>playbackRate</code>, which can
+ * be keyframed for speed ramps. A rate of 0 freezes the current frame, and
+ * <code>reverse</code> plays the media backwards. The duration is how long it
+ * takes to play that part of the media, unless it's set.
+ *
  * @mixin AudioSourceMixin
  */
-// TODO: Implement playback rate
 // The generic is just for type-checking. The argument is for functionality
 // (survives when compiled to javascript).
 
@@ -40,13 +84,41 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
      */
     readonly source: HTMLMediaElement
 
+    muted: Dynamic<boolean>
+    /**
+     * The gain to apply to the audio (can be greater than 1). Keyframes are
+     * scheduled ahead of time, so fades are smooth.
+     */
+    volume: Dynamic<number>
+
+    // readonly because it's a proxy
+    readonly audioEffects: BaseAudioEffect[]
+
     private __startTime: number
     private _audioNode: IAudioNode<AudioContext>
+    private _gainNode: IGainNode<AudioContext>
     private _sourceStartTime: number
-    private _unstretchedDuration: number
-    private _playbackRate: number
+    /** The end of the media to play, or undefined for the end of the media */
+    private _sourceEndTime: number
+    private _playbackRate: Dynamic<number>
+    private _reverse: boolean
+    /** Whether the media's duration is known */
+    private _loaded: boolean
+    /** The last duration found for a playback rate function */
+    private _durationCache: { rate: Dynamic<number>, length: number, duration: number }
+    /**
+     * The last media time found for a keyframed or function playback rate, so
+     * the next frame only adds up the rate since then
+     */
+    private _sourceTimeCache: { rate: Dynamic<number>, reltime: number, played: number }
+    /** Resolves when the last seek is done, or null if it's done */
+    private _seek: Promise<void>
     private _initialized: boolean
     private _connectedToDestination: boolean
+    private _audioEffectsBack: BaseAudioEffect[]
+    /** The enabled audio effects that the audio node is connected through */
+    private _connectedAudioEffects: BaseAudioEffect[]
+    private _audioEffectConnections: AudioConnection[]
 
     /**
      * @param options
@@ -54,10 +126,14 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
      * @param options.onload
      * @param [options.sourceStartTime=0] - at what time in the audio
      * the layer starts
-     * @param [options.duration=media.duration-options.sourceStartTime]
+     * @param [options.sourceEndTime] - at what time in the audio the layer
+     * ends, defaults to the end of the media
+     * @param [options.duration] - how much of the media to play, if
+     * <code>sourceEndTime</code> isn't set
      * @param [options.muted=false]
      * @param [options.volume=1]
      * @param [options.playbackRate=1]
+     * @param [options.reverse=false]
      */
     constructor (options: MixedAudioSourceOptions) {
       const onload = options.onload
@@ -65,16 +141,52 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
       delete options.onload
       super(options)
       this._initialized = false
+      this._loaded = false
+      this._durationCache = null
+      this._sourceTimeCache = null
+      this._seek = null
       this._sourceStartTime = options.sourceStartTime || 0
       applyOptions(options, this)
+      // `duration` used to be the only way to trim the media
+      if (options.sourceEndTime === undefined && options.duration)
+        this._sourceEndTime = this.sourceStartTime + options.duration
+
+      this._audioEffectsBack = []
+      this._connectedAudioEffects = []
+      this._audioEffectConnections = []
+      this.audioEffects = new Proxy(this._audioEffectsBack, {
+        deleteProperty: (target, property) => {
+          const value = target[property]
+          value.tryDetach()
+          delete target[property]
+          publish(this, 'layer.change.audioEffect.remove', { effect: value })
+          return true
+        },
+        set: (target, property, value) => {
+          if (!isNaN(Number(property))) {
+            // The property is a number (index)
+            if (target[property]) {
+              publish(this, 'layer.change.audioEffect.remove', { effect: target[property] })
+              target[property].tryDetach()
+            }
+
+            value.tryAttach(this)
+            target[property] = value
+            publish(this, 'layer.change.audioEffect.add', { effect: value })
+          } else {
+            target[property] = value
+          }
+
+          return true
+        }
+      })
 
       const load = () => {
-        // TODO:              && ?
-        if ((options.duration || (this.source.duration - this.sourceStartTime)) < 0)
-          throw new Error('Invalid options.duration or options.sourceStartTime')
+        if (this.sourceEndTime - this.sourceStartTime < 0)
+          throw new Error('Invalid options.sourceEndTime, options.duration or options.sourceStartTime')
 
-        this._unstretchedDuration = options.duration || (this.source.duration - this.sourceStartTime)
-        this.duration = this._unstretchedDuration / (this.playbackRate)
+        this._loaded = true
+        this._updateDuration()
         // onload will use `this`, and can't bind itself because it's before
         // super()
         onload && onload.bind(this)(this.source, options)
@@ -87,7 +199,13 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
         this.source.addEventListener('loadedmetadata', load)
 
       this.source.addEventListener('durationchange', () => {
-        this.duration = options.duration || (this.source.duration - this.sourceStartTime)
+        if (this._loaded)
+          this._updateDuration()
+      })
+
+      subscribe(this, 'layer.change.modify', event => {
+        if (event.property === 'volume' && this.active)
+          this._scheduleVolume()
       })
     }
 
@@ -98,7 +216,15 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
         if (this.currentTime < 0 || this.currentTime >= this.duration)
           return
 
-        this.source.currentTime = this.currentTime + this.sourceStartTime
+        this.source.currentTime = this.getSourceTime(this.currentTime)
+        const seek = whenSeeked(this.source, movie.seekTimeout).then(() => {
+          // Don't forget a newer seek
+          if (this._seek === seek)
+            this._seek = null
+        })
+        this._seek = seek
+        if (this.active)
+          this._scheduleVolume()
       })
 
       // TODO: on unattach?
@@ -130,26 +256,171 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
         return oldDisconnect(destination, output, input)
       }
 
-      // Connect to actx.destination by default (can be rewired by user)
-      this.audioNode.connect(movie.actx.destination)
+      this._gainNode = this.gainNode || movie.actx.createGain()
+      this.audioNode.connect(this.gainNode)
+
+      // Connect to the movie through the audio effects
+      this._connectAudioEffects()
     }
 
     detach () {
-      this.audioNode.disconnect(this.movie.actx.destination)
+      this.audioNode.disconnect(this.gainNode)
+      disconnectAudioEffects(this._audioEffectConnections)
+      this._audioEffectConnections = []
+      this._connectedAudioEffects = []
     }
 
     start () {
-      this.source.currentTime = this.currentTime + this.sourceStartTime
-      this.source.play()
+      this.source.currentTime = this.getSourceTime(this.currentTime)
+      if (this._playsNatively(val(this, 'playbackRate', this.currentTime)))
+        this.source.play()
+      this._scheduleVolume()
     }
 
     render () {
       super.render()
-      // TODO: implement Issue: Create built-in audio node to support built-in
-      // audio nodes, as this does nothing rn
       this.source.muted = val(this, 'muted', this.currentTime)
-      this.source.volume = val(this, 'volume', this.currentTime)
-      this.source.playbackRate = val(this, 'playbackRate', this.currentTime)
+      this._syncSource()
+
+      this._connectAudioEffects()
+      this._connectedAudioEffects.forEach(effect => effect.apply(this, this.currentTime))
+    }
+
+    /**
+     * Finds the time in the media to play at a time in the layer, by adding
+     * up the playback rate
+     *
+     * @param reltime - the time relative to the layer
+     * @return the time in the media, between <code>sourceStartTime</code> and
+     * <code>sourceEndTime</code>
+     */
+    getSourceTime (reltime: number): number {
+      const played = this._played(reltime)
+      const time = this.reverse ? this.sourceEndTime - played : this.sourceStartTime + played
+      const start = Math.max(time, this.sourceStartTime)
+      // The end isn't known until the media is loaded
+      return start > this.sourceEndTime ? this.sourceEndTime : start
+    }
+
+    /**
+     * Adds up the playback rate from the start of the layer to `reltime`
+     */
+    private _played (reltime: number): number {
+      const rate = this.playbackRate
+      if (typeof rate === 'number')
+        return rate * reltime
+
+      // Only add up the rate since the last time when playing forward, and
+      // start over after seeking backward
+      const cache = this._sourceTimeCache
+      const played = cache && cache.rate === rate && cache.reltime <= reltime
+        ? cache.played + integrate(this, rate, cache.reltime, reltime)
+        : integrate(this, rate, 0, reltime)
+      this._sourceTimeCache = { rate, reltime, played }
+      return played
+    }
+
+    /**
+     * Waits for the media to finish seeking to the current time, and for the
+     * new frame to be decoded
+     *
+     * @return resolves right away if the media isn't seeking
+     */
+    waitForSeek (): Promise<void> {
+      return this._seek || Promise.resolve()
+    }
+
+    /**
+     * Plays or seeks the media to where it should be in this frame
+     */
+    private _syncSource () {
+      const target = this.getSourceTime(this.currentTime)
+      const rate = val(this, 'playbackRate', this.currentTime)
+      if (this.active && this._playsNatively(rate)) {
+        this.source.playbackRate = rate
+        if (this.source.paused)
+          this.source.play()
+        if (Math.abs(this.source.currentTime - target) > MAX_DRIFT)
+          this.source.currentTime = target
+      } else {
+        // Freeze frames, reverse playback and rates the browser can't play
+        // at are shown one frame at a time, by seeking
+        if (!this.source.paused)
+          this.source.pause()
+        if (Math.abs(this.source.currentTime - target) > 0.001)
+          this.source.currentTime = target
+      }
+    }
+
+    /**
+     * Whether the media element can play at `rate` by itself
+     */
+    private _playsNatively (rate: number): boolean {
+      return !this.reverse && rate >= MIN_MEDIA_RATE && rate <= MAX_MEDIA_RATE
+    }
+
+    /**
+     * Sets the duration to how long it takes to play the media between
+     * <code>sourceStartTime</code> and <code>sourceEndTime</code>
+     */
+    private _updateDuration () {
+      const length = this.sourceEndTime - this.sourceStartTime
+      const rate = this.playbackRate
+      if (length <= 0) {
+        this.duration = 0
+        return
+      }
+      if (typeof rate === 'number') {
+        this.duration = rate > 0 ? length / rate : Infinity
+        return
+      }
+
+      if (rate instanceof KeyFrame) {
+        this.duration = keyFrameDuration(rate, length)
+        return
+      }
+
+      // Functions are sampled, so don't sample them again for the same media
+      const cache = this._durationCache
+      if (!cache || cache.rate !== rate || cache.length !== length)
+        this._durationCache = { rate, length, duration: functionDuration(this, rate, length) }
+      this.duration = this._durationCache.duration
+    }
+
+    /**
+     * Connects the audio node to the movie through the enabled audio effects,
+     * if they changed
+     */
+    private _connectAudioEffects () {
+      const effects = this.audioEffects.filter(effect => effect && effect.enabled)
+      const changed = this._audioEffectConnections.length === 0 ||
+        effects.length !== this._connectedAudioEffects.length ||
+        effects.some((effect, i) => effect !== this._connectedAudioEffects[i])
+      if (!changed)
+        return
+
+      disconnectAudioEffects(this._audioEffectConnections)
+      this._audioEffectConnections = connectAudioEffects(this.gainNode, effects, this.movie.audioInput)
+      this._connectedAudioEffects = effects
+    }
+
+    /**
+     * Schedules the volume from the current time until the end of the layer
+     */
+    private _scheduleVolume () {
+      scheduleAudioParam(
+        this.gainNode.gain, this, 'volume',
+        Math.max(this.currentTime, 0), this.duration, this.movie.actx.currentTime
+      )
+    }
+
+    /**
+     * Convienence method for <code>audioEffects.push()</code>
+     * @param effect
+     * @return the layer (for chaining)
+     */
+    addAudioEffect (effect: BaseAudioEffect) {
+      this.audioEffects.push(effect); return this
     }
 
     stop () {
@@ -163,14 +434,49 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
       return this._audioNode
     }
 
+    /**
+     * The gain node that controls the volume, which the audio node is
+     * connected to
+     */
+    get gainNode () {
+      return this._gainNode
+    }
+
+    /**
+     * Whether the media is seeking to the current time or decoding the new
+     * frame (see {@link AudioSource#waitForSeek})
+     */
+    get seeking () {
+      return this._seek !== null
+    }
+
+    /**
+     * How fast to play the media, which can be keyframed for speed ramps. 0
+     * freezes the current frame. Reassign keyframes after changing them, so
+     * the duration is updated.
+     */
     get playbackRate () {
       return this._playbackRate
     }
 
     set playbackRate (value) {
       this._playbackRate = value
-      if (this._unstretchedDuration !== undefined)
-        this.duration = this._unstretchedDuration / value
+      if (this._loaded)
+        this._updateDuration()
+    }
+
+    /**
+     * Whether to play the media backwards, from <code>sourceEndTime</code> to
+     * <code>sourceStartTime</code>
+     */
+    get reverse () {
+      return this._reverse
+    }
+
+    set reverse (value) {
+      this._reverse = value
+      if (this._initialized)
+        this.source.currentTime = this.getSourceTime(this.currentTime)
     }
 
     get startTime () {
@@ -179,18 +485,16 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
 
     set startTime (val) {
       this.__startTime = val
-      if (this._initialized) {
-        const mediaProgress = this.movie.currentTime - this.startTime
-        this.source.currentTime = this.sourceStartTime + mediaProgress
-      }
+      if (this._initialized)
+        this.source.currentTime = this.getSourceTime(this.currentTime)
     }
 
     set sourceStartTime (val) {
       this._sourceStartTime = val
-      if (this._initialized) {
-        const mediaProgress = this.movie.currentTime - this.startTime
-        this.source.currentTime = mediaProgress + this.sourceStartTime
-      }
+      if (this._loaded)
+        this._updateDuration()
+      if (this._initialized)
+        this.source.currentTime = this.getSourceTime(this.currentTime)
     }
 
     /**
@@ -200,20 +504,238 @@ function AudioSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Co
       return this._sourceStartTime
     }
 
+    set sourceEndTime (val) {
+      this._sourceEndTime = val
+      if (this._loaded)
+        this._updateDuration()
+    }
+
+    /**
+     * Time in the media at which the layer ends, defaults to the end of the
+     * media
+     */
+    get sourceEndTime () {
+      return this._sourceEndTime !== undefined && this._sourceEndTime !== null
+        ? this._sourceEndTime
+        : this.source.duration
+    }
+
     getDefaultOptions (): MixedAudioSourceOptions {
       return {
         ...superclass.prototype.getDefaultOptions(),
         source: undefined, // required
         sourceStartTime: 0,
+        sourceEndTime: undefined,
         duration: undefined, // important to include undefined keys, for applyOptions
         muted: false,
         volume: 1,
-        playbackRate: 1
+        playbackRate: 1,
+        reverse: false
       }
     }
   }
+  // The audio effects are watched by the layer already
+  MixedAudioSource.prototype.publicExcludes = superclass.prototype.publicExcludes.concat(['audioEffects'])
 
   return MixedAudioSource
 }
 
+/** A video element in browsers that support `requestVideoFrameCallback` */
+interface VideoWithFrameCallback extends HTMLVideoElement {
+  requestVideoFrameCallback(callback: () => void): number
+}
+
+/**
+ * Resolves when a media element is done seeking and its current frame can be
+ * drawn, or after <code>timeout</code> milliseconds. For videos, this waits
+ * until the frame is presented if <code>requestVideoFrameCallback</code> is
+ * supported, because the <code>seeked</code> event can come before the frame
+ * is decoded.
+ */
+function whenSeeked (source: HTMLMediaElement, timeout: number): Promise<void> {
+  let timer: number
+  const timedOut = new Promise<void>(resolve => {
+    timer = window.setTimeout(resolve, timeout)
+  })
+  return Promise.race([whenFrameReady(source), timedOut])
+    .then(() => window.clearTimeout(timer))
+}
+
+/**
+ * Resolves when a media element is done seeking and its current frame can be
+ * drawn
+ */
+function whenFrameReady (source: HTMLMediaElement): Promise<void> {
+  const seeked = new Promise<void>(resolve => {
+    if (source.seeking)
+      source.addEventListener('seeked', () => resolve(), { once: true })
+    // The media can't seek until its metadata is loaded
+    else if (source.readyState < 2)
+      source.addEventListener('loadeddata', () => resolve(), { once: true })
+    else
+      resolve()
+  })
+  if (!source.seeking || !('requestVideoFrameCallback' in source))
+    return seeked
+
+  // Request the callback now, in case the frame is presented before the
+  // `seeked` event
+  const presented = new Promise<void>(resolve => {
+    (source as VideoWithFrameCallback).requestVideoFrameCallback(() => resolve())
+    // No new frame is presented if the seek lands on the frame that's already
+    // shown, or if the browser doesn't draw the video
+    seeked.then(() => window.requestAnimationFrame(() => resolve()))
+  })
+  return Promise.all([seeked, presented]).then(() => undefined)
+}
+
+/**
+ * Evaluates a keyframe or function at any time, without caching the value like
+ * {@link val} does
+ */
+function evaluate (element: Base, value: Dynamic<number>, time: number): number {
+  if (value instanceof KeyFrame)
+    return value.evaluate(time)
+  if (typeof value === 'function')
+    return value(element, time)
+  return value
+}
+
+/**
+ * Adds up a dynamic number over time (its integral)
+ *
+ * Linear and held keyframes are added up exactly, and other values are
+ * sampled.
+ */
+function integrate (element: Base, value: Dynamic<number>, from: number, to: number): number {
+  if (to < from)
+    return -integrate(element, value, to, from)
+  if (typeof value === 'number')
+    return value * (to - from)
+  if (!(value instanceof KeyFrame))
+    return sample(time => evaluate(element, value, time), from, to)
+
+  const points = value.value
+  const firstTime = points[0][0] as number
+  // The first value is used before the first keyframe
+  let total = from < firstTime ? (points[0][1] as number) * (Math.min(to, firstTime) - from) : 0
+  for (let i = 0; i < points.length; i++) {
+    const start = Math.max(points[i][0] as number, from)
+    const end = Math.min(i + 1 < points.length ? points[i + 1][0] as number : Infinity, to)
+    if (end <= start)
+      continue
+
+    const interpolation = points[i][2]
+    if (i + 1 === points.length || interpolation === hold)
+      total += (points[i][1] as number) * (end - start)
+    else if (interpolation === undefined || interpolation === linearInterp)
+      total += (value.evaluate(start) + value.evaluate(end)) / 2 * (end - start)
+    else
+      total += sample(time => value.evaluate(time), start, end)
+  }
+  return total
+}
+
+/**
+ * Finds how long it takes to play <code>length</code> seconds of media at a
+ * keyframed rate, one keyframe at a time
+ */
+function keyFrameDuration (rate: KeyFrame<number>, length: number): number {
+  const points = rate.value
+  // The first value is used before the first keyframe, and the last one after
+  // the last keyframe
+  const times = [0]
+    .concat(points.map(point => point[0] as number).filter(time => time > 0))
+    .concat([Infinity])
+  let played = 0
+  for (let i = 0; i + 1 < times.length; i++) {
+    const start = times[i]
+    const end = times[i + 1]
+    // Keyframes at the same time
+    if (end <= start)
+      continue
+
+    // The keyframe that the segment starts in
+    let index = -1
+    while (index + 1 < points.length && (points[index + 1][0] as number) <= start)
+      index++
+    const remaining = length - played
+    const startRate = index >= 0 ? rate.evaluate(start) : points[0][1] as number
+    if (end === Infinity)
+      return startRate > 0 ? start + remaining / startRate : Infinity
+
+    const interpolation = index >= 0 ? points[index][2] : hold
+    if (index < 0 || interpolation === hold) {
+      // The rate is constant
+      if (startRate * (end - start) >= remaining)
+        return start + remaining / startRate
+      played += startRate * (end - start)
+    } else if (interpolation === undefined || interpolation === linearInterp) {
+      // The media played is quadratic in time, so solve for when it reaches
+      // the end
+      const width = end - start
+      const a = (rate.evaluate(end) - startRate) / (2 * width)
+      const roots = a === 0
+        ? [remaining / startRate]
+        : [-1, 1].map(sign => (-startRate + sign * Math.sqrt(startRate * startRate + 4 * a * remaining)) / (2 * a))
+      const root = roots
+        .filter(x => x >= 0 && x <= width)
+        .reduce((min, x) => Math.min(min, x), Infinity)
+      if (root !== Infinity)
+        return start + root
+      played += (startRate + rate.evaluate(end)) / 2 * width
+    } else {
+      const found = sampleUntil(time => rate.evaluate(time), start, end, remaining)
+      if (found.time !== undefined)
+        return found.time
+      played += found.total
+    }
+  }
+}
+
+/**
+ * Finds how long it takes to play <code>length</code> seconds of media at a
+ * rate given by a function, giving up after {@link MAX_DURATION_SAMPLES}
+ * samples
+ */
+function functionDuration (element: Base, rate: (element: Base, time: number) => number, length: number): number {
+  const found = sampleUntil(time => rate(element, time), 0, MAX_DURATION_SAMPLES / INTEGRATION_RATE, length)
+  return found.time !== undefined ? found.time : Infinity
+}
+
+/**
+ * Adds up a function over time with the trapezoidal rule until the total
+ * reaches <code>target</code>
+ *
+ * @return when the total reached the target (if it did) and the total
+ */
+function sampleUntil (fn: (time: number) => number, from: number, to: number, target: number): { time?: number, total: number } {
+  const steps = Math.max(Math.ceil((to - from) * INTEGRATION_RATE), 1)
+  const step = (to - from) / steps
+  let total = 0
+  let last = fn(from)
+  for (let i = 1; i <= steps; i++) {
+    const next = fn(from + i * step)
+    const area = (last + next) / 2 * step
+    if (area > 0 && total + area >= target)
+      // Assume the rate is constant within the step
+      return { time: from + (i - 1 + (target - total) / area) * step, total: target }
+    total += area
+    last = next
+  }
+  return { total }
+}
+
+/**
+ * Adds up a function over time with the trapezoidal rule
+ */
+function sample (fn: (time: number) => number, from: number, to: number): number {
+  const steps = Math.max(Math.ceil((to - from) * INTEGRATION_RATE), 1)
+  const step = (to - from) / steps
+  let total = (fn(from) + fn(to)) / 2
+  for (let i = 1; i < steps; i++)
+    total += fn(from + i * step)
+  return total * step
+}
+
 export { AudioSource, AudioSourceOptions, AudioSourceMixin }
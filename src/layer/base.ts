@@ -2,6 +2,7 @@ import VidarObject from '../object'
 import { publish, subscribe } from '../event'
 import { watchPublic, applyOptions } from '../util'
 import { Movie } from '../movie'
+import { Group } from './group'
 
 interface BaseOptions {
   /** The time in the movie at which this layer starts */
@@ -31,6 +32,7 @@ class Base implements VidarObject {
   private _startTime: number
   private _duration: number
   private _movie: Movie
+  private _group: Group
 
   /**
    * Creates a new empty layer
@@ -59,12 +61,13 @@ class Base implements VidarObject {
 
     this._occurrenceCount = 0 // no occurances in parent
     this._movie = null
+    this._group = null
 
     // Propogate up to target
     subscribe(newThis, 'layer.change', event => {
       const typeOfChange = event.type.substring(event.type.lastIndexOf('.') + 1)
       const type = `movie.change.layer.${typeOfChange}`
-      publish(newThis._movie, type, { ...event, target: newThis._movie, type })
+      publish(newThis._movie, type, { source: newThis, ...event, target: newThis._movie, type })
     })
 
     return newThis
@@ -72,11 +75,17 @@ class Base implements VidarObject {
 
   /**
    * Attaches this layer to `movie` if not already attached.
+   *
+   * @param movie
+   * @param [group] - the group this layer is in, if it's not directly in the
+   * movie
    * @ignore
    */
-  tryAttach (movie: Movie): void {
-    if (this._occurrenceCount === 0)
+  tryAttach (movie: Movie, group: Group = null): void {
+    if (this._occurrenceCount === 0) {
+      this._group = group
       this.attach(movie)
+    }
 
     this._occurrenceCount++
   }
@@ -105,6 +114,7 @@ class Base implements VidarObject {
 
   detach (): void {
     this._movie = null
+    this._group = null
   }
 
   /**
@@ -122,9 +132,19 @@ class Base implements VidarObject {
    */
   stop (): void {} // eslint-disable-line @typescript-eslint/no-empty-function
 
-  // TODO: is this needed?
-  get parent (): Movie {
-    return this._movie
+  /**
+   * The group this layer is in, or the movie if it's directly in the movie
+   */
+  get parent (): Movie | Group {
+    return this._group || this._movie
+  }
+
+  /**
+   * The group this layer is in, or <code>null</code> if it's directly in the
+   * movie
+   */
+  get group (): Group {
+    return this._group
   }
 
   /**
@@ -141,7 +161,8 @@ class Base implements VidarObject {
    * The current time of the movie relative to this layer
    */
   get currentTime (): number {
-    return this._movie ? this._movie.currentTime - this.startTime
+    // Layers in a group start relative to the group
+    return this._movie ? this.parent.currentTime - this.startTime
       : undefined
   }
 
@@ -0,0 +1,46 @@
+import { applyOptions } from '../util'
+import { Visual, VisualOptions } from './visual'
+
+interface CanvasOptions extends VisualOptions {
+  draw: (ctx: CanvasRenderingContext2D, time: number) => void
+}
+
+/**
+ * A layer that is drawn by a function, for charts, generative art and other
+ * custom drawing
+ *
+ * To use a canvas that is drawn by another library, use an {@link Image}
+ * layer with the canvas as its source instead.
+ */
+class Canvas extends Visual {
+  /**
+   * Draws the layer's contents. It's called every frame with the layer's
+   * context (after the background is drawn) and the time relative to the
+   * layer. Changes to the context's state are undone afterwards.
+   */
+  draw: (ctx: CanvasRenderingContext2D, time: number) => void
+
+  /**
+   * Creates a new canvas layer
+   */
+  constructor (options: CanvasOptions) {
+    super(options)
+    applyOptions(options, this)
+  }
+
+  doRender (): void {
+    super.doRender()
+    this.cctx.save()
+    this.draw(this.cctx, this.currentTime)
+    this.cctx.restore()
+  }
+
+  getDefaultOptions (): CanvasOptions {
+    return {
+      ...Visual.prototype.getDefaultOptions(),
+      draw: undefined // required
+    }
+  }
+}
+
+export { Canvas, CanvasOptions }
@@ -0,0 +1,168 @@
+import { val, applyOptions } from '../util'
+import { publish } from '../event'
+import { Movie } from '../movie'
+import { drawBlended } from '../blend'
+import { Base } from './base'
+import { Visual, VisualOptions } from './visual'
+
+type GroupOptions = VisualOptions
+
+/**
+ * A layer that renders its own layers (a pre-composition)
+ *
+ * The layers' start times are relative to the group, and their positions are
+ * relative to the group's canvas. Effects on the group are applied to the
+ * combined result. Groups can contain other groups.
+ */
+class Group extends Visual {
+  // readonly because it's a proxy
+  readonly layers: Base[]
+
+  private _layersBack: Base[]
+  /** The layers that were rendered in the last frame */
+  private _renderedLayers: Base[]
+
+  /**
+   * Creates a new group
+   */
+  constructor (options: GroupOptions) {
+    super(options)
+    applyOptions(options, this)
+
+    this._renderedLayers = []
+    this._layersBack = []
+    this.layers = new Proxy(this._layersBack, {
+      deleteProperty: (target, property) => {
+        const value = target[property]
+        if (this.movie)
+          this._releaseLayer(value)
+
+        delete target[property]
+        publish(this, 'layer.change.layer.remove', { layer: value })
+        return true
+      },
+      set: (target, property, value) => {
+        // Check if property is an number (an index)
+        if (!isNaN(Number(property))) {
+          if (target[property]) {
+            publish(this, 'layer.change.layer.remove', { layer: target[property] })
+            if (this.movie)
+              this._releaseLayer(target[property])
+          }
+          // The layers are attached to the movie when the group is
+          if (this.movie)
+            value.tryAttach(this.movie, this)
+
+          target[property] = value
+          publish(this, 'layer.change.layer.add', { layer: value })
+        } else {
+          target[property] = value
+        }
+
+        return true
+      }
+    })
+  }
+
+  attach (movie: Movie): void {
+    super.attach(movie)
+    this._eachLayer(layer => layer.tryAttach(movie, this))
+  }
+
+  detach (): void {
+    this._eachLayer(layer => this._releaseLayer(layer))
+    super.detach()
+  }
+
+  doRender (): void {
+    super.doRender()
+    this._renderedLayers = []
+    this._eachLayer(layer => this._renderLayer(layer))
+  }
+
+  stop (): void {
+    this._eachLayer(layer => {
+      if (layer.active) {
+        layer.stop()
+        layer.active = false
+      }
+    })
+  }
+
+  /**
+   * Renders a layer onto the group's canvas, and starts or stops it if it
+   * entered or left its time range
+   */
+  private _renderLayer (layer: Base) {
+    const reltime = layer.currentTime
+    // If only rendering this frame, we are not "starting" or "stopping" the
+    // layer.
+    const renderingFrame = this.movie.renderingFrame
+    if (!val(layer, 'enabled', reltime) || reltime < 0 || reltime > layer.duration) {
+      if (layer.active && !renderingFrame) {
+        layer.stop()
+        layer.active = false
+      }
+      return
+    }
+    if (!layer.active && !renderingFrame) {
+      layer.start()
+      layer.active = true
+    }
+
+    layer.render()
+    this._renderedLayers.push(layer)
+
+    if (layer instanceof Visual) {
+      const canvas = layer.canvas
+      // If the layer has an area (else InvalidStateError from canvas)
+      if (canvas.width * canvas.height > 0)
+        drawBlended(this.cctx, layer, layer.getTransform(reltime), val(layer, 'blendMode', reltime))
+    }
+  }
+
+  /**
+   * Stops a layer and detaches it from the movie
+   */
+  private _releaseLayer (layer: Base) {
+    if (layer.active) {
+      layer.stop()
+      layer.active = false
+    }
+    layer.tryDetach()
+  }
+
+  /**
+   * Calls `fn` for each layer, skipping deleted layers
+   */
+  private _eachLayer (fn: (layer: Base) => void) {
+    for (let i = 0; i < this.layers.length; i++) {
+      // A layer that has been deleted before layers.length has been updated
+      // (see the layers proxy in the constructor).
+      const layer = this.layers[i]
+      if (layer)
+        fn(layer)
+    }
+  }
+
+  /**
+   * Convienence method for <code>layers.push()</code>
+   * @param layer
+   * @return the group (for chaining)
+   */
+  addLayer (layer: Base): Group {
+    this.layers.push(layer); return this
+  }
+
+  /**
+   * The layers that were rendered in the last frame
+   * @ignore
+   */
+  get renderedLayers (): Base[] {
+    return this._renderedLayers
+  }
+}
+// The layers are watched by the group already
+Group.prototype.publicExcludes = Visual.prototype.publicExcludes.concat(['layers'])
+
+export { Group, GroupOptions }
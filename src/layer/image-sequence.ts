@@ -0,0 +1,218 @@
+import { Dynamic, val, applyOptions } from '../util'
+import { Visual, VisualOptions } from './visual'
+
+/**
+ * An image with the frames of an animation laid out in a grid, from left to
+ * right and then top to bottom
+ */
+interface SpriteSheet {
+  /** The URL of the image, or the image */
+  source: string | HTMLImageElement
+  columns: number
+  rows: number
+  /** The number of frames, if the last row isn't full */
+  frameCount?: number
+}
+
+/**
+ * What to show after the last frame
+ *
+ * - <code>'loop'</code> - start over from the first frame
+ * - <code>'ping-pong'</code> - play backwards to the first frame, and then
+ * forwards again
+ * - <code>'hold'</code> - keep showing the last frame
+ */
+type ImageSequencePlayback = 'loop' | 'ping-pong' | 'hold'
+
+interface ImageSequenceOptions extends Omit<VisualOptions, 'duration'> {
+  /** The URLs of the frames, or the images */
+  frames?: (string | HTMLImageElement)[]
+  spriteSheet?: SpriteSheet
+  frameRate?: number
+  playback?: Dynamic<ImageSequencePlayback>
+  /** How long the layer lasts, defaults to playing every frame once */
+  duration?: number
+}
+
+/**
+ * Plays a sequence of images, like numbered PNG files or the frames of a
+ * sprite sheet
+ *
+ * The images start loading when the layer is created. The movie waits for the
+ * current frame to load when it renders a frame for recording or exporting.
+ * The layer's size defaults to the size of a frame.
+ */
+class ImageSequence extends Visual {
+  /** The URLs of the frames, or the images */
+  readonly frames: (string | HTMLImageElement)[]
+  readonly spriteSheet: SpriteSheet
+  /** How many frames are shown per second */
+  frameRate: number
+  /** What to show after the last frame */
+  playback: Dynamic<ImageSequencePlayback>
+
+  /** The frames, or the sprite sheet */
+  private _images: HTMLImageElement[]
+
+  /**
+   * Creates a new image sequence layer
+   *
+   * @param options
+   * @param [options.frames] - the URLs of the frames, or the images
+   * @param [options.spriteSheet] - the frames, in one image
+   * @param [options.frameRate=24]
+   * @param [options.playback='loop'] - what to show after the last frame
+   */
+  constructor (options: ImageSequenceOptions) {
+    if (!options.frames === !options.spriteSheet)
+      throw new Error('Either frames or a sprite sheet is required')
+
+    const frameRate = options.frameRate || 24
+    const frameCount = options.frames
+      ? options.frames.length
+      : (options.spriteSheet.frameCount || options.spriteSheet.columns * options.spriteSheet.rows)
+    super({
+      ...options,
+      duration: options.duration !== undefined ? options.duration : frameCount / frameRate
+    })
+    applyOptions(options, this)
+
+    // Start loading every frame now, so they're ready when they're shown
+    const sources = this.frames || [this.spriteSheet.source]
+    this._images = sources.map(source => {
+      if (typeof source !== 'string')
+        return source
+
+      const image = document.createElement('img')
+      image.src = source
+      return image
+    })
+  }
+
+  doRender (): void {
+    super.doRender()
+    const image = this.source
+    // Images that failed to load can't be drawn
+    if (!image.complete || image.naturalWidth === 0)
+      return
+
+    if (!this.spriteSheet) {
+      this.cctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height)
+      return
+    }
+
+    const index = this.getFrameIndex(this.currentTime)
+    const [frameWidth, frameHeight] = this._getFrameSize()
+    const column = index % this.spriteSheet.columns
+    const row = Math.floor(index / this.spriteSheet.columns)
+    this.cctx.drawImage(
+      image,
+      column * frameWidth, row * frameHeight, frameWidth, frameHeight,
+      0, 0, this.canvas.width, this.canvas.height
+    )
+  }
+
+  /**
+   * Finds the frame to show
+   *
+   * @param reltime - the time relative to the layer
+   * @return the index of the frame
+   */
+  getFrameIndex (reltime: number): number {
+    const count = this.frameCount
+    // Round away floating-point errors, so frames aren't shown one too early
+    const index = Math.max(Math.floor(+(reltime * this.frameRate).toFixed(6)), 0)
+    const playback = val(this, 'playback', reltime)
+    switch (playback) {
+      case 'loop':
+        return index % count
+      case 'ping-pong': {
+        if (count === 1)
+          return 0
+
+        // The first and last frames aren't repeated
+        const period = 2 * count - 2
+        const position = index % period
+        return position < count ? position : period - position
+      }
+      case 'hold':
+        return Math.min(index, count - 1)
+      default:
+        throw new Error(`Invalid playback: '${playback}'`)
+    }
+  }
+
+  /**
+   * @return the width and height of one frame
+   */
+  private _getFrameSize (): [number, number] {
+    const image = this.source
+    return this.spriteSheet
+      ? [image.naturalWidth / this.spriteSheet.columns, image.naturalHeight / this.spriteSheet.rows]
+      : [image.naturalWidth, image.naturalHeight]
+  }
+
+  /**
+   * The number of frames
+   */
+  get frameCount (): number {
+    return this.frames
+      ? this.frames.length
+      : (this.spriteSheet.frameCount || this.spriteSheet.columns * this.spriteSheet.rows)
+  }
+
+  /**
+   * The image of the current frame (or the sprite sheet), which the movie
+   * checks to see if the frame is loaded
+   */
+  get source (): HTMLImageElement {
+    return this.spriteSheet ? this._images[0] : this._images[this.getFrameIndex(this.currentTime)]
+  }
+
+  /**
+   * Whether every frame is loaded
+   */
+  get loaded (): boolean {
+    return this._images.every(image => image.complete)
+  }
+
+  getDefaultOptions (): ImageSequenceOptions & VisualOptions {
+    return {
+      ...Visual.prototype.getDefaultOptions(),
+      /**
+       * @name module:layer.ImageSequence#frames
+       * @desc The URLs of the frames, or the images
+       */
+      frames: null,
+      /**
+       * @name module:layer.ImageSequence#spriteSheet
+       * @desc The frames, in one image (see {@link SpriteSheet})
+       */
+      spriteSheet: null,
+      /**
+       * @name module:layer.ImageSequence#frameRate
+       * @desc How many frames are shown per second
+       */
+      frameRate: 24,
+      /**
+       * @name module:layer.ImageSequence#playback
+       * @desc What to show after the last frame (see
+       * {@link ImageSequencePlayback})
+       */
+      playback: 'loop',
+      duration: undefined
+    }
+  }
+}
+ImageSequence.prototype.propertyFilters = {
+  ...Visual.prototype.propertyFilters,
+  // Default to the size of a frame
+  width: function (width) {
+    return width != undefined ? width : this._getFrameSize()[0] // eslint-disable-line eqeqeq
+  },
+  height: function (height) {
+    return height != undefined ? height : this._getFrameSize()[1] // eslint-disable-line eqeqeq
+  }
+}
+
+export { ImageSequence, ImageSequenceOptions, ImageSequencePlayback, SpriteSheet }
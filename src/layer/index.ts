@@ -6,7 +6,13 @@
 export * from './audio-source'
 export * from './audio'
 export * from './base'
+export * from './canvas'
+export * from './group'
+export * from './image-sequence'
 export * from './image'
+export * from './shape'
+export * from './stream'
+export * from './subtitles'
 export * from './text'
 export * from './video'
 export * from './visual-source'
@@ -0,0 +1,279 @@
+import { Dynamic, val, applyOptions, Gradient } from '../util'
+import { MotionPath } from '../motion-path'
+import { Visual, VisualOptions } from './visual'
+
+/**
+ * The kind of shape to draw
+ *
+ * - <code>'rectangle'</code> - the layer's area, with rounded corners if
+ * <code>cornerRadius</code> is set
+ * - <code>'ellipse'</code> - the ellipse in the layer's area
+ * - <code>'polygon'</code> - a regular polygon with <code>points</code>
+ * corners, in the layer's ellipse
+ * - <code>'star'</code> - a star with <code>points</code> points, in the
+ * layer's ellipse
+ * - <code>'line'</code> - a line from (<code>x1</code>, <code>y1</code>) to
+ * (<code>x2</code>, <code>y2</code>)
+ * - <code>'path'</code> - <code>path</code>
+ */
+type ShapeType = 'rectangle' | 'ellipse' | 'polygon' | 'star' | 'line' | 'path'
+
+/** A color, gradient or pattern */
+type ShapePaint = string | Gradient | CanvasGradient | CanvasPattern
+
+interface ShapeStroke {
+  color: ShapePaint
+  thickness?: number
+  /**
+   * Alternating lengths of dashes and gaps
+   * @see [`CanvasRenderingContext2D#setLineDash`](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/setLineDash)
+   */
+  dash?: number[]
+  dashOffset?: number
+  cap?: CanvasLineCap
+  join?: CanvasLineJoin
+}
+
+interface ShapeOptions extends VisualOptions {
+  shape?: Dynamic<ShapeType>
+  cornerRadius?: Dynamic<number>
+  points?: Dynamic<number>
+  innerRadius?: Dynamic<number>
+  x1?: Dynamic<number>
+  y1?: Dynamic<number>
+  x2?: Dynamic<number>
+  y2?: Dynamic<number>
+  path?: Dynamic<Path2D | string>
+  fill?: Dynamic<ShapePaint>
+  fillRule?: Dynamic<CanvasFillRule>
+  stroke?: Dynamic<ShapeStroke>
+  trimStart?: Dynamic<number>
+  trimEnd?: Dynamic<number>
+}
+
+/**
+ * Draws a rectangle, ellipse, polygon, star, line or path
+ *
+ * The shapes are inset by half of the stroke's thickness, so the stroke isn't
+ * cropped by the edges of the layer.
+ */
+class Shape extends Visual {
+  shape: Dynamic<ShapeType>
+  cornerRadius: Dynamic<number>
+  points: Dynamic<number>
+  innerRadius: Dynamic<number>
+  x1: Dynamic<number>
+  y1: Dynamic<number>
+  x2: Dynamic<number>
+  y2: Dynamic<number>
+  path: Dynamic<Path2D | string>
+  fill: Dynamic<ShapePaint>
+  fillRule: Dynamic<CanvasFillRule>
+  stroke: Dynamic<ShapeStroke>
+  trimStart: Dynamic<number>
+  trimEnd: Dynamic<number>
+
+  /** The length of the last trimmed path, so it isn't measured every frame */
+  private _pathLength: { data: string, length: number }
+
+  /**
+   * Creates a new shape layer
+   */
+  constructor (options: ShapeOptions) {
+    super(options)
+    applyOptions(options, this)
+
+    this._pathLength = null
+  }
+
+  doRender (): void {
+    super.doRender()
+    const time = this.currentTime
+    const stroke = val(this, 'stroke', time)
+    const thickness = stroke && stroke.color ? (stroke.thickness || 1) : 0
+    const data = this.getPathData(thickness / 2)
+    const path = typeof data === 'string' ? new Path2D(data) : data
+
+    const fill = val(this, 'fill', time)
+    if (fill) {
+      this.cctx.fillStyle = this._toCanvasPaint(fill)
+      this.cctx.fill(path, val(this, 'fillRule', time))
+    }
+
+    if (thickness === 0)
+      return
+
+    this.cctx.strokeStyle = this._toCanvasPaint(stroke.color)
+    this.cctx.lineWidth = thickness
+    this.cctx.lineCap = stroke.cap || 'butt'
+    this.cctx.lineJoin = stroke.join || 'miter'
+    const trimStart = Math.max(val(this, 'trimStart', time), 0)
+    const trimEnd = Math.min(val(this, 'trimEnd', time), 1)
+    if (trimStart > 0 || trimEnd < 1) {
+      if (typeof data !== 'string')
+        throw new Error('Only paths from SVG path data can be trimmed')
+
+      // Draw one dash over the trimmed part of the path
+      const length = this._getLength(data)
+      this.cctx.setLineDash([Math.max(trimEnd - trimStart, 0) * length, length])
+      this.cctx.lineDashOffset = -trimStart * length
+    } else if (stroke.dash) {
+      this.cctx.setLineDash(stroke.dash)
+      this.cctx.lineDashOffset = stroke.dashOffset || 0
+    }
+    this.cctx.stroke(path)
+  }
+
+  /**
+   * Creates the outline of the shape
+   *
+   * @param [inset=0] - how far to move the edges of rectangles, ellipses,
+   * polygons and stars inwards
+   * @return SVG path data, or the <code>Path2D</code> if <code>path</code> is
+   * one
+   */
+  getPathData (inset = 0): string | Path2D {
+    const time = this.currentTime
+    const shape = val(this, 'shape', time)
+    const left = inset
+    const top = inset
+    const width = Math.max(this.canvas.width - 2 * inset, 0)
+    const height = Math.max(this.canvas.height - 2 * inset, 0)
+    const rx = width / 2
+    const ry = height / 2
+    const cx = left + rx
+    const cy = top + ry
+    switch (shape) {
+      case 'rectangle': {
+        const r = Math.min(Math.max(val(this, 'cornerRadius', time), 0), rx, ry)
+        const corner = (x: number, y: number) => r > 0 ? `A ${r} ${r} 0 0 1 ${x} ${y} ` : ''
+        return `M ${left + r} ${top} H ${left + width - r} ${corner(left + width, top + r)}` +
+          `V ${top + height - r} ${corner(left + width - r, top + height)}` +
+          `H ${left + r} ${corner(left, top + height - r)}` +
+          `V ${top + r} ${corner(left + r, top)}Z`
+      }
+      case 'ellipse':
+        // Two halves, because an arc can't end where it starts
+        return `M ${left} ${cy} A ${rx} ${ry} 0 1 1 ${left + width} ${cy} ` +
+          `A ${rx} ${ry} 0 1 1 ${left} ${cy} Z`
+      case 'polygon':
+      case 'star': {
+        const points = Math.max(Math.round(val(this, 'points', time)), 3)
+        const star = shape === 'star'
+        const innerRadius = val(this, 'innerRadius', time)
+        const corners = star ? 2 * points : points
+        let data = ''
+        for (let i = 0; i < corners; i++) {
+          // Start at the top
+          const angle = -Math.PI / 2 + 2 * Math.PI * i / corners
+          const scale = star && i % 2 === 1 ? innerRadius : 1
+          data += `${i === 0 ? 'M' : 'L'} ${cx + rx * scale * Math.cos(angle)} ${cy + ry * scale * Math.sin(angle)} `
+        }
+        return data + 'Z'
+      }
+      case 'line':
+        return `M ${val(this, 'x1', time)} ${val(this, 'y1', time)} L ${val(this, 'x2', time)} ${val(this, 'y2', time)}`
+      case 'path':
+        return val(this, 'path', time)
+      default:
+        throw new Error(`Invalid shape: '${shape}'`)
+    }
+  }
+
+  private _toCanvasPaint (paint: ShapePaint): string | CanvasGradient | CanvasPattern {
+    return paint instanceof Gradient
+      ? paint.toCanvasGradient(this.cctx, this, this.currentTime)
+      : paint
+  }
+
+  private _getLength (data: string): number {
+    if (!this._pathLength || this._pathLength.data !== data)
+      this._pathLength = { data, length: new MotionPath(data).length }
+
+    return this._pathLength.length
+  }
+
+  getDefaultOptions (): ShapeOptions {
+    return {
+      ...Visual.prototype.getDefaultOptions(),
+      /**
+       * @name module:layer.Shape#shape
+       * @desc The kind of shape to draw (see {@link ShapeType})
+       */
+      shape: 'rectangle',
+      /**
+       * @name module:layer.Shape#cornerRadius
+       * @desc The radius of a rectangle's corners
+       */
+      cornerRadius: 0,
+      /**
+       * @name module:layer.Shape#points
+       * @desc The number of corners of a polygon or points of a star
+       */
+      points: 5,
+      /**
+       * @name module:layer.Shape#innerRadius
+       * @desc The distance from the center of a star to its inner corners, as
+       * a fraction of the distance to its points
+       */
+      innerRadius: 0.5,
+      /**
+       * @name module:layer.Shape#x1
+       * @desc Where a line starts, relative to the layer
+       */
+      x1: 0,
+      /**
+       * @name module:layer.Shape#y1
+       * @desc Where a line starts, relative to the layer
+       */
+      y1: 0,
+      /**
+       * @name module:layer.Shape#x2
+       * @desc Where a line ends, relative to the layer
+       */
+      x2: 0,
+      /**
+       * @name module:layer.Shape#y2
+       * @desc Where a line ends, relative to the layer
+       */
+      y2: 0,
+      /**
+       * @name module:layer.Shape#path
+       * @desc The shape to draw when <code>shape</code> is
+       * <code>'path'</code>, as a <code>Path2D</code> or SVG path data (like
+       * <code>'M 0 0 L 100 0 L 50 80 Z'</code>)
+       */
+      path: null,
+      /**
+       * @name module:layer.Shape#fill
+       * @desc The color, gradient or pattern inside the shape, or
+       * <code>null</code> for no fill
+       */
+      fill: '#fff',
+      /**
+       * @name module:layer.Shape#fillRule
+       * @desc How to determine what's inside the shape
+       */
+      fillRule: 'nonzero',
+      /**
+       * @name module:layer.Shape#stroke
+       * @desc The outline of the shape, or <code>null</code> for no outline
+       */
+      stroke: null,
+      /**
+       * @name module:layer.Shape#trimStart
+       * @desc Where the visible part of the outline starts, as a fraction of
+       * its length
+       */
+      trimStart: 0,
+      /**
+       * @name module:layer.Shape#trimEnd
+       * @desc Where the visible part of the outline ends, as a fraction of
+       * its length. Animate it from 0 to 1 to draw the outline.
+       */
+      trimEnd: 1
+    }
+  }
+}
+
+export { Shape, ShapeOptions, ShapeType, ShapePaint, ShapeStroke }
@@ -0,0 +1,199 @@
+import { AudioContext, IGainNode, IMediaStreamAudioSourceNode } from 'standardized-audio-context'
+import { Movie } from '../movie'
+import { subscribe } from '../event'
+import { Dynamic, val, applyOptions } from '../util'
+import { scheduleAudioParam } from '../audio-effect/base'
+import { Visual, VisualOptions } from './visual'
+
+interface StreamOptions extends Omit<VisualOptions, 'duration'> {
+  stream: MediaStream
+  /** How long the layer lasts, defaults to forever */
+  duration?: number
+  muted?: Dynamic<boolean>
+  volume?: Dynamic<number>
+}
+
+/**
+ * A layer that shows and plays a live <code>MediaStream</code>, like a webcam,
+ * a screen capture or a WebRTC call
+ *
+ * Streams can't be seeked, so the layer always shows the latest frame. The
+ * audio is played through the movie's audio context, so it can be recorded.
+ * The layer's size defaults to the size of the video.
+ */
+class Stream extends Visual {
+  /** The stream to show and play */
+  readonly stream: MediaStream
+  muted: Dynamic<boolean>
+  /** The gain to apply to the audio (can be greater than 1) */
+  volume: Dynamic<number>
+
+  /** Plays the stream, so its frames can be drawn */
+  private _video: HTMLVideoElement
+  /** The audio source node for the stream, if it has audio */
+  private _audioNode: IMediaStreamAudioSourceNode<AudioContext>
+  private _gainNode: IGainNode<AudioContext>
+  /** Whether the audio is connected to the movie */
+  private _audible: boolean
+
+  /**
+   * Creates a new stream layer
+   */
+  constructor (options: StreamOptions) {
+    super({ ...options, duration: options.duration !== undefined ? options.duration : Infinity })
+    applyOptions(options, this)
+
+    this._video = document.createElement('video')
+    // The audio is played through the movie instead
+    this._video.muted = true
+    this._video.playsInline = true
+    this._video.srcObject = this.stream
+    this._audioNode = null
+    this._gainNode = null
+    this._audible = false
+
+    // Audio tracks can be added to WebRTC streams later
+    this.stream.addEventListener('addtrack', () => {
+      if (this.movie)
+        this._createAudioNodes()
+    })
+    subscribe(this, 'layer.change.modify', event => {
+      if (event.property === 'volume' && this._audible)
+        this._scheduleVolume()
+    })
+  }
+
+  attach (movie: Movie): void {
+    super.attach(movie)
+    this._createAudioNodes()
+  }
+
+  detach (): void {
+    this._setAudible(false)
+    if (this._audioNode) {
+      this._audioNode.disconnect(this._gainNode)
+      this._audioNode = null
+      this._gainNode = null
+    }
+    super.detach()
+  }
+
+  start (): void {
+    this._video.play()
+  }
+
+  render (): void {
+    super.render()
+    // Only play the audio while the movie is playing the layer
+    this._setAudible(this.active && !val(this, 'muted', this.currentTime))
+  }
+
+  doRender (): void {
+    super.doRender()
+    // The first frame isn't always available yet
+    if (this._video.readyState >= 2)
+      this.cctx.drawImage(this._video, 0, 0, this.canvas.width, this.canvas.height)
+  }
+
+  stop (): void {
+    this._video.pause()
+    // Streams can't be paused, so stop listening instead
+    this._setAudible(false)
+  }
+
+  /**
+   * Creates the audio nodes, if the stream has audio and they don't exist yet
+   */
+  private _createAudioNodes () {
+    if (this._audioNode || this.stream.getAudioTracks().length === 0)
+      return
+
+    this._audioNode = this.movie.actx.createMediaStreamSource(this.stream)
+    this._gainNode = this.movie.actx.createGain()
+    this._audioNode.connect(this._gainNode)
+  }
+
+  /**
+   * Connects the audio to the movie or disconnects it
+   */
+  private _setAudible (audible: boolean) {
+    if (!this._gainNode || audible === this._audible)
+      return
+
+    if (audible) {
+      this._gainNode.connect(this.movie.audioInput)
+      this._scheduleVolume()
+    } else {
+      this._gainNode.disconnect(this.movie.audioInput)
+    }
+    this._audible = audible
+  }
+
+  /**
+   * Schedules the volume from the current time until the end of the layer
+   */
+  private _scheduleVolume () {
+    scheduleAudioParam(
+      this._gainNode.gain, this, 'volume',
+      Math.max(this.currentTime, 0), this.duration, this.movie.actx.currentTime
+    )
+  }
+
+  /**
+   * The element that plays the stream
+   */
+  get video (): HTMLVideoElement {
+    return this._video
+  }
+
+  /**
+   * The audio source node for the stream, or <code>null</code> if it has no
+   * audio
+   */
+  get audioNode (): IMediaStreamAudioSourceNode<AudioContext> {
+    return this._audioNode
+  }
+
+  /**
+   * The gain node that controls the volume, which the audio node is
+   * connected to
+   */
+  get gainNode (): IGainNode<AudioContext> {
+    return this._gainNode
+  }
+
+  getDefaultOptions (): StreamOptions & VisualOptions {
+    return {
+      ...Visual.prototype.getDefaultOptions(),
+      /**
+       * @name module:layer.Stream#stream
+       * @desc The stream to show and play
+       */
+      stream: undefined, // required
+      duration: Infinity,
+      /**
+       * @name module:layer.Stream#muted
+       */
+      muted: false,
+      /**
+       * @name module:layer.Stream#volume
+       * @desc The gain to apply to the audio (can be greater than 1)
+       */
+      volume: 1
+    }
+  }
+}
+// The stream is a media object
+Stream.prototype.publicExcludes = Visual.prototype.publicExcludes.concat(['stream'])
+Stream.prototype.propertyFilters = {
+  ...Visual.prototype.propertyFilters,
+  // Default to the size of the video
+  width: function (width) {
+    return width != undefined ? width : this.video.videoWidth // eslint-disable-line eqeqeq
+  },
+  height: function (height) {
+    return height != undefined ? height : this.video.videoHeight // eslint-disable-line eqeqeq
+  }
+}
+
+export { Stream, StreamOptions }
@@ -0,0 +1,323 @@
+import { Dynamic, val } from '../util'
+import { publish } from '../event'
+import { Text, TextOptions, TextRun, TextPadding } from './text'
+import { Visual } from './visual'
+
+/** A caption, with times relative to the layer */
+interface SubtitleCue {
+  startTime: number
+  endTime: number
+  /**
+   * The text, which can contain line breaks and <code>&lt;b&gt;</code>,
+   * <code>&lt;i&gt;</code>, <code>&lt;c.color&gt;</code> and
+   * <code>&lt;font color="..."&gt;</code> tags
+   */
+  text: string
+  /** The horizontal position, from 0 (left) to 1 (right) */
+  position?: number
+  /** The vertical position, from 0 (top) to 1 (bottom) */
+  line?: number
+  /** The horizontal alignment, used when there is no position */
+  align?: 'start' | 'center' | 'end' | 'left' | 'right'
+}
+
+interface SubtitlesOptions extends Omit<TextOptions, 'text'> {
+  /** Ignored, the text is taken from the active cue */
+  text?: undefined
+  /** The cues, or the contents of an SRT or WebVTT file */
+  cues?: SubtitleCue[] | string
+  safeArea?: Dynamic<number>
+}
+
+/**
+ * Renders captions, one cue at a time
+ *
+ * The active cue is centered at the bottom of the layer's safe area, unless it
+ * has its own position. Publishes a <code>'layer.cuechange'</code> event when
+ * the active cue changes.
+ */
+class Subtitles extends Text {
+  cues: SubtitleCue[]
+  /**
+   * The fraction of the layer's width and height to keep clear of text on
+   * each side, when there is no padding
+   */
+  safeArea: Dynamic<number>
+
+  /** The cue that was rendered last */
+  private _activeCue: SubtitleCue
+
+  /**
+   * Creates a new subtitles layer
+   */
+  constructor (options: SubtitlesOptions) {
+    super((typeof options.cues === 'string'
+      ? { ...options, cues: Subtitles.parse(options.cues) }
+      : options) as TextOptions)
+
+    // The text is taken from the active cue
+    this.text = (layer: Subtitles, time: number) => layer._getCueText(time)
+    this._activeCue = null
+  }
+
+  doRender (): void {
+    const cue = this.getCue(this.currentTime)
+    if (cue !== this._activeCue)
+      this._setActiveCue(cue)
+
+    super.doRender()
+  }
+
+  stop (): void {
+    super.stop()
+    this._setActiveCue(null)
+  }
+
+  /**
+   * Finds the cue to show
+   *
+   * @param reltime - the time relative to the layer
+   * @return the first cue that contains <code>reltime</code>, or
+   * <code>null</code>
+   */
+  getCue (reltime: number): SubtitleCue {
+    for (const cue of this.cues)
+      if (cue.startTime <= reltime && reltime < cue.endTime)
+        return cue
+
+    return null
+  }
+
+  /**
+   * Converts the cues to the SubRip (SRT) format
+   */
+  toSRT (): string {
+    return this.cues.map((cue, i) =>
+      `${i + 1}\n${formatTime(cue.startTime, ',')} --> ${formatTime(cue.endTime, ',')}\n${cue.text}\n`
+    ).join('\n')
+  }
+
+  /**
+   * Converts the cues to the WebVTT format
+   */
+  toVTT (): string {
+    return 'WEBVTT\n\n' + this.cues.map(cue => {
+      let settings = ''
+      if (cue.position !== undefined)
+        settings += ` position:${+(cue.position * 100).toFixed(3)}%`
+      if (cue.line !== undefined)
+        settings += ` line:${+(cue.line * 100).toFixed(3)}%`
+      if (cue.align !== undefined)
+        settings += ` align:${cue.align}`
+
+      return `${formatTime(cue.startTime, '.')} --> ${formatTime(cue.endTime, '.')}${settings}\n${cue.text}\n`
+    }).join('\n')
+  }
+
+  protected _getAlignment (): [number, number] {
+    const [horizontal, vertical] = super._getAlignment()
+    const cue = this._activeCue
+    if (!cue)
+      return [horizontal, vertical]
+
+    const ltr = val(this, 'textDirection', this.currentTime) !== 'rtl'
+    const align = cue.align === 'center'
+      ? 0.5
+      : (cue.align === 'right' || cue.align === (ltr ? 'end' : 'start') ? 1 : 0)
+    return [
+      cue.position !== undefined ? cue.position : (cue.align !== undefined ? align : horizontal),
+      cue.line !== undefined ? cue.line : vertical
+    ]
+  }
+
+  private _setActiveCue (cue: SubtitleCue) {
+    if (cue === this._activeCue)
+      return
+
+    const previousCue = this._activeCue
+    this._activeCue = cue
+    publish(this, 'layer.cuechange', { cue, previousCue })
+  }
+
+  /**
+   * The padding for the safe area
+   */
+  private _getSafeArea (): TextPadding {
+    const safeArea = val(this, 'safeArea', this.currentTime)
+    const horizontal = safeArea * val(this, 'width', this.currentTime)
+    const vertical = safeArea * val(this, 'height', this.currentTime)
+    return { top: vertical, right: horizontal, bottom: vertical, left: horizontal }
+  }
+
+  private _getCueText (time: number): TextRun[] {
+    const cue = this.getCue(time)
+    return cue ? parseCueText(cue.text) : []
+  }
+
+  /**
+   * Parses an SRT or WebVTT file
+   *
+   * Only percentages are supported for the <code>position</code> and
+   * <code>line</code> cue settings.
+   *
+   * @param data - the contents of the file
+   * @return the cues
+   */
+  static parse (data: string): SubtitleCue[] {
+    const blocks = data.replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/)
+    const vtt = /^(\uFEFF)?WEBVTT/.test(blocks[0])
+    if (vtt)
+      blocks.shift()
+
+    const cues: SubtitleCue[] = []
+    for (const block of blocks) {
+      const lines = block.split('\n')
+      // Skip the cue number or identifier
+      const timingIndex = lines.findIndex(line => line.includes('-->'))
+      if (timingIndex === -1) {
+        // Comments and styles are the only other WebVTT blocks
+        if (vtt && /^(NOTE|STYLE|REGION)\b/.test(lines[0]))
+          continue
+
+        throw new Error(`Invalid subtitle cue: '${block}'`)
+      }
+
+      const [start, rest] = lines[timingIndex].split('-->').map(part => part.trim())
+      const [end, ...settings] = rest.split(/\s+/)
+      const cue: SubtitleCue = {
+        startTime: parseTime(start),
+        endTime: parseTime(end),
+        text: lines.slice(timingIndex + 1).join('\n')
+      }
+      for (const setting of settings) {
+        const [name, value] = setting.split(':')
+        // Ignore the alignment part of positions, like 'position:10%,line-left'
+        const percentage = /^(\d+(?:\.\d+)?)%/.exec(value || '')
+        if (name === 'position' && percentage)
+          cue.position = parseFloat(percentage[1]) / 100
+        else if (name === 'line' && percentage)
+          cue.line = parseFloat(percentage[1]) / 100
+        else if (name === 'align' && ['start', 'center', 'end', 'left', 'right'].includes(value))
+          cue.align = value as SubtitleCue['align']
+      }
+      cues.push(cue)
+    }
+    return cues
+  }
+
+  getDefaultOptions (): SubtitlesOptions & TextOptions {
+    return {
+      ...Text.prototype.getDefaultOptions(),
+      // Replaced with the active cue's text
+      text: undefined,
+      font: '32px sans-serif',
+      stroke: { color: '#000', thickness: 2 },
+      textAlign: 'center',
+      textBaseline: 'bottom',
+      padding: null,
+      /**
+       * @name module:layer.Subtitles#cues
+       */
+      cues: [],
+      /**
+       * @name module:layer.Subtitles#safeArea
+       * @desc The fraction of the layer's width and height to keep clear of
+       * text on each side, when there is no padding
+       */
+      safeArea: 0.05
+    }
+  }
+}
+// The text is taken from the cues
+Subtitles.prototype.publicExcludes = Text.prototype.publicExcludes.concat(['text'])
+Subtitles.prototype.propertyFilters = {
+  ...Text.prototype.propertyFilters,
+  // Fill the movie like other visual layers, instead of fitting the text
+  width: Visual.prototype.propertyFilters.width,
+  height: Visual.prototype.propertyFilters.height,
+  padding: function (padding) {
+    return padding != undefined ? padding : this._getSafeArea() // eslint-disable-line eqeqeq
+  }
+}
+
+/** The colors WebVTT defines as classes */
+const CUE_COLORS = ['white', 'lime', 'cyan', 'red', 'yellow', 'magenta', 'blue', 'black']
+
+const ENTITIES: Record<string, string> = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'"
+}
+
+/**
+ * Converts the tags in a cue's text to styled runs
+ */
+function parseCueText (text: string): TextRun[] {
+  const runs: TextRun[] = []
+  // The styles of the tags that are open
+  const stack: { tag: string, style: Partial<TextRun> }[] = []
+  const style = () => Object.assign({}, ...stack.map(entry => entry.style))
+  const tokens = text.match(/<[^>]*>|[^<]+/g) || []
+  for (const token of tokens) {
+    const tag = /^<(\/?)([a-z]+)?([^>]*)>$/i.exec(token)
+    if (!tag) {
+      runs.push({ ...style(), text: token.replace(/&[#\w]+;/g, entity => ENTITIES[entity] || entity) })
+      continue
+    }
+
+    const [, closing, name = '', rest] = tag
+    const tagName = name.toLowerCase()
+    if (closing) {
+      // Close the tag and any unclosed tags inside it
+      const index = stack.map(entry => entry.tag).lastIndexOf(tagName)
+      if (index !== -1)
+        stack.splice(index)
+      continue
+    }
+
+    // Tags without a name are timestamps, like <00:00:01.000>
+    if (tagName)
+      stack.push({ tag: tagName, style: getTagStyle(tagName, rest) })
+  }
+  return runs
+}
+
+/**
+ * @param tagName
+ * @param rest - the classes or attributes after the tag name
+ */
+function getTagStyle (tagName: string, rest: string): Partial<TextRun> {
+  switch (tagName) {
+    case 'b':
+      return { bold: true }
+    case 'i':
+      return { italic: true }
+    case 'c': {
+      const color = rest.split('.').find(className => CUE_COLORS.includes(className))
+      return color ? { color } : {}
+    }
+    case 'font': {
+      const color = /color\s*=\s*["']?([^"'\s>]+)/i.exec(rest)
+      return color ? { color: color[1] } : {}
+    }
+    default:
+      return {}
+  }
+}
+
+function parseTime (time: string): number {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec(time)
+  if (!match)
+    throw new Error(`Invalid subtitle time: '${time}'`)
+
+  const [, hours = '0', minutes, seconds, milliseconds] = match
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) +
+    parseInt(milliseconds.padEnd(3, '0')) / 1000
+}
+
+function formatTime (time: number, separator: string): string {
+  const milliseconds = Math.round(time * 1000)
+  const pad = (value: number, length: number) => String(value).padStart(length, '0')
+  return `${pad(Math.floor(milliseconds / 3600000), 2)}:${pad(Math.floor(milliseconds / 60000) % 60, 2)}:` +
+    `${pad(Math.floor(milliseconds / 1000) % 60, 2)}${separator}${pad(milliseconds % 1000, 3)}`
+}
+
+export { Subtitles, SubtitlesOptions, SubtitleCue }
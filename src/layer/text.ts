@@ -1,10 +1,62 @@
-import { Dynamic, val, applyOptions } from '../util'
+import { Dynamic, val, applyOptions, parseFont, parseColor, Color, Gradient } from '../util'
 import { Visual, VisualOptions } from './visual'
 
+/**
+ * A piece of text with its own style. Unset styles are taken from the layer.
+ */
+interface TextRun {
+  text: string
+  font?: string
+  color?: string | Gradient
+  bold?: boolean
+  italic?: boolean
+}
+
+/**
+ * Animates part of a text layer's text. The units (characters, words or lines)
+ * in the range are changed by the animator's properties. Units partly in the
+ * range are changed partly.
+ *
+ * Characters are scaled and rotated around the middle of their unit on the
+ * baseline. Functions are called with the layer.
+ */
+interface TextAnimator {
+  /** What the range counts, defaults to <code>'character'</code> */
+  unit?: 'character' | 'word' | 'line'
+  /** Where the range starts, from 0 to 1, defaults to 0 */
+  start?: Dynamic<number>
+  /** Where the range ends, from 0 to 1, defaults to 1 */
+  end?: Dynamic<number>
+  /** How far to move the range, defaults to 0 */
+  offset?: Dynamic<number>
+  /** Multiplies the opacity */
+  opacity?: Dynamic<number>
+  /** Moves the text right */
+  offsetX?: Dynamic<number>
+  /** Moves the text down */
+  offsetY?: Dynamic<number>
+  scale?: Dynamic<number>
+  /** The clockwise rotation in radians */
+  rotation?: Dynamic<number>
+  /**
+   * The CSS color to change the text to. Text with a gradient keeps its
+   * gradient.
+   */
+  color?: Dynamic<string>
+}
+
+/** The space between the edges of a text layer and its text */
+type TextPadding = number | {
+  top: number
+  right: number
+  bottom: number
+  left: number
+}
+
 interface TextOptions extends VisualOptions {
-  text: Dynamic<string>
+  text: Dynamic<string | TextRun[]>
   font?: Dynamic<string>
-  color?: Dynamic<string>
+  color?: Dynamic<string | Gradient>
   /** The text's horizontal offset from the layer */
   textX?: Dynamic<number>
   /** The text's vertical offset from the layer */
@@ -24,12 +76,74 @@ interface TextOptions extends VisualOptions {
    * @see [`CanvasRenderingContext2D#direction`](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/textBaseline)
    */
   textDirection?: Dynamic<string>
+  animators?: TextAnimator[]
+  lineHeight?: Dynamic<number>
+  padding?: Dynamic<TextPadding>
+  stroke?: Dynamic<{
+    color: string
+    thickness?: number
+  }>
+
+  shadow?: Dynamic<{
+    color: string
+    blur?: number
+    offsetX?: number
+    offsetY?: number
+  }>
 }
 
+/** A word, space or part of a word, measured in its font */
+interface TextSegment {
+  text: string
+  font: string
+  color: string | Gradient
+  width: number
+  ascent: number
+  descent: number
+  /** The font size in pixels */
+  size: number
+  space: boolean
+  /**
+   * Where each character starts, from the start of the segment, followed by
+   * the segment's width (empty for spaces)
+   */
+  offsets: number[]
+}
+
+interface TextLine {
+  segments: TextSegment[]
+  /** The width without trailing spaces */
+  width: number
+  height: number
+  /** The distance from the top of the line to its baseline */
+  baseline: number
+}
+
+/** A segment where it's drawn on the layer */
+interface PlacedSegment {
+  segment: TextSegment
+  x: number
+  /** The y coordinate of the baseline */
+  y: number
+  line: TextLine
+  /** The x coordinate of the start of the line */
+  lineX: number
+}
+
+/** The measured lines of a text layer */
+interface TextLayout {
+  lines: TextLine[]
+  width: number
+  height: number
+}
+
+/** Measures text without changing the state of a layer's context */
+const measureCtx = document.createElement('canvas').getContext('2d')
+
 class Text extends Visual {
-  text: Dynamic<string>
+  text: Dynamic<string | TextRun[]>
   font: Dynamic<string>
-  color: Dynamic<string>
+  color: Dynamic<string | Gradient>
   /** The text's horizontal offset from the layer */
   textX: Dynamic<number>
   /** The text's vertical offset from the layer */
@@ -49,74 +163,418 @@ class Text extends Visual {
    * @see [`CanvasRenderingContext2D#direction`](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/textBaseline)
    */
   textDirection: Dynamic<string>
+  animators: TextAnimator[]
+  lineHeight: Dynamic<number>
+  padding: Dynamic<TextPadding>
+  stroke: Dynamic<{
+    color: string
+    thickness?: number
+  }>
+
+  shadow: Dynamic<{
+    color: string
+    blur?: number
+    offsetX?: number
+    offsetY?: number
+  }>
 
-  private _prevText: string
-  private _prevFont: string
-  private _prevMaxWidth: number
+  /** The last layout, so text isn't measured again every frame */
+  private _layout: TextLayout
+  /** The values {@link Text#_layout} was measured with */
+  private _layoutKey: string
+  /** The canvas gradients of the current frame, by the gradients they're from */
+  private _fillStyles: Map<Gradient, CanvasGradient>
 
   /**
    * Creates a new text layer
    */
-  // TODO: add padding options
-  // TODO: is textX necessary? it seems inconsistent, because you can't define
-  // width/height directly for a text layer
   constructor (options: TextOptions) {
     // Default to no (transparent) background
     super({ background: null, ...options })
     applyOptions(options, this)
 
-    // this._prevText = undefined;
-    // // because the canvas context rounds font size, but we need to be more accurate
-    // // rn, this doesn't make a difference, because we can only measure metrics by integer font sizes
-    // this._lastFont = undefined;
-    // this._prevMaxWidth = undefined;
+    this._layout = null
+    this._layoutKey = null
+    this._fillStyles = new Map()
   }
 
   doRender (): void {
     super.doRender()
-    const text = val(this, 'text', this.currentTime); const font = val(this, 'font', this.currentTime)
-    const maxWidth = this.maxWidth ? val(this, 'maxWidth', this.currentTime) : undefined
-    // // properties that affect metrics
-    // if (this._prevText !== text || this._prevFont !== font || this._prevMaxWidth !== maxWidth)
-    //     this._updateMetrics(text, font, maxWidth);
-
-    this.cctx.font = font
-    this.cctx.fillStyle = val(this, 'color', this.currentTime)
-    this.cctx.textAlign = val(this, 'textAlign', this.currentTime)
-    this.cctx.textBaseline = val(this, 'textBaseline', this.currentTime)
-    this.cctx.direction = val(this, 'textDirection', this.currentTime)
-    this.cctx.fillText(
-      text, val(this, 'textX', this.currentTime), val(this, 'textY', this.currentTime),
-      maxWidth
-    )
-
-    this._prevText = text
-    this._prevFont = font
-    this._prevMaxWidth = maxWidth
+    this._fillStyles.clear()
+    const layout = this.getLayout()
+    const padding = this._getPadding()
+    const stroke = val(this, 'stroke', this.currentTime)
+    const shadow = val(this, 'shadow', this.currentTime)
+    const direction = val(this, 'textDirection', this.currentTime)
+    // Align the text in the space between the padding
+    const boxWidth = this.canvas.width - padding.left - padding.right
+    const boxHeight = this.canvas.height - padding.top - padding.bottom
+    const [horizontal, vertical] = this._getAlignment()
+    const textX = val(this, 'textX', this.currentTime)
+    const textY = val(this, 'textY', this.currentTime)
+
+    this.cctx.textAlign = 'left'
+    this.cctx.textBaseline = 'alphabetic'
+    this.cctx.direction = direction
+    this.cctx.lineJoin = 'round'
+    const placed: PlacedSegment[] = []
+    let y = textY + padding.top + (boxHeight - layout.height) * vertical
+    for (const line of layout.lines) {
+      const lineX = textX + padding.left + (boxWidth - line.width) * horizontal
+      let x = lineX
+      for (const segment of line.segments) {
+        if (!segment.space)
+          placed.push({ segment, x, y: y + line.baseline, line, lineX })
+
+        x += segment.width
+      }
+      y += line.height
+    }
+
+    const animators = val(this, 'animators', this.currentTime)
+    if (animators && animators.length > 0) {
+      this._drawAnimated(placed, layout.lines.length, stroke, shadow)
+      return
+    }
+
+    for (const { segment, x, y } of placed)
+      this._drawText(segment.text, segment.font, this._getFillStyle(segment.color), x, y, stroke, shadow)
   }
 
-  // _updateMetrics(text, font, maxWidth) {
-  //     // TODO calculate / measure for non-integer font.size values
-  //     let metrics = Text._measureText(text, font, maxWidth);
-  //     // TODO: allow user-specified/overwritten width/height
-  //     this.width = /*this.width || */metrics.width;
-  //     this.height = /*this.height || */metrics.height;
-  // }
-
-  // TODO: implement setters and getters that update dimensions!
-
-  /* static _measureText(text, font, maxWidth) {
-        // TODO: fix too much bottom padding
-        const s = document.createElement("span");
-        s.textContent = text;
-        s.style.font = font;
-        s.style.padding = "0";
-        if (maxWidth) s.style.maxWidth = maxWidth;
-        document.body.appendChild(s);
-        const metrics = {width: s.offsetWidth, height: s.offsetHeight};
-        document.body.removeChild(s);
-        return metrics;
-    } */
+  /**
+   * Measures and wraps the text
+   *
+   * @return the lines of text, and the size of the text without padding
+   */
+  getLayout (): TextLayout {
+    const time = this.currentTime
+    const text = val(this, 'text', time)
+    const font = String(val(this, 'font', time))
+    const color = val(this, 'color', time)
+    const lineHeight = val(this, 'lineHeight', time)
+    // Wrap to the layer's width if it's set, or else the maximum width
+    const padding = this._getPadding()
+    const wrapWidth = this.width != undefined // eslint-disable-line eqeqeq
+      ? val(this, 'width', time) - padding.left - padding.right
+      : val(this, 'maxWidth', time)
+
+    const key = JSON.stringify([text, font, color, lineHeight, wrapWidth])
+    if (key !== this._layoutKey) {
+      const runs: TextRun[] = typeof text === 'string' ? [{ text }] : text
+      this._layout = Text._layOut(runs, font, color, lineHeight, wrapWidth)
+      this._layoutKey = key
+    }
+    return this._layout
+  }
+
+  /**
+   * Where to place the text in the space between the padding
+   *
+   * @return the horizontal and vertical alignment, from 0 (left or top) to 1
+   * (right or bottom)
+   */
+  protected _getAlignment (): [number, number] {
+    const textAlign = val(this, 'textAlign', this.currentTime)
+    const textBaseline = val(this, 'textBaseline', this.currentTime)
+    const ltr = val(this, 'textDirection', this.currentTime) !== 'rtl'
+    const horizontal = textAlign === 'center'
+      ? 0.5
+      : (textAlign === 'right' || textAlign === (ltr ? 'end' : 'start') ? 1 : 0)
+    const vertical = textBaseline === 'middle'
+      ? 0.5
+      : (textBaseline === 'top' || textBaseline === 'hanging' ? 0 : 1)
+    return [horizontal, vertical]
+  }
+
+  /**
+   * Draws each character of the text, changed by the animators
+   *
+   * @param placed - the words
+   * @param lineCount
+   */
+  private _drawAnimated (placed: PlacedSegment[], lineCount: number, stroke: { color: string, thickness?: number }, shadow: { color: string, blur?: number, offsetX?: number, offsetY?: number }) {
+    const time = this.currentTime
+    const animators = this.animators.map((animator, i) => {
+      const get = (key: string, defaultValue: unknown) => {
+        const value = val(this, `animators.${i}.${key}`, time)
+        return value !== undefined ? value : defaultValue
+      }
+      const start = get('start', 0)
+      const end = get('end', 1)
+      const offset = get('offset', 0)
+      const color = get('color', null)
+      return {
+        unit: animator.unit || 'character',
+        // Allow the range to be reversed
+        start: Math.min(start, end) + offset,
+        end: Math.max(start, end) + offset,
+        opacity: get('opacity', 1),
+        offsetX: get('offsetX', 0),
+        offsetY: get('offsetY', 0),
+        scale: get('scale', 1),
+        rotation: get('rotation', 0),
+        color: color ? parseColor(color) : null
+      }
+    })
+
+    // Split the words into characters
+    const glyphs: {
+      text: string
+      segment: TextSegment
+      x: number
+      y: number
+      index: Record<string, number>
+      /** The horizontal middle of each unit */
+      middle: Record<string, number>
+    }[] = []
+    const counts = { character: 0, word: placed.length, line: lineCount }
+    let lineIndex = -1
+    let line: TextLine = null
+    for (let wordIndex = 0; wordIndex < placed.length; wordIndex++) {
+      const word = placed[wordIndex]
+      if (word.line !== line) {
+        line = word.line
+        lineIndex++
+      }
+      const offsets = word.segment.offsets
+      const characters = Array.from(word.segment.text)
+      for (let i = 0; i < characters.length; i++) {
+        const x = word.x + offsets[i]
+        const width = offsets[i + 1] - offsets[i]
+        glyphs.push({
+          text: characters[i],
+          segment: word.segment,
+          x,
+          y: word.y,
+          index: { character: counts.character++, word: wordIndex, line: lineIndex },
+          middle: {
+            character: x + width / 2,
+            word: word.x + word.segment.width / 2,
+            line: word.lineX + line.width / 2
+          }
+        })
+      }
+    }
+
+    const cctx = this.cctx
+    const colors: Record<string, Color> = {}
+    for (const glyph of glyphs) {
+      cctx.save()
+      let color: Color = null
+      for (const animator of animators) {
+        // How much of the unit is in the range
+        const count = counts[animator.unit]
+        const index = glyph.index[animator.unit]
+        const amount = Math.max(0,
+          Math.min((index + 1) / count, animator.end) - Math.max(index / count, animator.start)) * count
+        if (amount === 0)
+          continue
+
+        const middle = glyph.middle[animator.unit]
+        cctx.translate(middle + animator.offsetX * amount, glyph.y + animator.offsetY * amount)
+        cctx.rotate(animator.rotation * amount)
+        const scale = 1 + (animator.scale - 1) * amount
+        cctx.scale(scale, scale)
+        cctx.translate(-middle, -glyph.y)
+        cctx.globalAlpha *= 1 + (animator.opacity - 1) * amount
+        // Gradients can't be mixed with colors
+        if (animator.color && !(glyph.segment.color instanceof Gradient)) {
+          if (!color) {
+            if (!(glyph.segment.color in colors))
+              colors[glyph.segment.color] = parseColor(glyph.segment.color)
+            color = colors[glyph.segment.color]
+          }
+          color = color.mix(animator.color, amount)
+        }
+      }
+      const fill = color ? color.toString() : this._getFillStyle(glyph.segment.color)
+      this._drawText(glyph.text, glyph.segment.font, fill, glyph.x, glyph.y, stroke, shadow)
+      cctx.restore()
+    }
+  }
+
+  /**
+   * Converts a color or gradient to a fill style, creating each gradient once
+   * per frame
+   */
+  private _getFillStyle (color: string | Gradient): string | CanvasGradient {
+    if (!(color instanceof Gradient))
+      return color
+
+    if (!this._fillStyles.has(color))
+      this._fillStyles.set(color, color.toCanvasGradient(this.cctx, this, this.currentTime))
+
+    return this._fillStyles.get(color)
+  }
+
+  private _drawText (text: string, font: string, color: string | CanvasGradient, x: number, y: number, stroke: { color: string, thickness?: number }, shadow: { color: string, blur?: number, offsetX?: number, offsetY?: number }) {
+    const cctx = this.cctx
+    cctx.font = font
+    if (shadow) {
+      cctx.shadowColor = shadow.color
+      cctx.shadowBlur = shadow.blur || 0
+      cctx.shadowOffsetX = shadow.offsetX || 0
+      cctx.shadowOffsetY = shadow.offsetY || 0
+    }
+    if (stroke && stroke.color) {
+      // The outline is drawn under the fill, so it doesn't cover the glyphs
+      cctx.strokeStyle = stroke.color
+      cctx.lineWidth = 2 * (stroke.thickness || 1)
+      cctx.strokeText(text, x, y)
+      // Only cast one shadow
+      cctx.shadowColor = 'transparent'
+    }
+    cctx.fillStyle = color
+    cctx.fillText(text, x, y)
+    cctx.shadowColor = 'transparent'
+  }
+
+  /**
+   * The size of the text and padding, for when the layer's size isn't set
+   */
+  private _getFittedSize (dimension: 'width' | 'height'): number {
+    const layout = this.getLayout()
+    const padding = this._getPadding()
+    return Math.ceil(dimension === 'width'
+      ? layout.width + padding.left + padding.right
+      : layout.height + padding.top + padding.bottom)
+  }
+
+  private _getPadding (): { top: number, right: number, bottom: number, left: number } {
+    const padding = val(this, 'padding', this.currentTime)
+    return typeof padding === 'number'
+      ? { top: padding, right: padding, bottom: padding, left: padding }
+      : padding
+  }
+
+  /**
+   * Splits styled text into lines no wider than `wrapWidth`
+   */
+  private static _layOut (runs: TextRun[], font: string, color: string | Gradient, lineHeight: number, wrapWidth: number): TextLayout {
+    const lines: TextSegment[][] = [[]]
+    let lineWidth = 0
+    // Whether the current line was started by wrapping
+    let wrapped = false
+    // The font of the last segment, for the height of empty lines
+    let lastFont = font
+    const breakLine = (wrap: boolean) => {
+      lines.push([])
+      lineWidth = 0
+      wrapped = wrap
+    }
+    const add = (segment: TextSegment) => {
+      lines[lines.length - 1].push(segment)
+      lineWidth += segment.width
+    }
+
+    for (const run of runs) {
+      let runFont = run.font || font
+      if (run.bold || run.italic) {
+        const parsed = parseFont(runFont)
+        if (run.bold)
+          parsed.weight = 'bold'
+        if (run.italic)
+          parsed.style = 'italic'
+        runFont = parsed.toString()
+      }
+      const runColor = run.color || color
+      lastFont = runFont
+
+      const tokens = run.text.match(/\n|[^\S\n]+|\S+/g) || []
+      for (const token of tokens) {
+        if (token === '\n') {
+          breakLine(false)
+          continue
+        }
+
+        let segment = Text._measure(token, runFont, runColor)
+        if (segment.space) {
+          // Spaces at the start of a wrapped line are dropped
+          if (!wrapped || lineWidth > 0)
+            add(segment)
+          continue
+        }
+
+        const fits = (width: number) => wrapWidth == undefined || width <= wrapWidth // eslint-disable-line eqeqeq
+        if (Text._trimmedWidth(lines[lines.length - 1]) > 0 && !fits(lineWidth + segment.width))
+          breakLine(true)
+
+        // Break words that don't fit on a line by themselves
+        while (!fits(lineWidth + segment.width) && segment.text.length > 1) {
+          let length = segment.text.length - 1
+          measureCtx.font = runFont
+          while (length > 1 && !fits(lineWidth + measureCtx.measureText(segment.text.slice(0, length)).width))
+            length--
+
+          add(Text._measure(segment.text.slice(0, length), runFont, runColor))
+          breakLine(true)
+          segment = Text._measure(segment.text.slice(length), runFont, runColor)
+        }
+        add(segment)
+      }
+    }
+
+    const baseSize = Text._measure('', lastFont, color)
+    const layout: TextLayout = { lines: [], width: 0, height: 0 }
+    for (const segments of lines) {
+      const measured = segments.length > 0 ? segments : [baseSize]
+      const ascent = Math.max(...measured.map(segment => segment.ascent))
+      const descent = Math.max(...measured.map(segment => segment.descent))
+      const height = Math.max(...measured.map(segment => segment.size * lineHeight))
+      const line: TextLine = {
+        segments,
+        width: Text._trimmedWidth(segments),
+        height,
+        // Split the extra space evenly above and below the text, like CSS
+        baseline: (height - ascent - descent) / 2 + ascent
+      }
+      layout.lines.push(line)
+      layout.width = Math.max(layout.width, line.width)
+      layout.height += line.height
+    }
+    return layout
+  }
+
+  private static _measure (text: string, font: string, color: string | Gradient): TextSegment {
+    measureCtx.font = font
+    const metrics = measureCtx.measureText(text)
+    // The context converts the size to pixels
+    const size = parseFont(measureCtx.font).size
+    const space = !/\S/.test(text)
+    // Measure each character once per layout, for animators
+    const offsets: number[] = []
+    if (!space) {
+      offsets.push(0)
+      let prefix = ''
+      for (const character of Array.from(text)) {
+        prefix += character
+        offsets.push(measureCtx.measureText(prefix).width)
+      }
+    }
+    return {
+      text,
+      font,
+      color,
+      width: metrics.width,
+      // Estimate for browsers without font metrics
+      ascent: metrics.fontBoundingBoxAscent !== undefined ? metrics.fontBoundingBoxAscent : 0.8 * size,
+      descent: metrics.fontBoundingBoxDescent !== undefined ? metrics.fontBoundingBoxDescent : 0.2 * size,
+      size,
+      space,
+      offsets
+    }
+  }
+
+  /**
+   * The width of a line, not including trailing spaces
+   */
+  private static _trimmedWidth (segments: TextSegment[]): number {
+    let end = segments.length
+    while (end > 0 && segments[end - 1].space)
+      end--
+
+    return segments.slice(0, end).reduce((width, segment) => width + segment.width, 0)
+  }
 
   getDefaultOptions (): TextOptions {
     return {
@@ -127,12 +585,55 @@ class Text extends Visual {
       color: '#fff',
       textX: 0,
       textY: 0,
+      /**
+       * @name module:layer.Text#maxWidth
+       * @desc The width to wrap lines at when the layer's width isn't set
+       */
       maxWidth: null,
       textAlign: 'start',
       textBaseline: 'top',
-      textDirection: 'ltr'
+      textDirection: 'ltr',
+      /**
+       * @name module:layer.Text#animators
+       * @desc Changes to parts of the text (see {@link TextAnimator})
+       */
+      animators: [],
+      /**
+       * @name module:layer.Text#lineHeight
+       * @desc The height of each line, as a multiple of its largest font size
+       */
+      lineHeight: 1.2,
+      /**
+       * @name module:layer.Text#padding
+       * @desc The space between the edges of the layer and the text, on all
+       * sides or as <code>{top, right, bottom, left}</code>
+       */
+      padding: 0,
+      /**
+       * @name module:layer.Text#stroke
+       * @desc The outline around the text, or <code>null</code> for no
+       * outline
+       */
+      stroke: null,
+      /**
+       * @name module:layer.Text#shadow
+       * @desc The drop shadow, or <code>null</code> for no shadow
+       */
+      shadow: null
     }
   }
 }
+Text.prototype.propertyFilters = {
+  ...Visual.prototype.propertyFilters,
+  /*
+   * If this.width or this.height is null, fit the text and padding
+   */
+  width: function (width) {
+    return width != undefined ? width : this._getFittedSize('width') // eslint-disable-line eqeqeq
+  },
+  height: function (height) {
+    return height != undefined ? height : this._getFittedSize('height') // eslint-disable-line eqeqeq
+  }
+}
 
-export { Text, TextOptions }
+export { Text, TextOptions, TextRun, TextPadding, TextLayout, TextAnimator }
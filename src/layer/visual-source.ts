@@ -4,12 +4,24 @@ import { Visual, VisualOptions } from './visual'
 
 type Constructor<T> = new (...args: unknown[]) => T
 
+/**
+ * A frame from the WebCodecs API (not in TypeScript's DOM types yet)
+ */
+interface VideoFrameLike {
+  readonly displayWidth: number
+  readonly displayHeight: number
+}
+
+/** Anything a visual source layer can draw */
+type VisualSourceElement = HTMLImageElement | HTMLVideoElement | HTMLCanvasElement |
+  OffscreenCanvas | ImageBitmap | VideoFrameLike | SVGImageElement
+
 interface VisualSource extends Base {
-  readonly source: HTMLImageElement | HTMLVideoElement
+  readonly source: VisualSourceElement
 }
 
 interface VisualSourceOptions extends VisualOptions {
-  source: HTMLImageElement | HTMLVideoElement
+  source: VisualSourceElement
   /** What part of {@link source} to render */
   sourceX?: Dynamic<number>
   /** What part of {@link source} to render */
@@ -29,7 +41,8 @@ interface VisualSourceOptions extends VisualOptions {
 }
 
 /**
- * A layer that gets its image data from an HTML image or video element
+ * A layer that gets its image data from an image, video, canvas, image bitmap,
+ * video frame or SVG image
  * @mixin VisualSourceMixin
  */
 function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: Constructor<Visual>): Constructor<VisualSource> {
@@ -37,9 +50,9 @@ function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: C
 
   class MixedVisualSource extends superclass {
     /**
-     * The raw html media element
+     * The raw html media element, canvas, image bitmap or video frame
      */
-    readonly source: HTMLImageElement | HTMLVideoElement
+    readonly source: VisualSourceElement
 
     /** What part of {@link source} to render */
     sourceX: Dynamic<number>
@@ -72,10 +85,13 @@ function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: C
        * the image will be rendered at *on the layer*. Note that this is
        * different than the layer dimensions (`this.width` and `this.height`).
        * The main reason this distinction exists is so that an image layer can
-       * be rotated without being cropped (see iss #46).
+       * be rotated without being cropped (see iss #46). The layer's
+       * `rotation`, `scaleX` and `scaleY` transform the whole layer instead,
+       * without cropping it.
        */
       this.cctx.drawImage(
-        this.source,
+        // Video frames can be drawn, but aren't in TypeScript's types
+        this.source as CanvasImageSource,
         val(this, 'sourceX', this.currentTime), val(this, 'sourceY', this.currentTime),
         val(this, 'sourceWidth', this.currentTime), val(this, 'sourceHeight', this.currentTime),
         // `destX` and `destY` are relative to the layer
@@ -84,6 +100,24 @@ function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: C
       )
     }
 
+    /**
+     * @return the width and height of the source's image
+     */
+    private _getSourceSize (): [number, number] {
+      const source = this.source
+      if (source instanceof HTMLVideoElement)
+        return [source.videoWidth, source.videoHeight]
+
+      if (source instanceof SVGImageElement)
+        return [source.width.baseVal.value, source.height.baseVal.value]
+
+      if ('displayWidth' in source)
+        return [source.displayWidth, source.displayHeight]
+
+      // Images, canvases and image bitmaps
+      return [source.width, source.height]
+    }
+
     getDefaultOptions (): MixedVisualSourceOptions {
       return {
         ...superclass.prototype.getDefaultOptions(),
@@ -105,20 +139,14 @@ function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: C
     /*
      * If no layer width was provided, fall back to the dest width.
      * If no dest width was provided, fall back to the source width.
-     * If no source width was provided, fall back to `source.width`.
+     * If no source width was provided, fall back to the size of the source.
      */
     sourceWidth: function (sourceWidth) {
       // != instead of !== to account for `null`
-      const width = this.source instanceof HTMLImageElement
-        ? this.source.width
-        : this.source.videoWidth
-      return sourceWidth != undefined ? sourceWidth : width // eslint-disable-line eqeqeq
+      return sourceWidth != undefined ? sourceWidth : this._getSourceSize()[0] // eslint-disable-line eqeqeq
     },
     sourceHeight: function (sourceHeight) {
-      const height = this.source instanceof HTMLImageElement
-        ? this.source.height
-        : this.source.videoHeight
-      return sourceHeight != undefined ? sourceHeight : height // eslint-disable-line eqeqeq
+      return sourceHeight != undefined ? sourceHeight : this._getSourceSize()[1] // eslint-disable-line eqeqeq
     },
     destWidth: function (destWidth) {
       // I believe reltime is redundant, as element#currentTime can be used
@@ -147,4 +175,4 @@ function VisualSourceMixin<OptionsSuperclass extends BaseOptions> (superclass: C
   return MixedVisualSource
 }
 
-export { VisualSource, VisualSourceOptions, VisualSourceMixin }
+export { VisualSource, VisualSourceOptions, VisualSourceElement, VideoFrameLike, VisualSourceMixin }
@@ -1,19 +1,42 @@
-import { Dynamic, val, applyOptions } from '../util'
+import { Dynamic, val, applyOptions, Gradient, toFillStyle } from '../util'
+import { publish } from '../event'
 import { Base, BaseOptions } from './base'
 import { Base as BaseEffect } from '../effect/base'
+import { MotionPath } from '../motion-path'
+
+/**
+ * How a layer's colors are combined with the colors under it. Modes that
+ * canvas doesn't support (<code>'subtract'</code>, <code>'divide'</code>,
+ * <code>'linear-burn'</code>, <code>'linear-light'</code> and
+ * <code>'pin-light'</code>) are rendered with WebGL.
+ */
+type BlendMode = 'normal' | 'multiply' | 'screen' | 'overlay' | 'darken' |
+  'lighten' | 'color-dodge' | 'color-burn' | 'hard-light' | 'soft-light' |
+  'difference' | 'exclusion' | 'hue' | 'saturation' | 'color' | 'luminosity' |
+  'add' | 'subtract' | 'divide' | 'linear-burn' | 'linear-light' | 'pin-light'
 
 interface VisualOptions extends BaseOptions {
   x?: Dynamic<number>
   y?: Dynamic<number>
   width?: Dynamic<number>
   height?: Dynamic<number>
-  background?: Dynamic<string>
+  background?: Dynamic<string | Gradient>
   border?: Dynamic<{
     color: string
     thickness?: number
   }>
 
   opacity?: Dynamic<number>
+  blendMode?: Dynamic<BlendMode>
+  motionPath?: Dynamic<MotionPath | string | number[][]>
+  motionProgress?: Dynamic<number>
+  autoOrient?: Dynamic<boolean>
+  rotation?: Dynamic<number>
+  scaleX?: Dynamic<number>
+  scaleY?: Dynamic<number>
+  anchorX?: Dynamic<number>
+  anchorY?: Dynamic<number>
+  skew?: Dynamic<number>
 }
 
 /** Any layer that renders to a canvas */
@@ -22,13 +45,23 @@ class Visual extends Base {
   y: Dynamic<number>
   width: Dynamic<number>
   height: Dynamic<number>
-  background: Dynamic<string>
+  background: Dynamic<string | Gradient>
   border: Dynamic<{
     color: string
     thickness: number
   }>
 
   opacity: Dynamic<number>
+  blendMode: Dynamic<BlendMode>
+  motionPath: Dynamic<MotionPath | string | number[][]>
+  motionProgress: Dynamic<number>
+  autoOrient: Dynamic<boolean>
+  rotation: Dynamic<number>
+  scaleX: Dynamic<number>
+  scaleY: Dynamic<number>
+  anchorX: Dynamic<number>
+  anchorY: Dynamic<number>
+  skew: Dynamic<number>
 
   /**
    * The layer's rendering canvas
@@ -44,6 +77,8 @@ class Visual extends Base {
   readonly effects: BaseEffect[]
 
   private _effectsBack: BaseEffect[]
+  /** The last motion path parsed from SVG path data or bezier points */
+  private _parsedMotionPath: MotionPath
 
   /**
    * Creates a visual layer
@@ -57,23 +92,31 @@ class Visual extends Base {
     this.canvas = document.createElement('canvas')
     this.cctx = this.canvas.getContext('2d')
 
+    this._parsedMotionPath = null
     this._effectsBack = []
     this.effects = new Proxy(this._effectsBack, {
       deleteProperty: (target, property) => {
         const value = target[property]
         value.detach()
         delete target[property]
+        publish(this, 'layer.change.effect.remove', { effect: value })
         return true
       },
       set: (target, property, value) => {
         if (!isNaN(Number(property))) {
           // The property is a number (index)
-          if (target[property])
+          if (target[property]) {
+            publish(this, 'layer.change.effect.remove', { effect: target[property] })
             target[property].detach()
+          }
 
           value.attach(this)
+          target[property] = value
+          publish(this, 'layer.change.effect.add', { effect: value })
+        } else {
+          target[property] = value
         }
-        target[property] = value
+
         return true
       }
     })
@@ -101,7 +144,8 @@ class Visual extends Base {
      * respectively canvas.width & canvas.height are already interpolated
      */
     if (this.background) {
-      this.cctx.fillStyle = val(this, 'background', this.currentTime)
+      const background = val(this, 'background', this.currentTime)
+      this.cctx.fillStyle = toFillStyle(background, this.cctx, this, this.currentTime)
       // (0, 0) relative to layer
       this.cctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
     }
@@ -127,7 +171,7 @@ class Visual extends Base {
       const effect = this.effects[i]
       if (effect && effect.enabled)
         // Pass relative time
-        effect.apply(this, this.movie.currentTime - this.startTime)
+        effect.apply(this, this.currentTime)
     }
   }
 
@@ -140,6 +184,55 @@ class Visual extends Base {
     this.effects.push(effect); return this
   }
 
+  /**
+   * Computes the transformation from the layer's canvas to its parent's
+   * canvas
+   *
+   * The layer is scaled, skewed and rotated around its anchor point. Without
+   * a motion path, <code>x</code> and <code>y</code> are where the layer's
+   * top-left corner would be without these transformations. With a motion
+   * path, the anchor point follows the path.
+   *
+   * @param reltime - the time relative to the layer
+   */
+  getTransform (reltime: number): DOMMatrix {
+    const anchorX = val(this, 'anchorX', reltime) * val(this, 'width', reltime)
+    const anchorY = val(this, 'anchorY', reltime) * val(this, 'height', reltime)
+    let x = val(this, 'x', reltime)
+    let y = val(this, 'y', reltime)
+    let rotation = val(this, 'rotation', reltime)
+    const motionPath = val(this, 'motionPath', reltime)
+    if (motionPath) {
+      const point = this._getMotionPath(motionPath).pointAt(val(this, 'motionProgress', reltime))
+      x += point.x
+      y += point.y
+      if (val(this, 'autoOrient', reltime))
+        rotation += point.angle
+    } else {
+      x += anchorX
+      y += anchorY
+    }
+
+    // DOMMatrix takes angles in degrees
+    return new DOMMatrix()
+      .translateSelf(x, y)
+      .rotateSelf(rotation * 180 / Math.PI)
+      .skewXSelf(val(this, 'skew', reltime) * 180 / Math.PI)
+      .scaleSelf(val(this, 'scaleX', reltime), val(this, 'scaleY', reltime))
+      .translateSelf(-anchorX, -anchorY)
+  }
+
+  private _getMotionPath (motionPath: MotionPath | string | number[][]): MotionPath {
+    if (motionPath instanceof MotionPath)
+      return motionPath
+
+    // Don't parse the same path every frame
+    if (!this._parsedMotionPath || this._parsedMotionPath.source !== motionPath)
+      this._parsedMotionPath = new MotionPath(motionPath)
+
+    return this._parsedMotionPath
+  }
+
   getDefaultOptions (): VisualOptions {
     return {
       ...Base.prototype.getDefaultOptions(),
@@ -163,8 +256,8 @@ class Visual extends Base {
       height: null,
       /**
        * @name module:layer.Visual#background
-       * @desc The CSS color code for the background, or <code>null</code> for
-       * transparency
+       * @desc The CSS color code or {@link Gradient} for the background, or
+       * <code>null</code> for transparency
        */
       background: null,
       /**
@@ -175,7 +268,63 @@ class Visual extends Base {
       /**
        * @name module:layer.Visual#opacity
        */
-      opacity: 1
+      opacity: 1,
+      /**
+       * @name module:layer.Visual#blendMode
+       * @desc How the layer is combined with the layers under it
+       */
+      blendMode: 'normal',
+      /**
+       * @name module:layer.Visual#motionPath
+       * @desc A path for the layer's anchor point to move along, offset by
+       * <code>x</code> and <code>y</code>, as a {@link MotionPath}, SVG path
+       * data or a list of cubic bezier points, or <code>null</code> to stay
+       * at <code>x</code> and <code>y</code>
+       */
+      motionPath: null,
+      /**
+       * @name module:layer.Visual#motionProgress
+       * @desc How far along the motion path the layer is, from 0 to 1
+       */
+      motionProgress: 0,
+      /**
+       * @name module:layer.Visual#autoOrient
+       * @desc Whether to rotate the layer to follow the direction of the
+       * motion path
+       */
+      autoOrient: false,
+      /**
+       * @name module:layer.Visual#rotation
+       * @desc The clockwise rotation around the anchor point, in radians
+       */
+      rotation: 0,
+      /**
+       * @name module:layer.Visual#scaleX
+       * @desc The horizontal scale factor, from the anchor point
+       */
+      scaleX: 1,
+      /**
+       * @name module:layer.Visual#scaleY
+       * @desc The vertical scale factor, from the anchor point
+       */
+      scaleY: 1,
+      /**
+       * @name module:layer.Visual#anchorX
+       * @desc The horizontal position of the point the layer is rotated, scaled
+       * and skewed around, as a fraction of its width
+       */
+      anchorX: 0,
+      /**
+       * @name module:layer.Visual#anchorY
+       * @desc The vertical position of the point the layer is rotated, scaled
+       * and skewed around, as a fraction of its height
+       */
+      anchorY: 0,
+      /**
+       * @name module:layer.Visual#skew
+       * @desc The horizontal skew angle, in radians
+       */
+      skew: 0
     }
   }
 }
@@ -184,14 +333,15 @@ Visual.prototype.propertyFilters = {
   ...Base.prototype.propertyFilters,
   /*
    * If this.width or this.height is null, that means "take all available screen
-   * space", so set it to this._move.width or this._movie.height, respectively
+   * space", so set it to the width or height of the group or movie,
+   * respectively
    */
   width: function (width) {
-    return width != undefined ? width : this._movie.width // eslint-disable-line eqeqeq
+    return width != undefined ? width : val(this.parent, 'width', this.parent.currentTime) // eslint-disable-line eqeqeq
   },
   height: function (height) {
-    return height != undefined ? height : this._movie.height // eslint-disable-line eqeqeq
+    return height != undefined ? height : val(this.parent, 'height', this.parent.currentTime) // eslint-disable-line eqeqeq
   }
 }
 
-export { Visual, VisualOptions }
+export { Visual, VisualOptions, BlendMode }
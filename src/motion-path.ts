@@ -0,0 +1,305 @@
+/**
+ * @module motion-path
+ */
+
+/** A point along a motion path */
+export interface MotionPathPoint {
+  x: number
+  y: number
+  /** The direction of the path at the point, in radians */
+  angle: number
+}
+
+/** How many straight lines each curve is measured with */
+const SAMPLES_PER_CURVE = 32
+
+/**
+ * A path for a visual layer to move along (see {@link layer.Visual#motionPath})
+ *
+ * Points are found by distance along the path, so a layer moving along it at
+ * a constant progress rate moves at an even speed.
+ */
+export class MotionPath {
+  /** The SVG path data or bezier points the path was created from */
+  readonly source: string | number[][]
+
+  /** Points along the path, close enough together to be joined by lines */
+  private _points: number[][]
+  /** The distance along the path to each point */
+  private _distances: number[]
+
+  /**
+   * @param source - SVG path data, or a list of cubic bezier points: a start
+   * point followed by two control points and an end point for each curve, each
+   * as <code>[x, y]</code>
+   */
+  constructor (source: string | number[][]) {
+    this.source = source
+    this._points = typeof source === 'string'
+      ? MotionPath._parsePathData(source)
+      : MotionPath._parseBezierPoints(source)
+    if (this._points.length === 0)
+      throw new Error('Empty motion path')
+
+    this._distances = [0]
+    for (let i = 1; i < this._points.length; i++) {
+      const [x, y, move] = this._points[i]
+      const [prevX, prevY] = this._points[i - 1]
+      // Moving to a new subpath doesn't count as moving along the path
+      const distance = move ? 0 : Math.sqrt((x - prevX) * (x - prevX) + (y - prevY) * (y - prevY))
+      this._distances.push(this._distances[i - 1] + distance)
+    }
+  }
+
+  /**
+   * The total length of the path
+   */
+  get length (): number {
+    return this._distances[this._distances.length - 1]
+  }
+
+  /**
+   * Finds the point at a distance along the path
+   *
+   * @param progress - the fraction of the path's length, from 0 to 1
+   */
+  pointAt (progress: number): MotionPathPoint {
+    const points = this._points
+    const distances = this._distances
+    if (points.length === 1 || this.length === 0)
+      return { x: points[0][0], y: points[0][1], angle: 0 }
+
+    const distance = Math.min(Math.max(progress, 0), 1) * this.length
+    // Find the first line that ends at or after `distance`
+    let low = 1
+    let high = points.length - 1
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2)
+      if (distances[mid] < distance)
+        low = mid + 1
+      else
+        high = mid
+    }
+    // Skip lines without length, which don't have a direction
+    while (distances[low] === distances[low - 1] && low < points.length - 1)
+      low++
+
+    const [startX, startY] = points[low - 1]
+    const [endX, endY] = points[low]
+    const lineLength = distances[low] - distances[low - 1]
+    const t = lineLength > 0 ? (distance - distances[low - 1]) / lineLength : 1
+    return {
+      x: startX + (endX - startX) * t,
+      y: startY + (endY - startY) * t,
+      angle: Math.atan2(endY - startY, endX - startX)
+    }
+  }
+
+  /**
+   * Converts a list of cubic bezier points to points along the path
+   */
+  private static _parseBezierPoints (source: number[][]): number[][] {
+    if (source.length === 0 || (source.length - 1) % 3 !== 0)
+      throw new Error('Bezier points must be a start point followed by three points for each curve')
+
+    const points = [source[0].slice(0, 2)]
+    for (let i = 1; i < source.length; i += 3)
+      MotionPath._addCurve(points, cubicBezier(source[i - 1], source[i], source[i + 1], source[i + 2]))
+
+    return points
+  }
+
+  /**
+   * Converts SVG path data to points along the path
+   */
+  private static _parsePathData (data: string): number[][] {
+    const tokens = data.match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []
+    const points: number[][] = []
+    let i = 0
+    const next = () => {
+      const value = parseFloat(tokens[i++])
+      if (isNaN(value))
+        throw new Error(`Invalid path data: '${data}'`)
+
+      return value
+    }
+
+    let command: string
+    let lastCommand = ''
+    // The current point
+    let x = 0
+    let y = 0
+    // The start of the current subpath
+    let startX = 0
+    let startY = 0
+    // The last control point, for smooth curves
+    let control: number[] = null
+    while (i < tokens.length) {
+      if (/[a-z]/i.test(tokens[i]))
+        command = tokens[i++]
+      // Paths must start with a move
+      if (!command || (points.length === 0 && command.toUpperCase() !== 'M'))
+        throw new Error(`Invalid path data: '${data}'`)
+
+      const relative = command === command.toLowerCase()
+      const origin = relative ? [x, y] : [0, 0]
+      const point = () => [origin[0] + next(), origin[1] + next()]
+      const current = [x, y]
+      // Reflects the last control point, if the last command was the same kind
+      // of curve
+      const previousCommand = lastCommand
+      const reflect = (kinds: string) => control && kinds.includes(previousCommand.toUpperCase())
+        ? [2 * x - control[0], 2 * y - control[1]]
+        : current
+      let end: number[]
+      let nextControl: number[] = null
+
+      lastCommand = command
+      switch (command.toUpperCase()) {
+        case 'M':
+          end = point()
+          points.push([end[0], end[1], points.length > 0 ? 1 : 0])
+          startX = end[0]
+          startY = end[1]
+          // Coordinates after the first pair are lines
+          command = relative ? 'l' : 'L'
+          break
+        case 'L':
+          end = point()
+          points.push(end)
+          break
+        case 'H':
+          end = [origin[0] + next(), y]
+          points.push(end)
+          break
+        case 'V':
+          end = [x, origin[1] + next()]
+          points.push(end)
+          break
+        case 'C': {
+          const control1 = point()
+          nextControl = point()
+          end = point()
+          MotionPath._addCurve(points, cubicBezier(current, control1, nextControl, end))
+          break
+        }
+        case 'S': {
+          const control1 = reflect('CS')
+          nextControl = point()
+          end = point()
+          MotionPath._addCurve(points, cubicBezier(current, control1, nextControl, end))
+          break
+        }
+        case 'Q':
+          nextControl = point()
+          end = point()
+          MotionPath._addCurve(points, quadraticBezier(current, nextControl, end))
+          break
+        case 'T':
+          nextControl = reflect('QT')
+          end = point()
+          MotionPath._addCurve(points, quadraticBezier(current, nextControl, end))
+          break
+        case 'A': {
+          const rx = next()
+          const ry = next()
+          const rotation = next()
+          const largeArc = next() !== 0
+          const sweep = next() !== 0
+          end = point()
+          MotionPath._addCurve(points, arc(current, rx, ry, rotation, largeArc, sweep, end))
+          break
+        }
+        case 'Z':
+          end = [startX, startY]
+          points.push(end)
+          break
+        default:
+          throw new Error(`Invalid path command: '${command}'`)
+      }
+
+      x = end[0]
+      y = end[1]
+      control = nextControl
+    }
+    return points
+  }
+
+  /**
+   * Adds points along a curve, not including its start
+   */
+  private static _addCurve (points: number[][], curve: (t: number) => number[]) {
+    for (let i = 1; i <= SAMPLES_PER_CURVE; i++)
+      points.push(curve(i / SAMPLES_PER_CURVE))
+  }
+}
+
+function cubicBezier (p0: number[], p1: number[], p2: number[], p3: number[]): (t: number) => number[] {
+  return t => {
+    const u = 1 - t
+    return [0, 1].map(i =>
+      u * u * u * p0[i] + 3 * u * u * t * p1[i] + 3 * u * t * t * p2[i] + t * t * t * p3[i])
+  }
+}
+
+function quadraticBezier (p0: number[], p1: number[], p2: number[]): (t: number) => number[] {
+  return t => {
+    const u = 1 - t
+    return [0, 1].map(i => u * u * p0[i] + 2 * u * t * p1[i] + t * t * p2[i])
+  }
+}
+
+/**
+ * An elliptical arc, from SVG's endpoint parameterization
+ *
+ * @see https://www.w3.org/TR/SVG/implnote.html#ArcConversionEndpointToCenter
+ */
+function arc (start: number[], rx: number, ry: number, rotation: number, largeArc: boolean, sweep: boolean, end: number[]): (t: number) => number[] {
+  const [x1, y1] = start
+  const [x2, y2] = end
+  if (rx === 0 || ry === 0)
+    // Treated as a line
+    return t => [x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]
+
+  rx = Math.abs(rx)
+  ry = Math.abs(ry)
+  const phi = rotation * Math.PI / 180
+  const cos = Math.cos(phi)
+  const sin = Math.sin(phi)
+  const dx = (x1 - x2) / 2
+  const dy = (y1 - y2) / 2
+  const x1p = cos * dx + sin * dy
+  const y1p = -sin * dx + cos * dy
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry)
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda)
+    ry *= Math.sqrt(lambda)
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p
+  const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator))
+  const cxp = coefficient * rx * y1p / ry
+  const cyp = -coefficient * ry * x1p / rx
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2
+
+  const angle = (ux: number, uy: number, vx: number, vy: number) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy)
+  const startAngle = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry)
+  let sweepAngle = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry)
+  if (!sweep && sweepAngle > 0)
+    sweepAngle -= 2 * Math.PI
+  else if (sweep && sweepAngle < 0)
+    sweepAngle += 2 * Math.PI
+
+  return t => {
+    const theta = startAngle + sweepAngle * t
+    return [
+      cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+      cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos
+    ]
+  }
+}
@@ -2,12 +2,33 @@
  * @module movie
  */
 
-import { AudioContext } from 'standardized-audio-context'
+import {
+  AudioContext, OfflineAudioContext, IAudioBuffer, IAudioNode, IGainNode,
+  IOfflineAudioContext
+} from 'standardized-audio-context'
 import { subscribe, publish } from './event'
-import { Dynamic, val, clearCachedValues, applyOptions, watchPublic } from './util'
-import { Base as BaseLayer, Audio as AudioLayer, Video as VideoLayer, Visual } from './layer/index' // `Media` mixins
+import { Dynamic, val, clearCachedValues, applyOptions, watchPublic, Gradient, toFillStyle } from './util'
+import {
+  Base as BaseLayer, Audio as AudioLayer, Video as VideoLayer, Stream as StreamLayer, Visual, Group,
+  VisualSource, VisualSourceElement
+} from './layer/index' // `Media` mixins
 import { AudioSource } from './layer/audio-source' // not exported from ./layer/index
 import { Base as BaseEffect } from './effect/index'
+import { Base as BaseTransition } from './transition/index'
+import {
+  Base as BaseAudioEffect, AudioConnection, AudioEffectContext, AudioEffectNodes,
+  connectAudioEffects, disconnectAudioEffects, scheduleAudioParam
+} from './audio-effect/index'
+import { WebMEncoder } from './webm-encoder'
+import { drawBlended } from './blend'
+import {
+  VERSION as SERIALIZATION_VERSION, SerializedObject, SerializeOptions,
+  DeserializeOptions, serializeValue, serializeObject, serializeObjects, deserializeValue,
+  deserializeObject, loadMedia
+} from './serialization'
+
+// Opus, which offline recording uses for audio, only supports 48kHz
+const OFFLINE_SAMPLE_RATE = 48000
 
 declare global {
   interface HTMLCanvasElement {
@@ -22,11 +43,68 @@ export class MovieOptions {
   actx?: AudioContext
   /** @deprecated Use <code>actx</code> instead */
   audioContext?: AudioContext
-  /** The background color of the movie as a cSS string */
-  background?: Dynamic<string>
+  /** The background color of the movie as a cSS string or gradient */
+  background?: Dynamic<string | Gradient>
+  /** The gain to apply to all audio (can be greater than 1) */
+  volume?: Dynamic<number>
   repeat?: boolean
   /** Call `refresh` when the user changes a property on the movie or any of its layers or effects */
   autoRefresh?: boolean
+  /**
+   * How long to wait for audio and video layers to seek, and for media to
+   * load when rendering frames offline, before rendering the frame anyway, in
+   * milliseconds
+   */
+  seekTimeout?: number
+}
+
+export interface MovieRecordOptions {
+  frameRate: number
+  duration?: number
+  type?: string
+  video?: boolean
+  audio?: boolean
+  mediaRecorderOptions?: Record<string, unknown>
+  /**
+   * Render each frame as soon as the previous one is done, instead of in real
+   * time
+   */
+  offline?: boolean
+}
+
+export interface MovieFramesOptions {
+  frameRate: number
+  start?: number
+  end?: number
+  type?: string
+  quality?: number
+}
+
+/** A serialized transition, with its layers stored as indices */
+export interface SerializedTransition extends SerializedObject {
+  from: number
+  to: number
+}
+
+export interface SerializedMovie {
+  version: number
+  movie: {
+    width: number
+    height: number
+    background: unknown
+    volume?: unknown
+    repeat: boolean
+    autoRefresh: boolean
+    layers: SerializedObject[]
+    effects: SerializedObject[]
+    transitions?: SerializedTransition[]
+    audioEffects?: SerializedObject[]
+  }
+}
+
+export interface MovieFromJSONOptions extends DeserializeOptions {
+  canvas: HTMLCanvasElement
+  actx?: AudioContext
 }
 
 /**
@@ -47,25 +125,51 @@ export class Movie {
   repeat: boolean
   /** Call `refresh` when the user changes a property on the movie or any of its layers or effects */
   autoRefresh: boolean
-  /** The background color of the movie as a cSS string */
-  background: Dynamic<string>
+  /**
+   * How long to wait for audio and video layers to seek, and for media to
+   * load when rendering frames offline, before rendering the frame anyway, in
+   * milliseconds
+   */
+  seekTimeout: number
+  /** The background color of the movie as a cSS string or gradient */
+  background: Dynamic<string | Gradient>
+  /**
+   * The gain to apply to all audio (can be greater than 1). Keyframes are
+   * scheduled ahead of time, so fades are smooth.
+   */
+  volume: Dynamic<number>
   /** The audio context to which audio output is sent during playback */
   readonly actx: AudioContext
   // Readonly because it's a proxy (so it can't be overwritten).
   readonly effects: BaseEffect[]
   // Readonly because it's a proxy (so it can't be overwritten).
   readonly layers: BaseLayer[]
+  // Readonly because it's a proxy (so it can't be overwritten).
+  readonly transitions: BaseTransition[]
+  // Readonly because it's a proxy (so it can't be overwritten).
+  readonly audioEffects: BaseAudioEffect[]
 
   private _canvas: HTMLCanvasElement;
   private _cctx: CanvasRenderingContext2D
   private _effectsBack: BaseEffect[]
   private _layersBack: BaseLayer[]
+  private _transitionsBack: BaseTransition[]
+  private _audioEffectsBack: BaseAudioEffect[]
+  private _audioInput: IGainNode<AudioContext>
+  /** Where the audio goes after the audio effects */
+  private _audioDestination: IAudioNode<AudioContext>
+  /** The enabled audio effects that the audio input is connected through */
+  private _connectedAudioEffects: BaseAudioEffect[]
+  private _audioEffectConnections: AudioConnection[]
   private _currentTime: number
   private _paused: boolean
   private _ended: boolean
   private _renderingFrame: boolean
   private _recordEndTime: number
   private _mediaRecorder: MediaRecorder
+  private _recordingOffline: boolean
+  /** When to stop waiting for the current frame's media to load */
+  private _loadDeadline: number
   private _lastPlayed: number
   private _lastPlayedOffset: number
 
@@ -163,6 +267,72 @@ export class Movie {
         return true
       }
     })
+    this._transitionsBack = []
+    this.transitions = new Proxy(newThis._transitionsBack, {
+      deleteProperty (target, property): boolean {
+        const value = target[property]
+        value.tryDetach()
+        delete target[property]
+        publish(that, 'movie.change.transition.remove', { transition: value })
+        return true
+      },
+      set (target, property, value): boolean {
+        // Check if property is an number (an index)
+        if (!isNaN(Number(property))) {
+          if (target[property]) {
+            publish(that, 'movie.change.transition.remove', {
+              transition: target[property]
+            })
+            target[property].tryDetach()
+          }
+          // Attach transition to movie
+          value.tryAttach(that)
+          target[property] = value
+          publish(that, 'movie.change.transition.add', { transition: value })
+        } else {
+          target[property] = value
+        }
+
+        return true
+      }
+    })
+    this._audioEffectsBack = []
+    this.audioEffects = new Proxy(newThis._audioEffectsBack, {
+      deleteProperty (target, property): boolean {
+        const value = target[property]
+        value.tryDetach()
+        delete target[property]
+        publish(that, 'movie.change.audioEffect.remove', { effect: value })
+        return true
+      },
+      set (target, property, value): boolean {
+        // Check if property is an number (an index)
+        if (!isNaN(Number(property))) {
+          if (target[property]) {
+            publish(that, 'movie.change.audioEffect.remove', {
+              effect: target[property]
+            })
+            target[property].tryDetach()
+          }
+          // Attach effect to movie
+          value.tryAttach(that)
+          target[property] = value
+          publish(that, 'movie.change.audioEffect.add', { effect: value })
+        } else {
+          target[property] = value
+        }
+
+        return true
+      }
+    })
+    // Layers send their audio here, and it goes through the volume and audio
+    // effects to the destination.
+    this._audioInput = this.actx.createGain()
+    this._audioDestination = this.actx.destination
+    this._connectedAudioEffects = []
+    this._audioEffectConnections = []
+    this._connectAudioEffects()
+
     this._paused = true
     this._ended = false
     // This variable helps prevent multiple frame-rendering loops at the same
@@ -172,6 +342,8 @@ export class Movie {
 
     // For recording
     this._mediaRecorder = null
+    this._recordingOffline = false
+    this._loadDeadline = Infinity
 
     // -1 works well in inequalities
     // The last time `play` was called
@@ -190,9 +362,26 @@ export class Movie {
         newThis.refresh()
     })
 
+    // Schedule the volume whenever playback starts or jumps
+    subscribe(newThis, 'movie.play', () => newThis._scheduleVolume())
+    subscribe(newThis, 'movie.seek', () => {
+      if (!newThis.paused)
+        newThis._scheduleVolume()
+    })
+    subscribe(newThis, 'movie.change.modify', event => {
+      if (event.property === 'volume' && !newThis.paused)
+        newThis._scheduleVolume()
+    })
+
+    // Send the audio to the recording while recording
+    subscribe(newThis, 'movie.audiodestinationupdate', event => {
+      newThis._audioDestination = event.destination
+      newThis._connectAudioEffects(true)
+    })
+
     // Subscribe to own event "ended"
     subscribe(newThis, 'movie.recordended', () => {
-      if (newThis.recording) {
+      if (newThis._mediaRecorder) {
         newThis._mediaRecorder.requestData()
         newThis._mediaRecorder.stop()
       }
@@ -236,25 +425,38 @@ export class Movie {
    * @param [options.mediaRecorderOptions=undefined] - options to pass to the <code>MediaRecorder</code>
    * @param [options.type='video/webm'] - MIME type for exported video
    *  constructor
+   * @param [options.offline=false] - render the movie frame-by-frame as fast
+   * as possible instead of in real time, waiting for each frame's media to
+   * load and rendering audio with an <code>OfflineAudioContext</code>. Requires
+   * WebCodecs and only supports <code>'video/webm'</code>. Audio nodes
+   * connected by the user are not included. Media whose audio can't be
+   * downloaded again (like media from <code>srcObject</code> or other origins
+   * without CORS) is left out, and <code>'movie.recordwarning'</code> is
+   * published for it.
    * @return resolves when done recording, rejects when internal media recorder errors
    */
   // TEST: *support recording that plays back with audio!*
-  // TODO: figure out how to do offline recording (faster than realtime).
   // TODO: improve recording performance to increase frame rate?
-  record (options: {
-    frameRate: number,
-    duration?: number,
-    type?: string,
-    video?: boolean,
-    audio?: boolean,
-    mediaRecorderOptions?: Record<string, unknown>
-  }): Promise<Blob> {
+  record (options: MovieRecordOptions): Promise<Blob> {
     if (options.video === false && options.audio === false)
       throw new Error('Both video and audio cannot be disabled')
 
     if (!this.paused)
       throw new Error('Cannot record movie while already playing or recording')
 
+    if (options.offline) {
+      if (!WebMEncoder.supported)
+        throw new Error('Offline recording is not supported in this browser')
+
+      if (options.type && options.type !== 'video/webm')
+        throw new Error("Offline recording only supports 'video/webm'")
+
+      if (Movie._allLayers(this.layers).some(layer => layer instanceof StreamLayer))
+        throw new Error('Movies with streams can only be recorded in real time')
+
+      return this._recordOffline(options)
+    }
+
     return new Promise((resolve, reject) => {
       const canvasCache = this.canvas
       // Record on a temporary canvas context
@@ -272,8 +474,9 @@ export class Movie {
         tracks = tracks.concat(visualStream.getTracks())
       }
       // Check if there's a layer that's an instance of an AudioSourceMixin
-      // (Audio or Video)
-      const hasMediaTracks = this.layers.some(layer => layer instanceof AudioLayer || layer instanceof VideoLayer)
+      // (Audio or Video), or a stream with audio
+      const hasMediaTracks = Movie._allLayers(this.layers).some(layer => layer instanceof AudioLayer || layer instanceof VideoLayer ||
+        (layer instanceof StreamLayer && layer.stream.getAudioTracks().length > 0))
       // If no media tracks present, don't include an audio stream, because
       // Chrome doesn't record silence when an audio stream is present.
       if (hasMediaTracks && options.audio !== false) {
@@ -317,6 +520,306 @@ export class Movie {
     })
   }
 
+  /**
+   * Renders the movie frame-by-frame, without waiting in between, and encodes
+   * the frames and audio with WebCodecs
+   */
+  private async _recordOffline (options: MovieRecordOptions): Promise<Blob> {
+    const startTime = this.currentTime
+    const endTime = options.duration ? startTime + options.duration : this.duration
+    const video = options.video !== false
+    // Same as live recording (see `record`)
+    const audio = options.audio !== false &&
+      Movie._allLayers(this.layers).some(layer => layer instanceof AudioLayer || layer instanceof VideoLayer)
+
+    const canvasCache = this.canvas
+    // Record on a temporary canvas context
+    this._canvas = document.createElement('canvas')
+    this.canvas.width = canvasCache.width
+    this.canvas.height = canvasCache.height
+    this._cctx = this.canvas.getContext('2d')
+    // Don't let the movie play or record until we're done
+    this._paused = this._ended = false
+    this._recordingOffline = true
+    this._recordEndTime = endTime
+    publish(this, 'movie.record', { options })
+
+    try {
+      const encoder = new WebMEncoder({
+        width: this.width,
+        height: this.height,
+        frameRate: options.frameRate,
+        video,
+        audio,
+        audioSampleRate: OFFLINE_SAMPLE_RATE
+      })
+
+      if (audio)
+        encoder.addAudio(await this._renderOfflineAudio(startTime, endTime))
+
+      if (video) {
+        const frameCount = Math.ceil((endTime - startTime) * options.frameRate)
+        // Stop early if the movie is paused
+        for (let i = 0; i < frameCount && !this.paused; i++) {
+          await this._renderFrameAt(startTime + i / options.frameRate)
+          await encoder.addVideoFrame(this.canvas, i / options.frameRate)
+        }
+      }
+
+      publish(this, 'movie.recordended', { movie: this })
+      return await encoder.finish(options.type)
+    } finally {
+      this._recordingOffline = false
+      this._renderingFrame = false
+      this._paused = this._ended = true
+      this._canvas = canvasCache
+      this._cctx = this.canvas.getContext('2d')
+    }
+  }
+
+  /**
+   * Renders the movie frame-by-frame and yields an image of each frame
+   *
+   * Usage:
+   * ```js
+   for await (const frame of movie.frames({ frameRate: 30 })) {
+     // ...
+   }
+   * ```
+   *
+   * The movie can't play or record until the generator is done (or returned
+   * early), and the playback position is restored when done. Pausing the
+   * movie stops after the current frame.
+   *
+   * @param options
+   * @param options.frameRate
+   * @param [options.start=0] - the time of the first frame
+   * @param [options.end=this.duration] - when to stop (exclusive)
+   * @param [options.type='image/png'] - the MIME type of each image, or
+   * <code>'imagebitmap'</code> to yield <code>ImageBitmap</code>s
+   * @param [options.quality] - image quality for lossy types (between 0 and 1)
+   */
+  async * frames (options: MovieFramesOptions): AsyncGenerator<Blob | ImageBitmap, void, undefined> {
+    if (!this.paused)
+      throw new Error('Cannot render frames while playing or recording')
+
+    const start = options.start !== undefined ? options.start : 0
+    const end = options.end !== undefined ? options.end : this.duration
+    const type = options.type || 'image/png'
+    const frameCount = Math.ceil((end - start) * options.frameRate)
+    const originalTime = this.currentTime
+    // Don't let the movie play or record until we're done (see
+    // `_recordOffline`)
+    this._paused = this._ended = false
+
+    try {
+      for (let i = 0; i < frameCount && !this.paused; i++) {
+        await this._renderFrameAt(start + i / options.frameRate)
+        yield type === 'imagebitmap'
+          ? await createImageBitmap(this.canvas)
+          : await new Promise<Blob>((resolve, reject) => this.canvas.toBlob(blob => {
+            if (blob)
+              resolve(blob)
+            else
+              reject(new Error(`Could not encode frame as '${type}'`))
+          }, type, options.quality))
+      }
+    } finally {
+      this._renderingFrame = false
+      this._paused = this._ended = true
+      await this.setCurrentTime(originalTime)
+    }
+  }
+
+  /**
+   * Seeks to `time` and renders the frame, waiting until all of its media is
+   * loaded
+   */
+  private _renderFrameAt (time: number): Promise<void> {
+    this._currentTime = time
+    publish(this, 'movie.seek', {})
+    publish(this, 'movie.timeupdate', { movie: this })
+    const render = () => new Promise<void>(resolve => {
+      this._renderingFrame = true
+      this._loadDeadline = performance.now() + this.seekTimeout
+      // Repeat until the frame is fully loaded
+      this._render(true, undefined, () => {
+        this._loadDeadline = Infinity
+        resolve()
+      })
+    })
+    const seeked = this._waitForSeeks()
+    return seeked ? seeked.then(render) : render()
+  }
+
+  /**
+   * Waits for the audio and video layers to seek to the current time, or for
+   * <code>seekTimeout</code> to pass
+   *
+   * @return resolves when done, or <code>null</code> if no layers are
+   * seeking (so the frame can be rendered right away)
+   */
+  private _waitForSeeks (): Promise<void> {
+    const seeks = Movie._audioLayers(this.layers, 0, -Infinity, Infinity)
+      .filter(({ layer }) => layer.seeking)
+      .map(({ layer }) => layer.waitForSeek())
+    if (seeks.length === 0)
+      return null
+
+    let timeout: number
+    const timedOut = new Promise<void>(resolve => {
+      timeout = window.setTimeout(resolve, this.seekTimeout)
+    })
+    return Promise.race([Promise.all(seeks), timedOut])
+      .then(() => window.clearTimeout(timeout))
+  }
+
+  /**
+   * Mixes the audio of all audio and video layers between `startTime` and
+   * `endTime`
+   */
+  private _renderOfflineAudio (startTime: number, endTime: number): Promise<IAudioBuffer> {
+    const length = Math.max(Math.ceil((endTime - startTime) * OFFLINE_SAMPLE_RATE), 1)
+    const octx = new OfflineAudioContext(2, length, OFFLINE_SAMPLE_RATE)
+    const input = octx.createGain()
+    scheduleAudioParam(input.gain, this, 'volume', startTime, endTime, 0)
+    const effects = this.audioEffects
+      .filter(effect => effect && effect.enabled)
+      .map(effect => effect.createOfflineNodes(octx, startTime, endTime))
+    Movie._connectOfflineAudioEffects(input, effects, octx.destination)
+
+    const scheduled = Movie._audioLayers(this.layers, 0, 0, Infinity)
+      .map(({ layer, offset, start, end }) => this._scheduleOfflineAudio(
+        layer, octx, input,
+        Math.max(startTime, start) - offset, Math.min(endTime, end) - offset, startTime - offset
+      ))
+
+    return Promise.all(scheduled).then(() => octx.startRendering())
+  }
+
+  /**
+   * Finds the layers in `layers` and in the groups in them
+   */
+  private static _allLayers (layers: BaseLayer[]): BaseLayer[] {
+    return layers
+      .filter(layer => !!layer)
+      .reduce((found, layer) => layer instanceof Group
+        ? found.concat([layer], Movie._allLayers(layer.layers))
+        : found.concat([layer]), [])
+  }
+
+  /**
+   * Finds the audio and video layers in `layers`, including the ones in
+   * groups
+   *
+   * @param layers
+   * @param offset - the movie time that the layers' start times are relative
+   * to
+   * @param start - the movie time before which the layers can't be heard
+   * @param end - the movie time after which the layers can't be heard
+   * @return the layers, with the times their parent gives them
+   */
+  private static _audioLayers (layers: BaseLayer[], offset: number, start: number, end: number): { layer: AudioSource, offset: number, start: number, end: number }[] {
+    return layers
+      .filter(layer => !!layer)
+      .reduce((found, layer) => {
+        if (layer instanceof Group) {
+          // Layers in a group can only be heard while the group is
+          const groupStart = offset + layer.startTime
+          return found.concat(Movie._audioLayers(layer.layers, groupStart,
+            Math.max(groupStart, start), Math.min(groupStart + layer.duration, end)))
+        }
+
+        if (layer instanceof AudioLayer || layer instanceof VideoLayer)
+          found.push({ layer: layer as unknown as AudioSource, offset, start, end })
+
+        return found
+      }, [])
+  }
+
+  /**
+   * @param layer
+   * @param octx
+   * @param destination
+   * @param startTime - the time relative to the layer's parent at which to
+   * start mixing
+   * @param endTime - the time relative to the layer's parent at which to stop
+   * mixing
+   * @param contextStartTime - the time relative to the layer's parent at which
+   * the offline context starts
+   */
+  private _scheduleOfflineAudio (layer: AudioSource, octx: IOfflineAudioContext, destination: IAudioNode<AudioEffectContext>, startTime: number, endTime: number, contextStartTime: number): Promise<void> {
+    const layerStartTime = Math.max(layer.startTime, startTime)
+    const layerEndTime = Math.min(layer.startTime + layer.duration, endTime)
+    if (layerEndTime <= layerStartTime)
+      return Promise.resolve()
+
+    // Media element sources don't work in offline audio contexts, so decode
+    // the media ourselves.
+    const url = layer.source.currentSrc || layer.source.src
+    const download = url
+      ? fetch(url)
+      : Promise.reject(new Error('Media without a URL cannot be recorded offline'))
+    return download
+      .then(response => {
+        if (!response.ok)
+          throw new Error(`Failed to download ${url}: ${response.status}`)
+
+        return response.arrayBuffer()
+      })
+      .then(data => octx.decodeAudioData(data))
+      .then(buffer => {
+        const reltime = layerStartTime - layer.startTime
+        const relEndTime = layerEndTime - layer.startTime
+        const node = octx.createBufferSource()
+        // Buffers can't be played backwards, so reverse the samples instead
+        node.buffer = layer.reverse ? Movie._reverseBuffer(octx, buffer) : buffer
+        scheduleAudioParam(node.playbackRate, layer, 'playbackRate', reltime, relEndTime,
+          layerStartTime - contextStartTime, rate => Math.max(rate, 0))
+        const gain = octx.createGain()
+        if (val(layer, 'muted', reltime))
+          gain.gain.value = 0
+        else
+          scheduleAudioParam(gain.gain, layer, 'volume', reltime, relEndTime, layerStartTime - contextStartTime)
+        node.connect(gain)
+        const effects = layer.audioEffects
+          .filter(effect => effect && effect.enabled)
+          .map(effect => effect.createOfflineNodes(octx, contextStartTime - layer.startTime, endTime - layer.startTime))
+        Movie._connectOfflineAudioEffects(gain, effects, destination)
+        const sourceStartTime = layer.getSourceTime(reltime)
+        const sourceEndTime = layer.getSourceTime(relEndTime)
+        node.start(
+          layerStartTime - contextStartTime,
+          layer.reverse ? buffer.duration - sourceStartTime : sourceStartTime,
+          Math.abs(sourceEndTime - sourceStartTime)
+        )
+      })
+      .catch(error => {
+        // Record the rest of the movie without this layer
+        publish(this, 'movie.recordwarning', { movie: this, layer, error })
+      })
+  }
+
+  /**
+   * Copies an audio buffer with its samples in reverse order
+   */
+  private static _reverseBuffer (octx: IOfflineAudioContext, buffer: IAudioBuffer): IAudioBuffer {
+    const reversed = octx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate)
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++)
+      reversed.copyToChannel(buffer.getChannelData(channel).slice().reverse(), channel)
+
+    return reversed
+  }
+
+  private static _connectOfflineAudioEffects (source: IAudioNode<AudioEffectContext>, effects: AudioEffectNodes[], destination: IAudioNode<AudioEffectContext>) {
+    let node = source
+    effects.forEach(effect => {
+      node.connect(effect.input)
+      node = effect.output
+    })
+    node.connect(destination)
+  }
+
   /**
    * Stops the movie, without reseting the playback position
    * @return the movie (for chaining)
@@ -393,6 +896,9 @@ export class Movie {
             layer.stop()
             layer.active = false
           }
+      } else {
+        // Start the volume automation over
+        this._scheduleVolume()
       }
     }
 
@@ -405,9 +911,10 @@ export class Movie {
     }
 
     // Do render
-    this._renderBackground(timestamp)
+    this._renderBackground()
     const frameFullyLoaded = this._renderLayers()
     this._applyEffects()
+    this._applyAudioEffects()
 
     if (frameFullyLoaded)
       publish(this, 'movie.loadeddata', { movie: this })
@@ -416,7 +923,9 @@ export class Movie {
     // loaded.
     // If the expression below is false, don't publish an event, just silently
     // stop render loop.
-    if (!repeat || (this._renderingFrame && frameFullyLoaded)) {
+    // Media that can't load is rendered as it is after `seekTimeout`
+    const loadTimedOut = timestamp > this._loadDeadline
+    if (!repeat || (this._renderingFrame && (frameFullyLoaded || loadTimedOut))) {
       this._renderingFrame = false
       if (done)
         done()
@@ -425,7 +934,7 @@ export class Movie {
     }
 
     window.requestAnimationFrame(timestamp => {
-      this._render(repeat, timestamp)
+      this._render(repeat, timestamp, done)
     }) // TODO: research performance cost
   }
 
@@ -442,11 +951,11 @@ export class Movie {
     }
   }
 
-  private _renderBackground (timestamp) {
+  private _renderBackground () {
     this.cctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
-    const background = val(this, 'background', timestamp)
+    const background = val(this, 'background', this.currentTime)
     if (background) { // TODO: check val'd result
-      this.cctx.fillStyle = background
+      this.cctx.fillStyle = toFillStyle(background, this.cctx, this, this.currentTime)
       this.cctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
     }
   }
@@ -458,6 +967,8 @@ export class Movie {
    */
   private _renderLayers () {
     let frameFullyLoaded = true
+    const transitions = this._getActiveTransitions()
+    transitions.forEach(transition => transition.beginRender())
     for (let i = 0; i < this.layers.length; i++) {
       if (!Object.prototype.hasOwnProperty.call(this.layers, i)) continue
 
@@ -467,46 +978,98 @@ export class Movie {
       if (!layer)
         continue
 
-      const reltime = this.currentTime - layer.startTime
-      // Cancel operation if layer disabled or outside layer time interval
-      if (!val(layer, 'enabled', reltime) ||
-        // TODO                                                    > or >= ?
-        this.currentTime < layer.startTime || this.currentTime > layer.startTime + layer.duration) {
-        // Layer is not active.
-        // If only rendering this frame, we are not "starting" the layer.
-        if (layer.active && !this._renderingFrame) {
-          // TODO: make a `deactivate()` method?
-          layer.stop()
-          layer.active = false
+      frameFullyLoaded = this._renderLayer(layer, transitions) && frameFullyLoaded
+
+      // Draw each transition in place of the later of its layers
+      for (let j = 0; j < transitions.length; j++) {
+        const transition = transitions[j]
+        if (i === Math.max(this.layers.indexOf(transition.from), this.layers.indexOf(transition.to))) {
+          transition.endRender()
+          this.cctx.drawImage(transition.canvas, 0, 0)
         }
-        continue
-      }
-      // If only rendering this frame, we are not "starting" the layer
-      if (!layer.active && val(layer, 'enabled', reltime) && !this._renderingFrame) {
-        // TODO: make an `activate()` method?
-        layer.start()
-        layer.active = true
       }
+    }
 
-      // if the layer has an input file
-      if ('source' in layer)
-        frameFullyLoaded = frameFullyLoaded && (layer as unknown as AudioSource).source.readyState >= 2
-
-      layer.render()
-
-      // if the layer has visual component
-      if (layer instanceof Visual) {
-        const canvas = (layer as Visual).canvas
-        // layer.canvas.width and layer.canvas.height should already be interpolated
-        // if the layer has an area (else InvalidStateError from canvas)
-        if (canvas.width * canvas.height > 0)
-          this.cctx.drawImage(canvas,
-            val(layer, 'x', reltime), val(layer, 'y', reltime), canvas.width, canvas.height
-          )
+    return frameFullyLoaded
+  }
+
+  /**
+   * @return whether or not the layer's frame is loaded
+   */
+  private _renderLayer (layer: BaseLayer, transitions: BaseTransition[]): boolean {
+    const reltime = this.currentTime - layer.startTime
+    // Cancel operation if layer disabled or outside layer time interval
+    if (!val(layer, 'enabled', reltime) ||
+      // TODO                                                    > or >= ?
+      this.currentTime < layer.startTime || this.currentTime > layer.startTime + layer.duration) {
+      // Layer is not active.
+      // If only rendering this frame, we are not "starting" the layer.
+      if (layer.active && !this._renderingFrame) {
+        // TODO: make a `deactivate()` method?
+        layer.stop()
+        layer.active = false
       }
+      return true
+    }
+    // If only rendering this frame, we are not "starting" the layer
+    if (!layer.active && val(layer, 'enabled', reltime) && !this._renderingFrame) {
+      // TODO: make an `activate()` method?
+      layer.start()
+      layer.active = true
     }
 
-    return frameFullyLoaded
+    layer.render()
+
+    // if the layer has visual component
+    if (layer instanceof Visual) {
+      const canvas = (layer as Visual).canvas
+      // Layers in a transition are drawn onto the transition instead
+      const transition = transitions.find(transition => transition.from === layer || transition.to === layer)
+      const cctx = transition ? transition.getLayerContext(layer) : this.cctx
+      // layer.canvas.width and layer.canvas.height should already be interpolated
+      // if the layer has an area (else InvalidStateError from canvas)
+      if (canvas.width * canvas.height > 0)
+        drawBlended(cctx, layer, layer.getTransform(reltime), val(layer, 'blendMode', reltime))
+    }
+
+    return Movie._layerLoaded(layer)
+  }
+
+  /**
+   * Whether the current frame of a layer that was just rendered is loaded
+   */
+  private static _layerLoaded (layer: BaseLayer): boolean {
+    if (layer instanceof Group)
+      return layer.renderedLayers.every(child => Movie._layerLoaded(child))
+
+    // if the layer has an input file
+    return 'source' in layer
+      ? Movie._sourceLoaded((layer as unknown as VisualSource | AudioSource).source)
+      : true
+  }
+
+  private _getActiveTransitions (): BaseTransition[] {
+    return this.transitions.filter(transition =>
+      // Both layers must be in this movie
+      transition && this.layers.includes(transition.from) &&
+      this.layers.includes(transition.to) && transition.isActive()
+    )
+  }
+
+  /**
+   * Whether the current frame of an image or media element is available.
+   * Canvases, image bitmaps, video frames and SVG images are always
+   * available.
+   */
+  private static _sourceLoaded (source: VisualSourceElement | HTMLMediaElement): boolean {
+    if (source instanceof HTMLImageElement)
+      return source.complete
+
+    // The current frame is the old one until the media is done seeking
+    if (source instanceof HTMLMediaElement)
+      return source.readyState >= 2 && !source.seeking
+
+    return true
   }
 
   private _applyEffects () {
@@ -521,6 +1084,37 @@ export class Movie {
     }
   }
 
+  private _applyAudioEffects () {
+    this._connectAudioEffects()
+    this._connectedAudioEffects.forEach(effect => effect.apply(this, this.currentTime))
+  }
+
+  /**
+   * Connects the audio input to the destination through the enabled audio
+   * effects, if they changed
+   *
+   * @param [force=false] - reconnect even if the effects didn't change
+   */
+  private _connectAudioEffects (force = false) {
+    const effects = this.audioEffects.filter(effect => effect && effect.enabled)
+    const changed = force || this._audioEffectConnections.length === 0 ||
+      effects.length !== this._connectedAudioEffects.length ||
+      effects.some((effect, i) => effect !== this._connectedAudioEffects[i])
+    if (!changed)
+      return
+
+    disconnectAudioEffects(this._audioEffectConnections)
+    this._audioEffectConnections = connectAudioEffects(this._audioInput, effects, this._audioDestination)
+    this._connectedAudioEffects = effects
+  }
+
+  /**
+   * Schedules the volume from the current time until the end of the movie
+   */
+  private _scheduleVolume () {
+    scheduleAudioParam(this._audioInput.gain, this, 'volume', this.currentTime, this.duration, this.actx.currentTime)
+  }
+
   /**
    * Refreshes the screen (only use this if auto-refresh is disabled)
    * @return - resolves when the frame is loaded
@@ -559,7 +1153,7 @@ export class Movie {
    * If the movie is recording
    */
   get recording (): boolean {
-    return !!this._mediaRecorder
+    return !!this._mediaRecorder || this._recordingOffline
   }
 
   /**
@@ -588,6 +1182,24 @@ export class Movie {
     this.effects.push(effect); return this
   }
 
+  /**
+   * Convienence method for <code>audioEffects.push()</code>
+   * @param effect
+   * @return the movie
+   */
+  addAudioEffect (effect: BaseAudioEffect): Movie {
+    this.audioEffects.push(effect); return this
+  }
+
+  /**
+   * Convienence method for <code>transitions.push()</code>
+   * @param transition
+   * @return the movie
+   */
+  addTransition (transition: BaseTransition): Movie {
+    this.transitions.push(transition); return this
+  }
+
   /**
    */
   get paused (): boolean {
@@ -609,16 +1221,19 @@ export class Movie {
   }
 
   set currentTime (time: number) {
-    this._currentTime = time
-    publish(this, 'movie.seek', {})
     // Render single frame to match new time
-    this.refresh()
+    this.setCurrentTime(time)
   }
 
   /**
    * Sets the current playback position. This is a more powerful version of
    * `set currentTime`.
    *
+   * Before the frame is rendered, audio and video layers are given up to
+   * <code>seekTimeout</code> to seek, so they show the right frame. Then
+   * <code>'movie.seeked'</code> is published, unless the movie seeked again in
+   * the meantime.
+   *
    * @param time - the new cursor's time value in seconds
    * @param [refresh=true] - whether to render a single frame
    * @return resolves when the current frame is rendered if
@@ -627,17 +1242,117 @@ export class Movie {
    */
   // TODO: Refresh if only auto-refreshing is enabled
   setCurrentTime (time: number, refresh = true): Promise<void> {
-    return new Promise((resolve, reject) => {
-      this._currentTime = time
-      publish(this, 'movie.seek', {})
-      if (refresh)
-        // Pass promise callbacks to `refresh`
-        this.refresh().then(resolve).catch(reject)
-      else
-        resolve()
+    this._currentTime = time
+    publish(this, 'movie.seek', {})
+    if (!refresh)
+      return Promise.resolve()
+
+    const seeked = this._waitForSeeks()
+    const refreshed = seeked ? seeked.then(() => this.refresh()) : this.refresh()
+    return refreshed.then(() => {
+      if (this._currentTime === time)
+        publish(this, 'movie.seeked', { movie: this })
     })
   }
 
+  /**
+   * Converts the movie, its layers, effects, transitions and audio effects to a
+   * JSON-compatible object, that can be loaded with {@link Movie.fromJSON}
+   *
+   * Function-valued properties and layers, effects and transitions whose
+   * classes aren't registered (see {@link serialization.register}) can't be serialized.
+   *
+   * @param [options]
+   */
+  toJSON (options?: SerializeOptions): SerializedMovie {
+    // `JSON.stringify` passes the property name as the first argument.
+    const serializeOptions = typeof options === 'object' ? options : {}
+    return {
+      version: SERIALIZATION_VERSION,
+      movie: {
+        width: this.width,
+        height: this.height,
+        background: serializeValue(this.background, serializeOptions, 'background'),
+        volume: serializeValue(this.volume, serializeOptions, 'volume'),
+        repeat: this.repeat,
+        autoRefresh: this.autoRefresh,
+        layers: serializeObjects(this.layers, serializeOptions),
+        effects: serializeObjects(this.effects, serializeOptions),
+        transitions: this._serializeTransitions(serializeOptions),
+        audioEffects: serializeObjects(this.audioEffects, serializeOptions)
+      }
+    }
+  }
+
+  private _serializeTransitions (options: SerializeOptions): SerializedTransition[] {
+    // Refer to layers by their index in the serialized layers, which skip
+    // deleted layers.
+    const layers = this.layers.filter(layer => !!layer)
+    return this.transitions
+      .filter(transition => !!transition)
+      .map(transition => ({
+        ...serializeObject(transition, options),
+        from: layers.indexOf(transition.from),
+        to: layers.indexOf(transition.to)
+      }))
+  }
+
+  /**
+   * Creates a movie from the result of {@link Movie#toJSON}
+   *
+   * @param data
+   * @param options
+   * @param options.canvas
+   * @param [options.actx]
+   * @param [options.loadMedia] - creates the media element for each media
+   * reference, defaults to loading the reference's id as a URL
+   * @return resolves when all media is loaded
+   */
+  static fromJSON (data: SerializedMovie, options: MovieFromJSONOptions): Promise<Movie> {
+    if (data.version > SERIALIZATION_VERSION)
+      return Promise.reject(new Error(`Unsupported project version: ${data.version}`))
+
+    return loadMedia(data.movie, options).then(media => {
+      const movie = new Movie({
+        canvas: options.canvas,
+        actx: options.actx,
+        background: deserializeValue(data.movie.background, media) as Dynamic<string | Gradient>,
+        repeat: data.movie.repeat,
+        // Don't refresh for every layer and effect
+        autoRefresh: false
+      })
+      movie.width = data.movie.width
+      movie.height = data.movie.height
+      // Older projects don't have a volume
+      if (data.movie.volume !== undefined)
+        movie.volume = deserializeValue(data.movie.volume, media) as Dynamic<number>
+      data.movie.layers.forEach(layer => movie.addLayer(deserializeObject(layer, media) as BaseLayer))
+      data.movie.effects.forEach(effect => movie.addEffect(deserializeObject(effect, media) as BaseEffect))
+      // Older projects don't have transitions
+      const transitions = data.movie.transitions || []
+      transitions.forEach(serialized => {
+        const transition = deserializeObject(serialized, media) as BaseTransition
+        transition.from = movie.layers[serialized.from] as Visual
+        transition.to = movie.layers[serialized.to] as Visual
+        movie.addTransition(transition)
+      })
+      // Or audio effects
+      const audioEffects = data.movie.audioEffects || []
+      audioEffects.forEach(effect => movie.addAudioEffect(deserializeObject(effect, media) as BaseAudioEffect))
+      movie.autoRefresh = data.movie.autoRefresh
+
+      return movie
+    })
+  }
+
+  /**
+   * The node that layers send their audio to, before the movie's audio
+   * effects. Its gain is controlled by {@link Movie#volume}.
+   */
+  get audioInput (): IGainNode<AudioContext> {
+    return this._audioInput
+  }
+
   /**
    * The rendering canvas
    */
@@ -684,9 +1399,15 @@ export class Movie {
       _actx: new AudioContext(),
       /**
        * @name module:movie#background
-       * @desc The css color for the background, or <code>null</code> for transparency
+       * @desc The css color or {@link Gradient} for the background, or
+       * <code>null</code> for transparency
        */
       background: '#000',
+      /**
+       * @name module:movie#volume
+       * @desc The gain to apply to all audio
+       */
+      volume: 1,
       /**
        * @name module:movie#repeat
        */
@@ -695,7 +1416,14 @@ export class Movie {
        * @name module:movie#autoRefresh
        * @desc Whether to refresh when changes are made that would effect the current frame
        */
-      autoRefresh: true
+      autoRefresh: true,
+      /**
+       * @name module:movie#seekTimeout
+       * @desc How long to wait for audio and video layers to seek, and for
+       * media to load when rendering frames offline, before rendering the
+       * frame anyway, in milliseconds
+       */
+      seekTimeout: 2000
     }
   }
 }
@@ -703,5 +1431,5 @@ export class Movie {
 // id for events (independent of instance, but easy to access when on prototype chain)
 Movie.prototype.type = 'movie'
 // TODO: refactor so we don't need to explicitly exclude some of these
-Movie.prototype.publicExcludes = ['canvas', 'cctx', 'actx', 'layers', 'effects']
+Movie.prototype.publicExcludes = ['canvas', 'cctx', 'actx', 'layers', 'effects', 'transitions', 'audioEffects']
 Movie.prototype.propertyFilters = {}
@@ -0,0 +1,577 @@
+/**
+ * @module serialization
+ */
+
+import VidarObject from './object'
+import {
+  KeyFrame, Color, Font, GradientStop, LinearGradient, RadialGradient, ConicGradient, linearInterp,
+  cosineInterp
+} from './util'
+import {
+  Base as BaseLayer, Visual, Group, Shape, Subtitles, Text, Image, ImageSequence, Video, Audio
+} from './layer/index'
+import {
+  Base as BaseEffect, Brightness, Channels, ChromaKey, Contrast, EllipticalMask,
+  GaussianBlur, GaussianBlurHorizontal, GaussianBlurVertical, Grayscale, Matte,
+  PathMask, Pixelate, RectangleMask, RoundedRectangleMask, Stack, Transform
+} from './effect/index'
+import {
+  Base as BaseTransition, Crossfade, DipToColor, Dissolve, Push, Slide, Wipe
+} from './transition/index'
+import {
+  Base as BaseAudioEffect, Compressor, Delay, Equalizer, Gain, Pan, Reverb
+} from './audio-effect/index'
+import * as easing from './easing'
+import { MotionPath } from './motion-path'
+
+/**
+ * The current version of the serialized format. Bump this when making changes
+ * that older versions of vidar can't read.
+ */
+export const VERSION = 1
+
+/** A serialized layer, effect or transition */
+export interface SerializedObject {
+  /** The name the class was registered with */
+  class: string
+  properties: Record<string, unknown>
+  effects?: SerializedObject[]
+  audioEffects?: SerializedObject[]
+  /** The layers in a group */
+  layers?: SerializedObject[]
+}
+
+/** A reference to an image, video or audio element */
+export interface MediaReference {
+  element: 'img' | 'video' | 'audio'
+  /** The URL of the media, or another id that the media loader understands */
+  id: string
+}
+
+export interface SerializeOptions {
+  /**
+   * Returns the id to store for a media element, defaults to the element's
+   * URL
+   */
+  mediaId?: (source: HTMLImageElement | HTMLMediaElement) => string
+}
+
+export interface DeserializeOptions {
+  /**
+   * Creates the media element for a reference, defaults to loading the
+   * reference's id as a URL
+   */
+  loadMedia?: (reference: MediaReference) => HTMLImageElement | HTMLMediaElement |
+    Promise<HTMLImageElement | HTMLMediaElement>
+}
+
+type SerializableConstructor = new (options: any) => VidarObject // eslint-disable-line @typescript-eslint/no-explicit-any
+
+export interface RegisterOptions {
+  /**
+   * Returns the properties to save, defaults to all public properties and
+   * options
+   */
+  serialize?: (object: VidarObject) => Record<string, unknown>
+  /**
+   * Creates an instance from deserialized properties, defaults to passing the
+   * properties to the constructor
+   */
+  deserialize?: (properties: Record<string, unknown>, effects: BaseEffect[]) => VidarObject
+}
+
+interface Registration extends RegisterOptions {
+  name: string
+  constructor: SerializableConstructor
+}
+
+const classes: Registration[] = []
+const interpolations: Record<string, unknown> = {}
+/**
+ * Functions that create interpolations from numeric arguments (see
+ * {@link easing.cubicBezier})
+ */
+const interpolationFactories: Record<string, (...args: number[]) => unknown> = {
+  cubicBezier: easing.cubicBezier,
+  spring: easing.spring
+}
+
+/**
+ * Lets instances of a custom layer or effect class be serialized.
+ *
+ * Subclasses must be registered separately.
+ *
+ * @param name - a unique name to store in the serialized data
+ * @param constructor
+ * @param [options]
+ */
+export function register (name: string, constructor: SerializableConstructor, options: RegisterOptions = {}): void {
+  if (classes.some(registration => registration.name === name))
+    throw new Error(`Class already registered: '${name}'`)
+
+  classes.push({ ...options, name, constructor })
+}
+
+/**
+ * Lets keyframes that use a custom interpolation function be serialized.
+ *
+ * @param name - a unique name to store in the serialized data
+ * @param interpolation
+ */
+export function registerInterpolation (name: string, interpolation: unknown): void {
+  if (name in interpolations)
+    throw new Error(`Interpolation already registered: '${name}'`)
+
+  interpolations[name] = interpolation
+}
+
+/**
+ * Converts a layer or effect to a JSON-compatible object
+ *
+ * @param object
+ * @param [options]
+ */
+export function serializeObject (object: VidarObject, options: SerializeOptions = {}): SerializedObject {
+  // Only match the exact class, so subclasses don't lose their data.
+  const registration = classes.find(registration =>
+    Object.getPrototypeOf(object) === registration.constructor.prototype)
+  if (!registration)
+    throw new Error(`Class not registered for serialization: '${object.constructor.name}'`)
+
+  const rawProperties = registration.serialize
+    ? registration.serialize(object)
+    : getProperties(object)
+
+  const properties = {}
+  for (const key in rawProperties)
+    properties[key] = serializeValue(rawProperties[key], options, key)
+
+  const serialized: SerializedObject = { class: registration.name, properties }
+  const effects = (object as unknown as { effects?: BaseEffect[] }).effects
+  if (Array.isArray(effects))
+    serialized.effects = serializeObjects(effects, options)
+  const audioEffects = (object as unknown as { audioEffects?: BaseAudioEffect[] }).audioEffects
+  if (Array.isArray(audioEffects))
+    serialized.audioEffects = serializeObjects(audioEffects, options)
+  if (object instanceof Group)
+    serialized.layers = serializeObjects(object.layers, options)
+
+  return serialized
+}
+
+/**
+ * Converts a list of layers or effects to JSON-compatible objects, skipping
+ * deleted items
+ *
+ * @param objects
+ * @param [options]
+ */
+export function serializeObjects (objects: VidarObject[], options: SerializeOptions = {}): SerializedObject[] {
+  return objects
+    .filter(object => !!object)
+    .map(object => serializeObject(object, options))
+}
+
+/**
+ * Creates a layer or effect from the result of {@link serializeObject}. All
+ * media must already be loaded (see {@link loadMedia}).
+ *
+ * @param serialized
+ * @param media - loaded media elements, by reference (see
+ * {@link mediaKey})
+ */
+export function deserializeObject (serialized: SerializedObject, media: Record<string, HTMLImageElement | HTMLMediaElement>): VidarObject {
+  const registration = classes.find(registration => registration.name === serialized.class)
+  if (!registration)
+    throw new Error(`Class not registered for serialization: '${serialized.class}'`)
+
+  const properties = {}
+  for (const key in serialized.properties)
+    properties[key] = deserializeValue(serialized.properties[key], media)
+
+  const effects = (serialized.effects || [])
+    .map(effect => deserializeObject(effect, media) as BaseEffect)
+  const audioEffects = (serialized.audioEffects || [])
+    .map(effect => deserializeObject(effect, media) as BaseAudioEffect)
+  const layers = (serialized.layers || [])
+    .map(layer => deserializeObject(layer, media) as BaseLayer)
+
+  if (registration.deserialize)
+    return registration.deserialize(properties, effects)
+
+  const Constructor = registration.constructor
+  if (Constructor.prototype instanceof BaseLayer || Constructor === BaseLayer ||
+    Constructor.prototype instanceof BaseTransition || Constructor === BaseTransition ||
+    Constructor.prototype instanceof BaseAudioEffect || Constructor === BaseAudioEffect) {
+    // Layers, transitions and audio effects validate their options, so only
+    // pass the ones they accept, and set the rest afterwards.
+    const defaults = Constructor.prototype.getDefaultOptions()
+    const options = {}
+    const rest = {}
+    for (const key in properties)
+      if (key in defaults)
+        options[key] = properties[key]
+      else
+        rest[key] = properties[key]
+
+    const object = new Constructor(options)
+    for (const key in rest)
+      object[key] = rest[key]
+
+    if (object instanceof Visual)
+      effects.forEach(effect => object.addEffect(effect))
+    if (object instanceof Audio || object instanceof Video)
+      audioEffects.forEach(effect => object.addAudioEffect(effect))
+    if (object instanceof Group)
+      layers.forEach(layer => object.addLayer(layer))
+
+    return object
+  }
+
+  // Effects take their own properties (and children) as options
+  const effect = new Constructor({ ...properties, effects })
+  for (const key in properties)
+    effect[key] = properties[key]
+
+  return effect
+}
+
+/**
+ * Loads all the media referenced in serialized data
+ *
+ * @param serialized - any serialized data
+ * @param [options]
+ * @return resolves to the loaded media elements, by reference (see
+ * {@link mediaKey})
+ */
+export function loadMedia (serialized: unknown, options: DeserializeOptions = {}): Promise<Record<string, HTMLImageElement | HTMLMediaElement>> {
+  const load = options.loadMedia || defaultLoadMedia
+  const references: Record<string, MediaReference> = {}
+  findMediaReferences(serialized, references)
+
+  const media = {}
+  return Promise.all(Object.keys(references).map(key =>
+    Promise.resolve(load(references[key])).then(element => {
+      media[key] = element
+    })
+  )).then(() => media)
+}
+
+/**
+ * Uniquely identifies a media reference
+ * @param reference
+ */
+export function mediaKey (reference: MediaReference): string {
+  return `${reference.element}:${reference.id}`
+}
+
+/**
+ * Gets all public properties and options of a layer or effect
+ */
+function getProperties (object: VidarObject): Record<string, unknown> {
+  // Getters and setters (like `startTime`) aren't own properties, but they are
+  // options.
+  const keys = Object.keys(object).concat(Object.keys(object.getDefaultOptions()))
+  const properties = {}
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const isPublic = !key.startsWith('_') && !object.publicExcludes.includes(key)
+    // `effects` are handled separately, and `active` is playback state.
+    if (isPublic && key !== 'effects' && key !== 'active')
+      properties[key] = object[key]
+  }
+  return properties
+}
+
+/**
+ * Converts a property value to a JSON-compatible value
+ *
+ * @param value
+ * @param options
+ * @param path - the name of the property, for error messages
+ */
+export function serializeValue (value: unknown, options: SerializeOptions, path: string): unknown {
+  if (value === null || value === undefined ||
+    typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean')
+    return value
+
+  if (typeof value === 'function')
+    throw new Error(`Cannot serialize function value of '${path}'`)
+
+  if (Array.isArray(value))
+    return value.map((item, i) => serializeValue(item, options, `${path}.${i}`))
+
+  if (value instanceof KeyFrame)
+    return {
+      $type: 'KeyFrame',
+      points: value.value.map(point => {
+        const serializedPoint = [point[0], serializeValue(point[1], options, path)]
+        if (point.length === 3)
+          serializedPoint.push(getInterpolationName(point[2], path))
+
+        return serializedPoint
+      }),
+      interpolationKeys: value.interpolationKeys,
+      colorSpace: value.colorSpace
+    }
+
+  if (value instanceof Color)
+    return { $type: 'Color', r: value.r, g: value.g, b: value.b, a: value.a }
+
+  if (value instanceof Font)
+    return {
+      $type: 'Font',
+      size: value.size,
+      sizeUnit: value.sizeUnit,
+      family: value.family,
+      style: value.style,
+      variant: value.variant,
+      weight: value.weight,
+      stretch: value.stretch,
+      lineHeight: value.lineHeight
+    }
+
+  if (value instanceof LinearGradient || value instanceof RadialGradient || value instanceof ConicGradient) {
+    const serialized = {
+      $type: value instanceof LinearGradient
+        ? 'LinearGradient'
+        : (value instanceof RadialGradient ? 'RadialGradient' : 'ConicGradient')
+    }
+    for (const key of Object.keys(value))
+      serialized[key] = serializeValue(value[key], options, `${path}.${key}`)
+
+    return serialized
+  }
+
+  if (value instanceof Transform.Matrix)
+    return { $type: 'Transform.Matrix', data: value.data.slice() }
+
+  if (value instanceof MotionPath)
+    return { $type: 'MotionPath', source: serializeValue(value.source, options, path) }
+
+  if (value instanceof HTMLImageElement || value instanceof HTMLMediaElement) {
+    const element = value instanceof HTMLImageElement
+      ? 'img'
+      : (value instanceof HTMLVideoElement ? 'video' : 'audio')
+    const id = options.mediaId ? options.mediaId(value) : (value.currentSrc || value.src)
+    return { $type: 'Media', element, id }
+  }
+
+  if (value instanceof BaseLayer || value instanceof BaseEffect)
+    return { $type: 'Object', object: serializeObject(value, options) }
+
+  if (Object.getPrototypeOf(value) === Object.prototype) {
+    const object = value as Record<string, unknown>
+    const serialized = {}
+    for (const key in object)
+      serialized[key] = serializeValue(object[key], options, `${path}.${key}`)
+
+    return serialized
+  }
+
+  throw new Error(`Cannot serialize value of '${path}'`)
+}
+
+/**
+ * Creates a property value from the result of {@link serializeValue}
+ *
+ * @param value
+ * @param media - loaded media elements, by reference (see
+ * {@link mediaKey})
+ */
+export function deserializeValue (value: unknown, media: Record<string, HTMLImageElement | HTMLMediaElement>): unknown {
+  if (value === null || typeof value !== 'object')
+    return value
+
+  if (Array.isArray(value))
+    return value.map(item => deserializeValue(item, media))
+
+  const tagged = value as Record<string, any> // eslint-disable-line @typescript-eslint/no-explicit-any
+  switch (tagged.$type) {
+    case 'KeyFrame': {
+      const keyFrame = new KeyFrame(...tagged.points.map(point => {
+        const deserializedPoint = [point[0], deserializeValue(point[1], media)]
+        if (point.length === 3)
+          deserializedPoint.push(getInterpolation(point[2]))
+
+        return deserializedPoint
+      })).withKeys(tagged.interpolationKeys)
+      // Older projects and keyframes that don't interpolate color names don't
+      // have a color space
+      if (tagged.colorSpace)
+        keyFrame.withColorSpace(tagged.colorSpace)
+
+      return keyFrame
+    }
+
+    case 'Color':
+      return new Color(tagged.r, tagged.g, tagged.b, tagged.a)
+
+    case 'Font':
+      return new Font(tagged.size, tagged.sizeUnit, tagged.family, tagged.style,
+        tagged.variant, tagged.weight, tagged.stretch, tagged.lineHeight)
+
+    case 'LinearGradient':
+    case 'RadialGradient':
+    case 'ConicGradient': {
+      const get = (key: string) => deserializeValue(tagged[key], media) as number
+      const stops = deserializeValue(tagged.stops, media) as GradientStop[]
+      if (tagged.$type === 'LinearGradient')
+        return new LinearGradient(get('x0'), get('y0'), get('x1'), get('y1'), stops)
+      if (tagged.$type === 'RadialGradient')
+        return new RadialGradient(get('x0'), get('y0'), get('r0'), get('x1'), get('y1'), get('r1'), stops)
+      return new ConicGradient(get('angle'), get('x'), get('y'), stops)
+    }
+
+    case 'Transform.Matrix':
+      return new Transform.Matrix(tagged.data.slice())
+
+    case 'MotionPath':
+      return new MotionPath(tagged.source)
+
+    case 'Media':
+      return media[mediaKey(tagged as MediaReference)]
+
+    case 'Object':
+      return deserializeObject(tagged.object, media)
+
+    default: {
+      const deserialized = {}
+      for (const key in tagged)
+        deserialized[key] = deserializeValue(tagged[key], media)
+
+      return deserialized
+    }
+  }
+}
+
+/**
+ * @return the name the interpolation was registered with, or the name of the
+ * factory that created it followed by its arguments
+ */
+function getInterpolationName (interpolation: unknown, path: string): string | unknown[] {
+  for (const name in interpolations)
+    if (interpolations[name] === interpolation)
+      return name
+
+  const parameters = easing.getParameters(interpolation)
+  if (parameters)
+    for (const name in interpolationFactories)
+      if (interpolationFactories[name] === parameters.factory)
+        return [name, ...parameters.args]
+
+  throw new Error(`Cannot serialize unregistered interpolation of '${path}'`)
+}
+
+/**
+ * Creates an interpolation from the result of {@link getInterpolationName}
+ */
+function getInterpolation (name: string | unknown[]): unknown {
+  if (Array.isArray(name)) {
+    const [factoryName, ...args] = name as [string, ...number[]]
+    if (!(factoryName in interpolationFactories))
+      throw new Error(`Interpolation not registered: '${factoryName}'`)
+
+    return interpolationFactories[factoryName](...args)
+  }
+
+  if (!(name in interpolations))
+    throw new Error(`Interpolation not registered: '${name}'`)
+
+  return interpolations[name]
+}
+
+function findMediaReferences (value: unknown, references: Record<string, MediaReference>) {
+  if (value === null || typeof value !== 'object')
+    return
+
+  const tagged = value as Record<string, unknown>
+  if (tagged.$type === 'Media') {
+    const reference = { element: tagged.element, id: tagged.id } as MediaReference
+    references[mediaKey(reference)] = reference
+    return
+  }
+
+  for (const key in tagged)
+    findMediaReferences(tagged[key], references)
+}
+
+function defaultLoadMedia (reference: MediaReference): Promise<HTMLImageElement | HTMLMediaElement> {
+  return new Promise((resolve, reject) => {
+    const element = document.createElement(reference.element)
+    element.addEventListener(reference.element === 'img' ? 'load' : 'loadeddata', () => resolve(element))
+    element.addEventListener('error', () => reject(new Error(`Failed to load media: '${reference.id}'`)))
+    element.src = reference.id
+  })
+}
+
+// Built-in interpolations
+registerInterpolation('linear', linearInterp)
+registerInterpolation('cosine', cosineInterp)
+registerInterpolation('hold', easing.hold)
+for (const name of [
+  'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic', 'easeOutCubic',
+  'easeInOutCubic', 'easeInQuart', 'easeOutQuart', 'easeInOutQuart',
+  'easeInExpo', 'easeOutExpo', 'easeInOutExpo', 'easeInBack', 'easeOutBack',
+  'easeInOutBack', 'easeInElastic', 'easeOutElastic', 'easeInOutElastic',
+  'easeInBounce', 'easeOutBounce', 'easeInOutBounce'
+])
+  registerInterpolation(name, easing[name])
+registerInterpolation('Transform.Matrix.interpolate', Transform.Matrix.interpolate)
+
+// Built-in layers
+register('layer.Base', BaseLayer)
+register('layer.Visual', Visual)
+register('layer.Group', Group)
+register('layer.Shape', Shape)
+register('layer.Subtitles', Subtitles)
+register('layer.Text', Text)
+register('layer.Image', Image)
+register('layer.ImageSequence', ImageSequence)
+register('layer.Video', Video)
+register('layer.Audio', Audio)
+
+// Built-in effects
+register('effect.Brightness', Brightness)
+register('effect.Channels', Channels)
+register('effect.ChromaKey', ChromaKey)
+register('effect.Contrast', Contrast)
+register('effect.EllipticalMask', EllipticalMask)
+register('effect.GaussianBlur', GaussianBlur, {
+  // The radius is stored on each component
+  serialize: (effect: GaussianBlur) => ({
+    enabled: effect.enabled,
+    radius: (effect.effects[0] as GaussianBlurHorizontal).radius
+  }),
+  deserialize: (properties: { enabled: boolean, radius: number }) => {
+    const effect = new GaussianBlur({ radius: properties.radius })
+    effect.enabled = properties.enabled
+    return effect
+  }
+})
+register('effect.GaussianBlurHorizontal', GaussianBlurHorizontal)
+register('effect.GaussianBlurVertical', GaussianBlurVertical)
+register('effect.Grayscale', Grayscale)
+register('effect.Matte', Matte)
+register('effect.PathMask', PathMask)
+register('effect.Pixelate', Pixelate)
+register('effect.RectangleMask', RectangleMask)
+register('effect.RoundedRectangleMask', RoundedRectangleMask)
+register('effect.Stack', Stack)
+register('effect.Transform', Transform)
+
+// Built-in transitions (their layers are stored by the movie)
+register('transition.Crossfade', Crossfade)
+register('transition.DipToColor', DipToColor)
+register('transition.Dissolve', Dissolve)
+register('transition.Push', Push)
+register('transition.Slide', Slide)
+register('transition.Wipe', Wipe)
+
+// Built-in audio effects
+register('audioEffect.Compressor', Compressor)
+register('audioEffect.Delay', Delay)
+register('audioEffect.Equalizer', Equalizer)
+register('audioEffect.Gain', Gain)
+register('audioEffect.Pan', Pan)
+register('audioEffect.Reverb', Reverb)
@@ -0,0 +1,220 @@
+import { watchPublic, applyOptions, val } from '../util'
+import { publish, subscribe } from '../event'
+import { Movie } from '../movie'
+import { Visual } from '../layer/index'
+import BaseObject from '../object'
+
+/** The direction a transition moves in */
+export type Direction = 'left' | 'right' | 'up' | 'down'
+
+export interface BaseOptions {
+  /** The layer to transition from */
+  from?: Visual
+  /** The layer to transition to */
+  to?: Visual
+  /** How long the transition lasts, in seconds */
+  duration?: number
+  /** When the transition starts, defaults to the start of `to` */
+  startTime?: number
+}
+
+/**
+ * Blends two visual layers together while they overlap.
+ *
+ * While a transition is active, its layers are not drawn onto the movie
+ * directly. Instead, each layer is drawn onto a movie-sized canvas, and the
+ * transition combines them in {@link Base#render}. The result is drawn where
+ * the later of the two layers would have been.
+ */
+export class Base implements BaseObject {
+  type: string
+  publicExcludes: string[]
+  propertyFilters: Record<string, <T>(value: T) => T>
+
+  enabled: boolean
+  from: Visual
+  to: Visual
+  duration: number
+
+  /** The transition's rendering canvas, the size of the movie */
+  readonly canvas: HTMLCanvasElement
+  /** The context of {@link Base#canvas} */
+  readonly cctx: CanvasRenderingContext2D
+
+  private _startTime: number
+  private _fromCanvas: HTMLCanvasElement
+  private _fromCctx: CanvasRenderingContext2D
+  private _toCanvas: HTMLCanvasElement
+  private _toCctx: CanvasRenderingContext2D
+  private _movie: Movie
+  /**
+   * The number of times this transition has been attached to a movie minus
+   * the number of times it's been detached. (Used for the movie's array proxy
+   * with `unshift`)
+   */
+  private _occurrenceCount: number
+
+  constructor (options: BaseOptions = {}) {
+    const newThis = watchPublic(this) as Base // proxy that will be returned by constructor
+    // Don't send updates when initializing, so use this instead of newThis
+    applyOptions(options, this)
+
+    this.enabled = true
+    this.canvas = document.createElement('canvas')
+    this.cctx = this.canvas.getContext('2d')
+    this._fromCanvas = document.createElement('canvas')
+    this._fromCctx = this._fromCanvas.getContext('2d')
+    this._toCanvas = document.createElement('canvas')
+    this._toCctx = this._toCanvas.getContext('2d')
+
+    this._occurrenceCount = 0
+    this._movie = null
+
+    // Propogate up to movie
+    subscribe(newThis, 'transition.change.modify', event => {
+      if (!newThis._movie)
+        return
+
+      const type = 'movie.change.transition.modify'
+      publish(newThis._movie, type, { ...event, target: newThis._movie, source: newThis, type })
+    })
+
+    return newThis
+  }
+
+  /**
+   * Attaches this transition to `movie` if not already attached.
+   * @ignore
+   */
+  tryAttach (movie: Movie): void {
+    if (this._occurrenceCount === 0)
+      this.attach(movie)
+
+    this._occurrenceCount++
+  }
+
+  attach (movie: Movie): void {
+    this._movie = movie
+  }
+
+  /**
+   * Dettaches this transition from its movie if the number of times
+   * `tryDetach` has been called (including this call) equals the number of
+   * times `tryAttach` has been called.
+   *
+   * @ignore
+   */
+  tryDetach (): void {
+    if (this._movie === null)
+      throw new Error('No movie to detach from')
+
+    this._occurrenceCount--
+    // If this transition occurs in another place in the containing array, do
+    // not unset _movie. (For calling `unshift` on the `transitions` proxy)
+    if (this._occurrenceCount === 0)
+      this.detach()
+  }
+
+  detach (): void {
+    this._movie = null
+  }
+
+  /**
+   * Whether the transition should be rendered at the movie's current time
+   * @ignore
+   */
+  isActive (): boolean {
+    const time = this._movie.currentTime
+    return !!this.from && !!this.to &&
+      time >= this.startTime && time < this.startTime + this.duration &&
+      val(this, 'enabled', this.currentTime)
+  }
+
+  /**
+   * Resizes and clears the layer canvases, before the movie draws the layers
+   * onto them
+   * @ignore
+   */
+  beginRender (): void {
+    const width = this._movie.width
+    const height = this._movie.height
+    for (const canvas of [this.canvas, this._fromCanvas, this._toCanvas])
+      if (canvas.width !== width || canvas.height !== height) {
+        // Resizing clears the canvas
+        canvas.width = width
+        canvas.height = height
+      } else {
+        canvas.getContext('2d').clearRect(0, 0, width, height)
+      }
+  }
+
+  /**
+   * The context the movie should draw `layer` onto
+   * @ignore
+   */
+  getLayerContext (layer: Visual): CanvasRenderingContext2D {
+    return layer === this.from ? this._fromCctx : this._toCctx
+  }
+
+  /**
+   * Blends the layers onto {@link Base#canvas}
+   * @ignore
+   */
+  endRender (): void {
+    const progress = Math.min(Math.max(this.currentTime / this.duration, 0), 1)
+    this.render(this._fromCanvas, this._toCanvas, progress, this.currentTime)
+  }
+
+  // subclasses must implement render
+  /**
+   * Draws the transition onto {@link Base#canvas}, which has been cleared
+   *
+   * @param from - the outgoing layer, drawn onto a movie-sized canvas
+   * @param to - the incoming layer, drawn onto a movie-sized canvas
+   * @param progress - how far along the transition is, between 0 and 1
+   * @param reltime - the movie's current time relative to the transition
+   * @abstract
+   */
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {} // eslint-disable-line @typescript-eslint/no-unused-vars, @typescript-eslint/no-empty-function
+
+  /**
+   * When the transition starts, defaults to the start of `to`
+   */
+  get startTime (): number {
+    if (this._startTime !== undefined)
+      return this._startTime
+
+    return this.to ? this.to.startTime : undefined
+  }
+
+  set startTime (startTime: number) {
+    this._startTime = startTime
+  }
+
+  /**
+   * The current time of the movie relative to this transition
+   */
+  get currentTime (): number {
+    return this._movie ? this._movie.currentTime - this.startTime
+      : undefined
+  }
+
+  get movie (): Movie {
+    return this._movie
+  }
+
+  getDefaultOptions (): BaseOptions {
+    return {
+      from: null,
+      to: null,
+      duration: 1,
+      startTime: undefined
+    }
+  }
+}
+// id for events (independent of instance, but easy to access when on prototype
+// chain)
+Base.prototype.type = 'transition'
+// The layers are watched by the movie already
+Base.prototype.publicExcludes = ['canvas', 'cctx', 'from', 'to']
+Base.prototype.propertyFilters = {}
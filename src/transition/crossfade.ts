@@ -0,0 +1,22 @@
+import { Base, BaseOptions } from './base'
+
+/**
+ * Fades from one layer to the other
+ */
+export class Crossfade extends Base {
+  constructor (options: BaseOptions = {}) {
+    super(options)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number): void {
+    // Add the weighted layers, so the result is a true mix even where they're
+    // transparent.
+    this.cctx.globalCompositeOperation = 'lighter'
+    this.cctx.globalAlpha = 1 - progress
+    this.cctx.drawImage(from, 0, 0)
+    this.cctx.globalAlpha = progress
+    this.cctx.drawImage(to, 0, 0)
+    this.cctx.globalAlpha = 1
+    this.cctx.globalCompositeOperation = 'source-over'
+  }
+}
@@ -0,0 +1,36 @@
+import { Dynamic, val } from '../util'
+import { Base, BaseOptions } from './base'
+
+export interface DipToColorOptions extends BaseOptions {
+  color?: Dynamic<string>
+}
+
+/**
+ * Fades the outgoing layer into a solid color, and then fades the color into
+ * the incoming layer
+ */
+export class DipToColor extends Base {
+  /** The color to dip to, as a CSS string */
+  color: Dynamic<string>
+
+  constructor (options: DipToColorOptions = {}) {
+    super(options)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {
+    const firstHalf = progress < 0.5
+    this.cctx.drawImage(firstHalf ? from : to, 0, 0)
+    // Fully opaque halfway through
+    this.cctx.globalAlpha = firstHalf ? progress * 2 : (1 - progress) * 2
+    this.cctx.fillStyle = val(this, 'color', reltime)
+    this.cctx.fillRect(0, 0, this.canvas.width, this.canvas.height)
+    this.cctx.globalAlpha = 1
+  }
+
+  getDefaultOptions (): DipToColorOptions {
+    return {
+      ...super.getDefaultOptions(),
+      color: '#000'
+    }
+  }
+}
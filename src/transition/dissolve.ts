@@ -0,0 +1,34 @@
+import { BaseOptions } from './base'
+import { Shader } from './shader'
+
+/**
+ * Replaces the outgoing layer with the incoming one pixel by pixel, in a
+ * random order
+ */
+export class Dissolve extends Shader {
+  constructor (options: BaseOptions = {}) {
+    super({
+      ...options,
+      fragmentSource: `
+        precision mediump float;
+
+        uniform sampler2D u_Source;
+        uniform sampler2D u_To;
+        uniform float u_Progress;
+
+        varying highp vec2 v_TextureCoord;
+
+        // Pseudo-random number between 0 and 1 for each pixel
+        float random(vec2 co) {
+          return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+        }
+
+        void main() {
+          vec4 from = texture2D(u_Source, v_TextureCoord);
+          vec4 to = texture2D(u_To, v_TextureCoord);
+          gl_FragColor = random(v_TextureCoord) < u_Progress ? to : from;
+        }
+      `
+    })
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * @module transition
+ */
+
+export * from './base'
+export * from './crossfade'
+export * from './dip-to-color'
+export * from './dissolve'
+export * from './push'
+export * from './shader'
+export * from './slide'
+export * from './wipe'
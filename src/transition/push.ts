@@ -0,0 +1,19 @@
+import { Slide, SlideOptions } from './slide'
+
+/**
+ * Slides the incoming layer in, pushing the outgoing one out
+ */
+export class Push extends Slide {
+  constructor (options: SlideOptions = {}) {
+    super(options)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {
+    const [dx, dy] = this._getOffset(progress, reltime)
+    // The outgoing layer stays next to the incoming one.
+    const width = dx === 0 ? 0 : Math.sign(dx) * this.canvas.width
+    const height = dy === 0 ? 0 : Math.sign(dy) * this.canvas.height
+    this.cctx.drawImage(from, dx - width, dy - height)
+    this.cctx.drawImage(to, dx, dy)
+  }
+}
@@ -0,0 +1,73 @@
+import { val } from '../util'
+import { Visual } from '../layer/index'
+import { Shader as ShaderEffect, UniformOptions } from '../effect/shader'
+import { Base, BaseOptions } from './base'
+
+export interface ShaderOptions extends BaseOptions {
+  fragmentSource?: string
+  uniforms?: Record<string, (UniformOptions | string)>
+}
+
+/**
+ * A hardware-accelerated transition using WebGL
+ *
+ * The fragment shader can use these uniforms, in addition to any in
+ * `uniforms`:
+ * - `u_Source` - the outgoing layer
+ * - `u_To` - the incoming layer
+ * - `u_Progress` - how far along the transition is, between 0 and 1
+ * - `u_Size` - the size of the movie, in pixels
+ *
+ * The values of the other uniforms are read from the transition's properties
+ * with the same names.
+ */
+export class Shader extends Base {
+  private _shader: ShaderEffect
+  /** The values the shader reads, for the current frame */
+  private _shaderValues: Record<string, unknown>
+  private _userUniformNames: string[]
+
+  /**
+   * @param [options.fragmentSource] - the GLSL fragment shader
+   * @param [options.uniforms={}] - object mapping uniform id to an options
+   * object or a string (if you only need to provide the uniforms' type)
+   */
+  constructor (options: ShaderOptions = {}) {
+    const { fragmentSource, uniforms = {}, ...baseOptions } = options
+    super(baseOptions)
+
+    for (const name of ['progress', 'to'])
+      if (name in uniforms)
+        throw new Error(`Reserved uniform name: ${name}`)
+
+    this._userUniformNames = Object.keys(uniforms)
+    this._shaderValues = {}
+    this._shader = new ShaderEffect({
+      fragmentSource,
+      uniforms: { ...uniforms, progress: '1f' },
+      textures: { to: {} }
+    })
+    // The effect reads its uniforms from its own properties. Define them as
+    // getters instead of setting them every frame, so they don't publish
+    // change events.
+    for (const name of this._userUniformNames.concat(['progress', 'to']))
+      Object.defineProperty(this._shader, name, {
+        get: () => this._shaderValues[name]
+      })
+
+    // Render onto this transition's canvas
+    this._shader.tryAttach(this as unknown as Visual)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {
+    for (const name of this._userUniformNames)
+      this._shaderValues[name] = val(this, name, reltime)
+
+    this._shaderValues.progress = progress
+    this._shaderValues.to = to
+
+    // The effect reads the outgoing layer from the canvas it's applied to.
+    this.cctx.drawImage(from, 0, 0)
+    this._shader.apply(this as unknown as Visual, reltime)
+  }
+}
@@ -0,0 +1,54 @@
+import { Dynamic, val } from '../util'
+import { Base, BaseOptions, Direction } from './base'
+
+export interface SlideOptions extends BaseOptions {
+  direction?: Dynamic<Direction>
+}
+
+/**
+ * Slides the incoming layer over the outgoing one
+ */
+export class Slide extends Base {
+  /** The direction the incoming layer moves in */
+  direction: Dynamic<Direction>
+
+  constructor (options: SlideOptions = {}) {
+    super(options)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {
+    const [dx, dy] = this._getOffset(progress, reltime)
+    this.cctx.drawImage(from, 0, 0)
+    this.cctx.drawImage(to, dx, dy)
+  }
+
+  /**
+   * The position of the incoming layer, relative to its final position
+   *
+   * @param progress
+   * @param reltime
+   */
+  protected _getOffset (progress: number, reltime: number): [number, number] {
+    const remaining = 1 - progress
+    const direction = val(this, 'direction', reltime)
+    switch (direction) {
+      case 'left':
+        return [this.canvas.width * remaining, 0]
+      case 'right':
+        return [-this.canvas.width * remaining, 0]
+      case 'up':
+        return [0, this.canvas.height * remaining]
+      case 'down':
+        return [0, -this.canvas.height * remaining]
+      default:
+        throw new Error(`Invalid direction: '${direction}'`)
+    }
+  }
+
+  getDefaultOptions (): SlideOptions {
+    return {
+      ...super.getDefaultOptions(),
+      direction: 'left'
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import { Dynamic, val } from '../util'
+import { Base, BaseOptions, Direction } from './base'
+
+export interface WipeOptions extends BaseOptions {
+  direction?: Dynamic<Direction>
+}
+
+/**
+ * Reveals the incoming layer behind an edge that moves across the movie
+ */
+export class Wipe extends Base {
+  /** The direction the edge moves in */
+  direction: Dynamic<Direction>
+
+  constructor (options: WipeOptions = {}) {
+    super(options)
+  }
+
+  render (from: HTMLCanvasElement, to: HTMLCanvasElement, progress: number, reltime: number): void {
+    const width = this.canvas.width
+    const height = this.canvas.height
+    this.cctx.drawImage(from, 0, 0)
+
+    // The revealed area, in the rectangle's coordinates
+    let x = 0
+    let y = 0
+    let w = width
+    let h = height
+    const direction = val(this, 'direction', reltime)
+    if (direction === 'right') {
+      w = width * progress
+    } else if (direction === 'left') {
+      x = width * (1 - progress)
+      w = width - x
+    } else if (direction === 'down') {
+      h = height * progress
+    } else if (direction === 'up') {
+      y = height * (1 - progress)
+      h = height - y
+    } else {
+      throw new Error(`Invalid direction: '${direction}'`)
+    }
+
+    if (w * h > 0) {
+      this.cctx.clearRect(x, y, w, h)
+      this.cctx.drawImage(to, x, y, w, h, x, y, w, h)
+    }
+  }
+
+  getDefaultOptions (): WipeOptions {
+    return {
+      ...super.getDefaultOptions(),
+      direction: 'right'
+    }
+  }
+}
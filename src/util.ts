@@ -82,6 +82,19 @@ export function clearCachedValues (movie: Movie): void {
   valCache.delete(movie)
 }
 
+/**
+ * A color space to mix colors in
+ *
+ * - <code>'rgb'</code> - sRGB, the space CSS colors are in
+ * - <code>'linear-rgb'</code> - sRGB without gamma, which mixes like light
+ * - <code>'hsl'</code> - hue, saturation and lightness, along the shortest
+ * path around the hue circle
+ * - <code>'oklab'</code> - perceptually uniform lightness and chroma
+ * - <code>'oklch'</code> - OKLab as lightness, chroma and hue, along the
+ * shortest path around the hue circle
+ */
+export type ColorSpace = 'rgb' | 'linear-rgb' | 'hsl' | 'oklab' | 'oklch'
+
 /**
  * A keyframe set.
  *
@@ -95,10 +108,18 @@ export class KeyFrame<T> {
   value: unknown[][]
   /** Keys to interpolate, or all keys if undefined */
   interpolationKeys: string[]
+  /**
+   * The color space to interpolate {@link Color} values, CSS color strings
+   * and the stops of {@link Gradient} values in, defaults to
+   * <code>'rgb'</code>. Color names (like <code>'red'</code>) are only
+   * interpolated if it's set, because they could be text.
+   */
+  colorSpace: ColorSpace
 
   constructor (...value: T[][]) {
     this.value = value
     this.interpolationKeys = []
+    this.colorSpace = undefined
   }
 
   withKeys (keys: string[]): KeyFrame<T> {
@@ -106,6 +127,18 @@ export class KeyFrame<T> {
     return this
   }
 
+  /**
+   * Sets the color space to interpolate colors in, and interpolates color
+   * names too
+   *
+   * @param space
+   * @return the keyframe (for chaining)
+   */
+  withColorSpace (space: ColorSpace): KeyFrame<T> {
+    this.colorSpace = space
+    return this
+  }
+
   evaluate (time: number): T {
     if (this.value.length === 0)
       throw new Error('Empty keyframe')
@@ -127,9 +160,23 @@ export class KeyFrame<T> {
         const endTime = this.value[i + 1][0] as number
         const endValue = this.value[i + 1][1] as T
         if (startTime <= time && time < endTime)
+          if (startValue instanceof Gradient) {
+            // Like colors, the interpolation only eases the progress.
+            if (!(endValue instanceof Gradient))
+              throw new Error('Type mismatch in keyframe values')
+
+            const percentProgress = (time - startTime) / (endTime - startTime)
+            const progress = interpolate(0, 1, percentProgress, this.interpolationKeys) as number
+            return startValue.mix(endValue, progress, this.colorSpace || 'rgb') as unknown as T
+          } else if (startValue instanceof Color || this._getColor(this.value[i])) {
+            // The interpolation only eases the progress, and the colors are
+            // mixed in the color space.
+            const percentProgress = (time - startTime) / (endTime - startTime)
+            const progress = interpolate(0, 1, percentProgress, this.interpolationKeys) as number
+            return this._mixColors(this.value[i], this.value[i + 1], progress)
           // No need for endValue if it is flat interpolation
           // TODO: support custom interpolation for 'other' types?
-          if (!(typeof startValue === 'number' || typeof endValue === 'object')) {
+          } else if (!(typeof startValue === 'number' || typeof endValue === 'object')) {
             return startValue
           } else if (typeof startValue !== typeof endValue) {
             throw new Error('Type mismatch in keyframe values')
@@ -148,6 +195,50 @@ export class KeyFrame<T> {
       }
     }
   }
+
+  /**
+   * Mixes the {@link Color} values or CSS color strings of two keyframe points
+   *
+   * @return a color of the same type as the start value
+   */
+  private _mixColors (start: unknown[], end: unknown[], progress: number): T {
+    const space = this.colorSpace || 'rgb'
+    if (start[1] instanceof Color) {
+      if (!(end[1] instanceof Color))
+        throw new Error('Type mismatch in keyframe values')
+
+      return start[1].mix(end[1], progress, space) as unknown as T
+    }
+
+    const endColor = this._getColor(end)
+    if (!endColor)
+      throw new Error('Type mismatch in keyframe values')
+
+    return this._getColor(start).mix(endColor, progress, space).toString() as unknown as T
+  }
+
+  /**
+   * Parses the value of a keyframe point if it's a CSS color string. Color
+   * names are only colors if the color space is set.
+   *
+   * @return the color, or <code>null</code> if the value isn't a color
+   */
+  private _getColor (point: unknown[]): Color {
+    const value = point[1]
+    if (typeof value !== 'string')
+      return null
+
+    // Parsing reads the color back from a canvas, so only do it once
+    let parsed = parsedColors.get(point)
+    if (!parsed || parsed.value !== value) {
+      const color = isColorString(value) && !CSS_WIDE_KEYWORDS.includes(value.toLowerCase())
+        ? parseColor(value)
+        : null
+      parsed = { value, color, named: !/^\s*(#|[a-z-]+\()/i.test(value) }
+      parsedColors.set(point, parsed)
+    }
+    return parsed.named && !this.colorSpace ? null : parsed.color
+  }
 }
 
 /** A dynamic property. Supports simple values, keyframes and functions */
@@ -283,6 +374,73 @@ export class Color {
     this.a = a
   }
 
+  /**
+   * Creates a color from a hex code
+   *
+   * @param hex - <code>#rgb</code>, <code>#rgba</code>,
+   * <code>#rrggbb</code> or <code>#rrggbbaa</code>, with or without the
+   * <code>#</code>
+   */
+  static fromHex (hex: string): Color {
+    let digits = hex.startsWith('#') ? hex.substring(1) : hex
+    if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(digits))
+      throw new Error(`Invalid hex color: '${hex}'`)
+
+    if (digits.length <= 4)
+      digits = digits.split('').map(digit => digit + digit).join('')
+
+    const channel = (i: number) => parseInt(digits.substring(2 * i, 2 * i + 2), 16)
+    return new Color(channel(0), channel(1), channel(2), digits.length === 8 ? channel(3) / 255 : 1)
+  }
+
+  /**
+   * Creates a color from hue, saturation and lightness
+   *
+   * @param h - the hue, in degrees
+   * @param s - the saturation, from 0 to 1
+   * @param l - the lightness, from 0 to 1
+   * @param [a=1]
+   */
+  static fromHSL (h: number, s: number, l: number, a = 1): Color {
+    const [r, g, b] = COLOR_SPACES.hsl.toRGB([h, s, l])
+    return new Color(r, g, b, a)
+  }
+
+  /**
+   * Converts to a hex code, with an alpha component only if the color is
+   * transparent
+   */
+  toHex (): string {
+    const hex = (value: number) => {
+      const digits = Math.round(Math.min(Math.max(value, 0), 255)).toString(16)
+      return digits.length === 1 ? '0' + digits : digits
+    }
+    return '#' + hex(this.r) + hex(this.g) + hex(this.b) +
+      (this.a < 1 ? hex(this.a * 255) : '')
+  }
+
+  /**
+   * Mixes this color with another color
+   *
+   * @param other
+   * @param t - how much of <code>other</code> to use, from 0 to 1
+   * @param [space='rgb'] - the color space to mix in
+   * @return the mixed color
+   */
+  mix (other: Color, t: number, space: ColorSpace = 'rgb'): Color {
+    if (!(space in COLOR_SPACES))
+      throw new Error(`Invalid color space: '${space}'`)
+
+    const { fromRGB, toRGB, hue } = COLOR_SPACES[space]
+    const start = fromRGB([this.r, this.g, this.b])
+    const end = fromRGB([other.r, other.g, other.b])
+    const mixed = start.map((value, i) => i === hue
+      ? mixHue(value, end[i], t)
+      : value + (end[i] - value) * t)
+    const [r, g, b] = toRGB(mixed)
+    return new Color(r, g, b, this.a + (other.a - this.a) * t)
+  }
+
   /**
    * Converts to a CSS color
    */
@@ -291,9 +449,150 @@ export class Color {
   }
 }
 
+/**
+ * Interpolates between two hues in degrees, along the shortest path. Hues are
+ * <code>NaN</code> for grays, which take the other hue.
+ */
+function mixHue (start: number, end: number, t: number): number {
+  if (isNaN(start))
+    return end
+  if (isNaN(end))
+    return start
+
+  const difference = ((end - start) % 360 + 540) % 360 - 180
+  return start + difference * t
+}
+
+function srgbToLinear (value: number): number {
+  const c = value / 255
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+}
+
+function linearToSrgb (value: number): number {
+  const c = Math.min(Math.max(value, 0), 1)
+  return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055)
+}
+
+/** Converts sRGB (from 0 to 255) to OKLab */
+function rgbToOklab ([r, g, b]: number[]): number[] {
+  const lr = srgbToLinear(r)
+  const lg = srgbToLinear(g)
+  const lb = srgbToLinear(b)
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb)
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb)
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb)
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ]
+}
+
+/** Converts OKLab to sRGB (from 0 to 255) */
+function oklabToRgb ([L, a, b]: number[]): number[] {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3)
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3)
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3)
+  return [
+    linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  ]
+}
+
+/**
+ * Converts sRGB colors (from 0 to 255) to and from the coordinates of each
+ * color space
+ */
+const COLOR_SPACES: Record<ColorSpace, {
+  fromRGB: (rgb: number[]) => number[]
+  toRGB: (coordinates: number[]) => number[]
+  /** The index of the hue coordinate, if any */
+  hue?: number
+}> = {
+  rgb: {
+    fromRGB: rgb => rgb,
+    toRGB: rgb => rgb
+  },
+  'linear-rgb': {
+    fromRGB: rgb => rgb.map(srgbToLinear),
+    toRGB: linear => linear.map(linearToSrgb)
+  },
+  hsl: {
+    fromRGB: ([r, g, b]) => {
+      const max = Math.max(r, g, b) / 255
+      const min = Math.min(r, g, b) / 255
+      const l = (max + min) / 2
+      const d = max - min
+      if (d === 0)
+        return [NaN, 0, l]
+
+      const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+      let h: number
+      if (max === r / 255)
+        h = (g - b) / 255 / d + (g < b ? 6 : 0)
+      else if (max === g / 255)
+        h = (b - r) / 255 / d + 2
+      else
+        h = (r - g) / 255 / d + 4
+
+      return [h * 60, s, l]
+    },
+    toRGB: ([h, s, l]) => {
+      const hue = isNaN(h) ? 0 : h
+      const a = s * Math.min(l, 1 - l)
+      const f = (n: number) => {
+        const k = ((n + hue / 30) % 12 + 12) % 12
+        return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)))
+      }
+      return [f(0), f(8), f(4)]
+    },
+    hue: 0
+  },
+  oklab: {
+    fromRGB: rgbToOklab,
+    toRGB: oklabToRgb
+  },
+  oklch: {
+    fromRGB: rgb => {
+      const [L, a, b] = rgbToOklab(rgb)
+      const c = Math.sqrt(a * a + b * b)
+      // Grays don't have a hue
+      const h = c < 1e-4 ? NaN : Math.atan2(b, a) * 180 / Math.PI
+      return [L, c, h]
+    },
+    toRGB: ([L, c, h]) => {
+      const hue = isNaN(h) ? 0 : h * Math.PI / 180
+      return oklabToRgb([L, c * Math.cos(hue), c * Math.sin(hue)])
+    },
+    hue: 2
+  }
+}
+
 const parseColorCanvas = document.createElement('canvas')
 parseColorCanvas.width = parseColorCanvas.height = 1
 const parseColorCtx = parseColorCanvas.getContext('2d')
+
+/**
+ * Keywords that CSS accepts as colors, but that don't have a color on their own
+ */
+const CSS_WIDE_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'currentcolor']
+
+/**
+ * The colors that keyframe points' CSS color strings were parsed to (or
+ * <code>null</code> for strings that aren't colors), and whether they're named
+ * colors instead of hex or functional notation
+ */
+const parsedColors: WeakMap<unknown[], { value: string, color: Color, named: boolean }> = new WeakMap()
+
+/**
+ * Whether a value is a CSS color string
+ * @param value
+ */
+export function isColorString (value: unknown): boolean {
+  return typeof value === 'string' && CSS.supports('color', value)
+}
+
 /**
  * Converts a CSS color string to a {@link Color} object representation.
  * @param str
@@ -309,6 +608,255 @@ export function parseColor (str: string): Color {
   return new Color(data[0], data[1], data[2], data[3] / 255)
 }
 
+/**
+ * A color stop of a gradient
+ */
+export interface GradientStop {
+  /** Where the color is, from 0 (the start) to 1 (the end) */
+  offset: Dynamic<number>
+  /** A CSS color string or {@link Color} */
+  color: Dynamic<string | Color>
+}
+
+/**
+ * A gradient, which can be used instead of a CSS color for backgrounds and
+ * text
+ *
+ * The geometry is relative to the canvas of the layer or movie that draws
+ * the gradient. The geometry and stops can be keyframes or functions, which
+ * are evaluated with that layer or movie and its current time.
+ */
+export abstract class Gradient {
+  stops: GradientStop[]
+
+  /**
+   * @param stops
+   */
+  constructor (stops: GradientStop[]) {
+    this.stops = stops
+  }
+
+  /**
+   * The names of the properties that position the gradient
+   */
+  protected abstract get _geometryKeys (): string[]
+
+  /**
+   * Creates the canvas gradient, without any color stops
+   *
+   * @param ctx
+   * @param geometry - the values of {@link Gradient#_geometryKeys}
+   */
+  protected abstract _create (ctx: CanvasRenderingContext2D, geometry: Record<string, number>): CanvasGradient
+
+  /**
+   * Converts to a gradient that can be assigned to <code>fillStyle</code> or
+   * <code>strokeStyle</code>
+   *
+   * @param ctx - the context the gradient will be drawn with
+   * @param [element] - the layer or movie to evaluate dynamic values with
+   * @param [time] - the time relative to <code>element</code>
+   */
+  toCanvasGradient (ctx: CanvasRenderingContext2D, element?: VidarObject, time?: number): CanvasGradient {
+    const geometry: Record<string, number> = {}
+    for (const key of this._geometryKeys)
+      geometry[key] = evaluateDynamic(this[key], element, time)
+
+    const gradient = this._create(ctx, geometry)
+    for (const stop of this.stops) {
+      const offset = evaluateDynamic(stop.offset, element, time)
+      const color = evaluateDynamic(stop.color, element, time)
+      gradient.addColorStop(Math.min(Math.max(offset, 0), 1), color.toString())
+    }
+    return gradient
+  }
+
+  /**
+   * Mixes this gradient with another gradient of the same type and number of
+   * stops. Dynamic values can't be mixed.
+   *
+   * @param other
+   * @param t - how much of <code>other</code> to use, from 0 to 1
+   * @param [space='rgb'] - the color space to mix the stops' colors in
+   * @return the mixed gradient
+   */
+  mix (other: Gradient, t: number, space: ColorSpace = 'rgb'): Gradient {
+    if (other.constructor !== this.constructor || other.stops.length !== this.stops.length)
+      throw new Error('Gradients must have the same type and number of stops to be mixed')
+
+    const mixNumber = (start: unknown, end: unknown) => {
+      if (typeof start !== 'number' || typeof end !== 'number')
+        throw new Error('Cannot mix dynamic gradient values')
+
+      return start + (end - start) * t
+    }
+    const mixed = Object.create(Object.getPrototypeOf(this)) as Gradient
+    for (const key of this._geometryKeys)
+      mixed[key] = mixNumber(this[key], other[key])
+
+    mixed.stops = this.stops.map((stop, i) => {
+      const otherStop = other.stops[i]
+      if (stop.color instanceof KeyFrame || typeof stop.color === 'function' ||
+        otherStop.color instanceof KeyFrame || typeof otherStop.color === 'function')
+        throw new Error('Cannot mix dynamic gradient values')
+
+      const start = stop.color
+      const end = otherStop.color
+      const color = (typeof start === 'string' ? parseColor(start) : start)
+        .mix(typeof end === 'string' ? parseColor(end) : end, t, space)
+      return {
+        offset: mixNumber(stop.offset, otherStop.offset),
+        // Keep the type of the color
+        color: typeof start === 'string' ? color.toString() : color
+      }
+    })
+    return mixed
+  }
+}
+
+/**
+ * A gradient along a line
+ */
+export class LinearGradient extends Gradient {
+  x0: Dynamic<number>
+  y0: Dynamic<number>
+  x1: Dynamic<number>
+  y1: Dynamic<number>
+
+  /**
+   * @param x0 - the x coordinate of the start
+   * @param y0 - the y coordinate of the start
+   * @param x1 - the x coordinate of the end
+   * @param y1 - the y coordinate of the end
+   * @param stops
+   */
+  constructor (x0: Dynamic<number>, y0: Dynamic<number>, x1: Dynamic<number>, y1: Dynamic<number>, stops: GradientStop[]) {
+    super(stops)
+    this.x0 = x0
+    this.y0 = y0
+    this.x1 = x1
+    this.y1 = y1
+  }
+
+  protected get _geometryKeys (): string[] {
+    return ['x0', 'y0', 'x1', 'y1']
+  }
+
+  protected _create (ctx: CanvasRenderingContext2D, geometry: Record<string, number>): CanvasGradient {
+    return ctx.createLinearGradient(geometry.x0, geometry.y0, geometry.x1, geometry.y1)
+  }
+}
+
+/**
+ * A gradient between two circles
+ */
+export class RadialGradient extends Gradient {
+  x0: Dynamic<number>
+  y0: Dynamic<number>
+  r0: Dynamic<number>
+  x1: Dynamic<number>
+  y1: Dynamic<number>
+  r1: Dynamic<number>
+
+  /**
+   * @param x0 - the x coordinate of the center of the start circle
+   * @param y0 - the y coordinate of the center of the start circle
+   * @param r0 - the radius of the start circle
+   * @param x1 - the x coordinate of the center of the end circle
+   * @param y1 - the y coordinate of the center of the end circle
+   * @param r1 - the radius of the end circle
+   * @param stops
+   */
+  constructor (
+    x0: Dynamic<number>, y0: Dynamic<number>, r0: Dynamic<number>,
+    x1: Dynamic<number>, y1: Dynamic<number>, r1: Dynamic<number>,
+    stops: GradientStop[]
+  ) {
+    super(stops)
+    this.x0 = x0
+    this.y0 = y0
+    this.r0 = r0
+    this.x1 = x1
+    this.y1 = y1
+    this.r1 = r1
+  }
+
+  protected get _geometryKeys (): string[] {
+    return ['x0', 'y0', 'r0', 'x1', 'y1', 'r1']
+  }
+
+  protected _create (ctx: CanvasRenderingContext2D, geometry: Record<string, number>): CanvasGradient {
+    // Negative radii throw an error
+    return ctx.createRadialGradient(
+      geometry.x0, geometry.y0, Math.max(geometry.r0, 0),
+      geometry.x1, geometry.y1, Math.max(geometry.r1, 0)
+    )
+  }
+}
+
+/**
+ * A gradient around a point
+ */
+export class ConicGradient extends Gradient {
+  angle: Dynamic<number>
+  x: Dynamic<number>
+  y: Dynamic<number>
+
+  /**
+   * @param angle - where the gradient starts, in radians clockwise from the
+   * right
+   * @param x - the x coordinate of the center
+   * @param y - the y coordinate of the center
+   * @param stops
+   */
+  constructor (angle: Dynamic<number>, x: Dynamic<number>, y: Dynamic<number>, stops: GradientStop[]) {
+    super(stops)
+    this.angle = angle
+    this.x = x
+    this.y = y
+  }
+
+  protected get _geometryKeys (): string[] {
+    return ['angle', 'x', 'y']
+  }
+
+  protected _create (ctx: CanvasRenderingContext2D, geometry: Record<string, number>): CanvasGradient {
+    // Not in TypeScript's DOM types yet
+    const conicCtx = ctx as CanvasRenderingContext2D & {
+      createConicGradient(startAngle: number, x: number, y: number): CanvasGradient
+    }
+    return conicCtx.createConicGradient(geometry.angle, geometry.x, geometry.y)
+  }
+}
+
+/**
+ * Converts a CSS color string or {@link Gradient} to a value that can be
+ * assigned to <code>fillStyle</code>
+ *
+ * @param value
+ * @param ctx - the context the value will be drawn with
+ * @param element - the layer or movie to evaluate the gradient with
+ * @param time - the time relative to <code>element</code>
+ */
+export function toFillStyle (value: string | Color | Gradient, ctx: CanvasRenderingContext2D, element: VidarObject, time: number): string | CanvasGradient {
+  return value instanceof Gradient
+    ? value.toCanvasGradient(ctx, element, time)
+    : value.toString()
+}
+
+/**
+ * Evaluates a keyframe or function, like {@link val} without caching
+ */
+function evaluateDynamic<T> (value: Dynamic<T>, element: VidarObject, time: number): T {
+  if (value instanceof KeyFrame)
+    return value.evaluate(time)
+
+  if (typeof value === 'function')
+    return (value as (element: VidarObject, time: number) => T)(element, time)
+
+  return value
+}
+
 /**
  * A font, for proper interpolation
  */
@@ -420,9 +968,13 @@ export function mapPixels (
 export function watchPublic (target: VidarObject): VidarObject {
   const getPath = (receiver, prop) =>
     (receiver === proxy ? '' : (paths.get(receiver) + '.')) + prop
-  const callback = function (prop, val, receiver) {
+  const callback = function (prop, val, oldVal, receiver) {
     // Public API property updated, emit 'modify' event.
-    publish(proxy, `${target.type}.change.modify`, { property: getPath(receiver, prop), newValue: val })
+    publish(proxy, `${target.type}.change.modify`, {
+      property: getPath(receiver, prop),
+      newValue: val,
+      oldValue: oldVal
+    })
   }
   const canWatch = (receiver, prop) => !prop.startsWith('_') &&
     (receiver.publicExcludes === undefined || !receiver.publicExcludes.includes(prop))
@@ -438,6 +990,9 @@ export function watchPublic (target: VidarObject): VidarObject {
         paths.set(val, getPath(receiver, prop))
       }
 
+      // Remember the previous value, so listeners can revert the change
+      const oldVal = obj[prop]
+
       // Set property or attribute
       // Search prototype chain for the closest setter
       let objProto = obj
@@ -455,7 +1010,7 @@ export function watchPublic (target: VidarObject): VidarObject {
 
       // Check if the property isn't blacklisted in publicExcludes.
       if (canWatch(receiver, prop))
-        callback(prop, val, receiver)
+        callback(prop, val, oldVal, receiver)
 
       return true
     }
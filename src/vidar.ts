@@ -7,20 +7,28 @@
 
 // TODO: investigate possibility of changing movie (canvas) width/height after
 // layers added. I think it's fine, but still make sure.
-// TODO: create built-in audio gain node for volume control in movie and/or
-// layer.
 // TODO: figure out InvalidStateError in beginning only when reloaded
 
 import * as layer from './layer/index'
 import * as effect from './effect/index'
+import * as audioEffect from './audio-effect/index'
 import * as event from './event'
+import * as easing from './easing'
+import * as transition from './transition/index'
+import * as serialization from './serialization'
 import VidarObject from './object'
 
 export * from './movie'
+export * from './history'
+export * from './motion-path'
 export * from './util'
 export {
   VidarObject,
   layer,
   effect,
-  event
+  audioEffect,
+  event,
+  easing,
+  transition,
+  serialization
 }
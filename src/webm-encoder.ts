@@ -0,0 +1,465 @@
+/**
+ * @module webm-encoder
+ * @ignore
+ */
+
+// WebCodecs isn't in our version of the DOM typings yet, so only declare what
+// we use.
+interface EncodedChunk {
+  readonly type: string
+  readonly timestamp: number
+  readonly byteLength: number
+  copyTo (destination: Uint8Array): void
+}
+
+interface EncodedChunkMetadata {
+  decoderConfig?: {
+    description?: ArrayBuffer | ArrayBufferView
+  }
+}
+
+interface Encoder {
+  readonly encodeQueueSize: number
+  configure (config: Record<string, unknown>): void
+  encode (data: unknown, options?: Record<string, unknown>): void
+  flush (): Promise<void>
+  close (): void
+}
+
+interface EncoderInit {
+  output: (chunk: EncodedChunk, metadata?: EncodedChunkMetadata) => void
+  error: (error: Error) => void
+}
+
+interface Closeable {
+  close (): void
+}
+
+interface WebCodecs {
+  VideoEncoder?: new (init: EncoderInit) => Encoder
+  AudioEncoder?: new (init: EncoderInit) => Encoder
+  VideoFrame?: new (source: CanvasImageSource, init: { timestamp: number, duration?: number }) => Closeable
+  AudioData?: new (init: {
+    format: string,
+    sampleRate: number,
+    numberOfFrames: number,
+    numberOfChannels: number,
+    timestamp: number,
+    data: Float32Array
+  }) => Closeable
+}
+
+/** Audio data to encode (an `AudioBuffer` works) */
+interface AudioSamples {
+  readonly numberOfChannels: number
+  readonly sampleRate: number
+  readonly length: number
+  getChannelData (channel: number): Float32Array
+}
+
+interface WebMEncoderOptions {
+  width?: number
+  height?: number
+  frameRate?: number
+  /** Whether to include a video track */
+  video?: boolean
+  /** Whether to include an audio track */
+  audio?: boolean
+  audioSampleRate?: number
+  audioChannels?: number
+  videoBitrate?: number
+  audioBitrate?: number
+}
+
+interface Block {
+  track: number
+  /** Presentation time in microseconds */
+  timestamp: number
+  key: boolean
+  data: Uint8Array
+}
+
+const webCodecs = window as unknown as WebCodecs
+
+// Matroska element ids
+const EBML = 0x1A45DFA3
+const EBML_VERSION = 0x4286
+const EBML_READ_VERSION = 0x42F7
+const EBML_MAX_ID_LENGTH = 0x42F2
+const EBML_MAX_SIZE_LENGTH = 0x42F3
+const DOC_TYPE = 0x4282
+const DOC_TYPE_VERSION = 0x4287
+const DOC_TYPE_READ_VERSION = 0x4285
+const SEGMENT = 0x18538067
+const INFO = 0x1549A966
+const TIMECODE_SCALE = 0x2AD7B1
+const MUXING_APP = 0x4D80
+const WRITING_APP = 0x5741
+const DURATION = 0x4489
+const TRACKS = 0x1654AE6B
+const TRACK_ENTRY = 0xAE
+const TRACK_NUMBER = 0xD7
+const TRACK_UID = 0x73C5
+const TRACK_TYPE = 0x83
+const CODEC_ID = 0x86
+const CODEC_PRIVATE = 0x63A2
+const VIDEO = 0xE0
+const PIXEL_WIDTH = 0xB0
+const PIXEL_HEIGHT = 0xBA
+const AUDIO = 0xE1
+const SAMPLING_FREQUENCY = 0xB5
+const CHANNELS = 0x9F
+const CLUSTER = 0x1F43B675
+const TIMECODE = 0xE7
+const SIMPLE_BLOCK = 0xA3
+
+/** Clusters can't span more than the range of a signed 16-bit offset (ms) */
+const MAX_CLUSTER_DURATION = 30000
+/** How many frames the video encoder can have waiting before we throttle */
+const MAX_ENCODE_QUEUE_SIZE = 10
+/** How many audio frames to pass to the audio encoder at a time */
+const AUDIO_CHUNK_LENGTH = 4800
+
+/**
+ * Encodes canvas frames and audio samples with WebCodecs and muxes them into a
+ * WebM file. Used by {@link Movie#record} for offline recording.
+ */
+export class WebMEncoder {
+  private _options: WebMEncoderOptions
+  private _blocks: Block[]
+  private _videoEncoder: Encoder
+  private _audioEncoder: Encoder
+  private _audioDescription: Uint8Array
+  private _error: Error
+  private _frameCount: number
+
+  constructor (options: WebMEncoderOptions) {
+    this._options = {
+      video: true,
+      audio: false,
+      audioSampleRate: 48000,
+      audioChannels: 2,
+      ...options
+    }
+    this._blocks = []
+    this._error = null
+    this._frameCount = 0
+
+    if (this._options.video) {
+      this._videoEncoder = new webCodecs.VideoEncoder({
+        output: chunk => this._addBlock(this._videoTrack, chunk),
+        error: error => {
+          this._error = error
+        }
+      })
+      this._videoEncoder.configure({
+        codec: 'vp8',
+        width: this._options.width,
+        height: this._options.height,
+        framerate: this._options.frameRate,
+        bitrate: this._options.videoBitrate
+      })
+    }
+
+    if (this._options.audio) {
+      this._audioEncoder = new webCodecs.AudioEncoder({
+        output: (chunk, metadata) => {
+          if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+            const description = metadata.decoderConfig.description
+            this._audioDescription = description instanceof ArrayBuffer
+              ? new Uint8Array(description)
+              : new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+          }
+          this._addBlock(this._audioTrack, chunk)
+        },
+        error: error => {
+          this._error = error
+        }
+      })
+      this._audioEncoder.configure({
+        codec: 'opus',
+        sampleRate: this._options.audioSampleRate,
+        numberOfChannels: this._options.audioChannels,
+        bitrate: this._options.audioBitrate
+      })
+    }
+  }
+
+  /**
+   * Whether the browser supports the APIs needed to encode offline
+   */
+  static get supported (): boolean {
+    return !!(webCodecs.VideoEncoder && webCodecs.AudioEncoder &&
+      webCodecs.VideoFrame && webCodecs.AudioData)
+  }
+
+  /**
+   * Encodes the current contents of `canvas` as the next video frame
+   *
+   * @param canvas
+   * @param time - the presentation time of the frame in seconds
+   * @return resolves when the encoder is ready for another frame
+   */
+  addVideoFrame (canvas: HTMLCanvasElement, time: number): Promise<void> {
+    this._throwIfErrored()
+
+    const frame = new webCodecs.VideoFrame(canvas, {
+      timestamp: Math.round(time * 1e6),
+      duration: Math.round(1e6 / this._options.frameRate)
+    })
+    // Add a keyframe every two seconds, so the result is seekable
+    const keyFrameInterval = Math.max(Math.round(2 * this._options.frameRate), 1)
+    this._videoEncoder.encode(frame, { keyFrame: this._frameCount % keyFrameInterval === 0 })
+    frame.close()
+    this._frameCount++
+
+    return this._waitForVideoEncoder()
+  }
+
+  /**
+   * Encodes audio samples, starting at `time`
+   *
+   * @param samples - must have the sample rate and number of channels the
+   * encoder was created with
+   * @param [time=0] - the presentation time of the first sample in seconds
+   */
+  addAudio (samples: AudioSamples, time = 0): void {
+    this._throwIfErrored()
+
+    const channels = samples.numberOfChannels
+    for (let offset = 0; offset < samples.length; offset += AUDIO_CHUNK_LENGTH) {
+      const length = Math.min(AUDIO_CHUNK_LENGTH, samples.length - offset)
+      // Planar: all of the first channel's samples, then the second's, ...
+      const data = new Float32Array(length * channels)
+      for (let c = 0; c < channels; c++)
+        data.set(samples.getChannelData(c).subarray(offset, offset + length), c * length)
+
+      const audioData = new webCodecs.AudioData({
+        format: 'f32-planar',
+        sampleRate: samples.sampleRate,
+        numberOfFrames: length,
+        numberOfChannels: channels,
+        timestamp: Math.round((time + offset / samples.sampleRate) * 1e6),
+        data
+      })
+      this._audioEncoder.encode(audioData)
+      audioData.close()
+    }
+  }
+
+  /**
+   * Flushes the encoders and muxes everything encoded so far
+   *
+   * @param [type='video/webm'] - the MIME type of the resulting blob
+   * @return the WebM file
+   */
+  finish (type = 'video/webm'): Promise<Blob> {
+    const encoders = [this._videoEncoder, this._audioEncoder].filter(encoder => !!encoder)
+    return Promise.all(encoders.map(encoder => encoder.flush()))
+      .then(() => {
+        encoders.forEach(encoder => encoder.close())
+        this._throwIfErrored()
+        return new Blob(this._mux(), { type })
+      })
+  }
+
+  private get _videoTrack () {
+    return 1
+  }
+
+  private get _audioTrack () {
+    return this._options.video ? 2 : 1
+  }
+
+  private _addBlock (track: number, chunk: EncodedChunk) {
+    const data = new Uint8Array(chunk.byteLength)
+    chunk.copyTo(data)
+    this._blocks.push({ track, timestamp: chunk.timestamp, key: chunk.type === 'key', data })
+  }
+
+  private _waitForVideoEncoder (): Promise<void> {
+    if (this._videoEncoder.encodeQueueSize <= MAX_ENCODE_QUEUE_SIZE)
+      return Promise.resolve()
+
+    return new Promise(resolve => setTimeout(resolve, 0))
+      .then(() => this._waitForVideoEncoder())
+  }
+
+  private _throwIfErrored () {
+    if (this._error)
+      throw this._error
+  }
+
+  private _mux (): Uint8Array[] {
+    // Interleave the tracks. For identical timestamps, put video first so
+    // keyframes start clusters.
+    const blocks = this._blocks.sort((a, b) => a.timestamp - b.timestamp ||
+      (a.track === this._videoTrack ? -1 : 0) - (b.track === this._videoTrack ? -1 : 0))
+    const frameDuration = this._options.video ? 1000 / this._options.frameRate : 0
+    const duration = blocks.length > 0
+      ? blocks[blocks.length - 1].timestamp / 1000 + frameDuration
+      : 0
+
+    return concat(
+      element(EBML, concat(
+        element(EBML_VERSION, uint(1)),
+        element(EBML_READ_VERSION, uint(1)),
+        element(EBML_MAX_ID_LENGTH, uint(4)),
+        element(EBML_MAX_SIZE_LENGTH, uint(8)),
+        element(DOC_TYPE, string('webm')),
+        element(DOC_TYPE_VERSION, uint(2)),
+        element(DOC_TYPE_READ_VERSION, uint(2))
+      )),
+      element(SEGMENT, concat(
+        element(INFO, concat(
+          // Timecodes are in milliseconds
+          element(TIMECODE_SCALE, uint(1e6)),
+          element(MUXING_APP, string('vidar')),
+          element(WRITING_APP, string('vidar')),
+          element(DURATION, float(duration))
+        )),
+        element(TRACKS, concat(...this._trackEntries())),
+        ...this._clusters(blocks)
+      ))
+    )
+  }
+
+  private _trackEntries (): Uint8Array[][] {
+    const entries = []
+    if (this._options.video)
+      entries.push(element(TRACK_ENTRY, concat(
+        element(TRACK_NUMBER, uint(this._videoTrack)),
+        element(TRACK_UID, uint(this._videoTrack)),
+        element(TRACK_TYPE, uint(1)),
+        element(CODEC_ID, string('V_VP8')),
+        element(VIDEO, concat(
+          element(PIXEL_WIDTH, uint(this._options.width)),
+          element(PIXEL_HEIGHT, uint(this._options.height))
+        ))
+      )))
+
+    if (this._options.audio)
+      entries.push(element(TRACK_ENTRY, concat(
+        element(TRACK_NUMBER, uint(this._audioTrack)),
+        element(TRACK_UID, uint(this._audioTrack)),
+        element(TRACK_TYPE, uint(2)),
+        element(CODEC_ID, string('A_OPUS')),
+        element(CODEC_PRIVATE, this._audioDescription ||
+          opusHead(this._options.audioChannels, this._options.audioSampleRate)),
+        element(AUDIO, concat(
+          element(SAMPLING_FREQUENCY, float(this._options.audioSampleRate)),
+          element(CHANNELS, uint(this._options.audioChannels))
+        ))
+      )))
+
+    return entries
+  }
+
+  private _clusters (blocks: Block[]): Uint8Array[][] {
+    const clusters = []
+    let clusterTimecode: number = null
+    let clusterBlocks: Uint8Array[] = []
+    const flush = () => {
+      if (clusterTimecode !== null)
+        clusters.push(element(CLUSTER, concat(
+          element(TIMECODE, uint(clusterTimecode)),
+          clusterBlocks
+        )))
+    }
+
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i]
+      const timecode = Math.round(block.timestamp / 1000)
+      const startsCluster = clusterTimecode === null ||
+        (block.key && block.track === this._videoTrack) ||
+        timecode - clusterTimecode > MAX_CLUSTER_DURATION
+      if (startsCluster) {
+        flush()
+        clusterTimecode = timecode
+        clusterBlocks = []
+      }
+      clusterBlocks.push(...simpleBlock(block, timecode - clusterTimecode))
+    }
+    flush()
+
+    return clusters
+  }
+}
+
+/**
+ * Encodes a Matroska element
+ *
+ * @param id
+ * @param payload - the encoded children or value of the element
+ * @return the parts of the element, so large payloads are never copied
+ */
+function element (id: number, payload: Uint8Array | Uint8Array[]): Uint8Array[] {
+  const parts = payload instanceof Uint8Array ? [payload] : payload
+  const size = parts.reduce((sum, part) => sum + part.byteLength, 0)
+  return [uint(id), vint(size)].concat(parts)
+}
+
+function concat (...elements: Uint8Array[][]): Uint8Array[] {
+  return [].concat(...elements)
+}
+
+function simpleBlock (block: Block, relativeTimecode: number): Uint8Array[] {
+  const header = new Uint8Array(4)
+  header[0] = 0x80 | block.track // track number as a one-byte vint
+  new DataView(header.buffer).setInt16(1, relativeTimecode)
+  header[3] = block.key ? 0x80 : 0
+  return element(SIMPLE_BLOCK, [header, block.data])
+}
+
+/** Encodes an element data size as a variable-length integer */
+function vint (value: number): Uint8Array {
+  let length = 1
+  // All ones is reserved for "unknown size"
+  while (length < 8 && value >= Math.pow(2, 7 * length) - 1)
+    length++
+
+  const bytes = new Uint8Array(length)
+  let rest = value
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256
+    rest = Math.floor(rest / 256)
+  }
+  bytes[0] |= 1 << (8 - length)
+  return bytes
+}
+
+function uint (value: number): Uint8Array {
+  const bytes = []
+  do {
+    bytes.unshift(value % 256)
+    value = Math.floor(value / 256)
+  } while (value > 0)
+  return new Uint8Array(bytes)
+}
+
+function float (value: number): Uint8Array {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value)
+  return bytes
+}
+
+function string (value: string): Uint8Array {
+  return new TextEncoder().encode(value)
+}
+
+/**
+ * The Opus identification header, for encoders that don't provide one
+ * @see https://datatracker.ietf.org/doc/html/rfc7845#section-5.1
+ */
+function opusHead (channels: number, sampleRate: number): Uint8Array {
+  const head = new Uint8Array(19)
+  head.set(string('OpusHead'))
+  const view = new DataView(head.buffer)
+  view.setUint8(8, 1) // version
+  view.setUint8(9, channels)
+  view.setUint16(10, 0, true) // pre-skip
+  view.setUint32(12, sampleRate, true)
+  view.setInt16(16, 0, true) // output gain
+  view.setUint8(18, 0) // channel mapping family
+  return head
+}